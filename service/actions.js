@@ -19,13 +19,14 @@
  * to prevent cross-PR contamination (each PR gets its own session).
  */
 
-import { execSync } from "child_process";
-import { readFileSync, existsSync, accessSync, constants } from "fs";
+import { readFileSync, existsSync } from "fs";
 import { debug } from "./logger.js";
 import { getNestedValue } from "./utils.js";
-import { getServerPort } from "./repo-config.js";
-import { resolveWorktreeDirectory, getProjectInfo, getProjectInfoForDirectory } from "./worktree.js";
+import { getServerPort, getServers } from "./repo-config.js";
+import { getOpencodePorts, probeServers } from "./discovery.js";
+import { resolveWorktreeDirectory, getProjectInfo, getProjectInfoForDirectory, checkoutPrHead, runWorktreeSetup } from "./worktree.js";
 import { SessionContext } from "./session-context.js";
+import { emitEvent } from "./events.js";
 import path from "path";
 import os from "os";
 
@@ -181,52 +182,6 @@ async function sendCommand(serverUrl, sessionId, directory, parsedCommand, optio
   });
 }
 
-/**
- * Get running opencode server ports by parsing lsof output
- * @returns {Promise<number[]>} Array of port numbers
- */
-async function getOpencodePorts() {
-  try {
-    const lsofPaths = [
-      '/usr/sbin/lsof',
-      '/usr/bin/lsof',
-      '/bin/lsof',
-      '/sbin/lsof'
-    ];
-    let lsofBin = 'lsof';
-    for (const p of lsofPaths) {
-      if (existsSync(p)) {
-        try {
-          accessSync(p, constants.X_OK);
-          lsofBin = p;
-          break;
-        } catch {
-          // Path exists but is not executable, continue to next candidate
-        }
-      }
-    }
-
-    // Use full path to lsof since standard paths may not be in PATH in all contexts
-    // (e.g., when running as a service or from certain shell environments)
-    const output = execSync(`${lsofBin} -i -P 2>/dev/null | grep -E "opencode.*LISTEN" || true`, {
-      encoding: 'utf-8',
-      timeout: 30000
-    });
-    
-    const ports = [];
-    for (const line of output.split('\n')) {
-      // Parse lines like: opencode-  6897 athal   12u  IPv4 ... TCP *:60993 (LISTEN)
-      const match = line.match(/:(\d+)\s+\(LISTEN\)/);
-      if (match) {
-        ports.push(parseInt(match[1], 10));
-      }
-    }
-    return ports;
-  } catch {
-    return [];
-  }
-}
-
 /**
  * Check if targetPath is within or equal to worktree path
  * @param {string} targetPath - The path we're looking for
@@ -265,28 +220,11 @@ function getPathMatchScore(targetPath, worktree, sandboxes = []) {
   return 0; // No match
 }
 
-/**
- * Verify a server is healthy by checking it returns valid project data
- * @param {string} url - Server URL
- * @param {object} project - Project data already fetched from /project/current
- * @returns {boolean} True if server appears healthy
- */
-function isServerHealthy(project) {
-  // A healthy server should return a project with an id and time.created
-  // Stale/broken servers may return HTML or incomplete JSON
-  return !!(
-    project &&
-    typeof project === 'object' &&
-    project.id &&
-    project.time &&
-    typeof project.time.created === 'number'
-  );
-}
-
 /**
  * Discover a running opencode server that matches the target directory
  * 
- * Queries all running opencode servers and finds the best match based on:
+ * Probes every candidate server (see discovery.js) at once and finds the
+ * best match based on:
  * 1. Configured server_port (highest priority if set and healthy)
  * 2. Exact sandbox match
  * 3. Exact worktree match
@@ -302,86 +240,60 @@ function isServerHealthy(project) {
  * @param {function} [options.getPorts] - Function to get server ports
  * @param {function} [options.fetch] - Function to fetch URLs
  * @param {number} [options.preferredPort] - Preferred port to use (overrides config)
+ * @param {string[]} [options.servers] - Server URLs to probe as well (overrides config)
+ * @param {number} [options.probeTimeout] - Timeout in ms per server probe
  * @returns {Promise<string|null>} Server URL (e.g., "http://localhost:4096") or null
  */
 export async function discoverOpencodeServer(targetDir, options = {}) {
   const getPorts = options.getPorts || getOpencodePorts;
-  const fetchFn = options.fetch || fetch;
   const preferredPort = options.preferredPort ?? getServerPort();
+  const servers = options.servers ?? getServers();
   
   let ports = await getPorts();
 
-  // If a preferredPort is configured but not already detected via lsof
-  // (e.g. because lsof couldn't find/see it, or lsof isn't available),
+  // If a preferredPort is configured but not already detected
+  // (e.g. because the process runs as another user, or under another name),
   // append it to the ports list so that we still attempt to discover it.
   if (preferredPort && !ports.includes(preferredPort)) {
     ports = [...ports, preferredPort];
   }
 
-  if (ports.length === 0) {
+  const urls = [...new Set([...servers, ...ports.map((port) => `http://localhost:${port}`)])];
+  if (urls.length === 0) {
     debug('discoverOpencodeServer: no servers found');
     return null;
   }
   
-  debug(`discoverOpencodeServer: checking ${ports.length} servers for ${targetDir}, preferredPort=${preferredPort}`);
+  debug(`discoverOpencodeServer: checking ${urls.length} servers for ${targetDir}, preferredPort=${preferredPort}`);
+  const healthy = await probeServers(urls, { fetch: options.fetch, timeout: options.probeTimeout });
   
-  // If preferred port is configured and running, check it first
-  if (preferredPort && ports.includes(preferredPort)) {
-    const url = `http://localhost:${preferredPort}`;
-    try {
-      const response = await fetchFn(`${url}/project/current`);
-      if (response.ok) {
-        const project = await response.json();
-        if (isServerHealthy(project)) {
-          debug(`discoverOpencodeServer: using preferred port ${preferredPort}`);
-          return url;
-        }
-      }
-    } catch (err) {
-      debug(`discoverOpencodeServer: preferred port ${preferredPort} error: ${err.message}`);
-    }
+  // If preferred port is configured and running, use it
+  if (preferredPort && healthy.some(({ url }) => url === `http://localhost:${preferredPort}`)) {
+    debug(`discoverOpencodeServer: using preferred port ${preferredPort}`);
+    return `http://localhost:${preferredPort}`;
   }
   
   let bestMatch = null;
   let bestScore = 0;
   let globalServer = null;
   
-  for (const port of ports) {
-    const url = `http://localhost:${port}`;
-    try {
-      const response = await fetchFn(`${url}/project/current`);
-      if (!response.ok) {
-        debug(`discoverOpencodeServer: ${url} returned ${response.status}`);
-        continue;
-      }
-      
-      const project = await response.json();
-      
-      // Health check: verify response has expected structure
-      if (!isServerHealthy(project)) {
-        debug(`discoverOpencodeServer: ${url} failed health check (invalid project data)`);
-        continue;
-      }
-      
-      const worktree = project.worktree || '/';
-      const sandboxes = project.sandboxes || [];
-      
-      // Track global server as fallback (but prefer project-specific matches)
-      if (worktree === '/') {
-        debug(`discoverOpencodeServer: ${url} is global project, tracking as fallback`);
-        globalServer = url;
-        continue;
-      }
-      
-      const score = getPathMatchScore(targetDir, worktree, sandboxes);
-      debug(`discoverOpencodeServer: ${url} worktree=${worktree} score=${score}`);
-      
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = url;
-      }
-    } catch (err) {
-      debug(`discoverOpencodeServer: ${url} error: ${err.message}`);
+  for (const { url, project } of healthy) {
+    const worktree = project.worktree || '/';
+    const sandboxes = project.sandboxes || [];
+    
+    // Track global server as fallback (but prefer project-specific matches)
+    if (worktree === '/') {
+      debug(`discoverOpencodeServer: ${url} is global project, tracking as fallback`);
+      globalServer = url;
+      continue;
+    }
+    
+    const score = getPathMatchScore(targetDir, worktree, sandboxes);
+    debug(`discoverOpencodeServer: ${url} worktree=${worktree} score=${score}`);
+    
+    if (score > bestScore) {
+      bestScore = score;
+      bestMatch = url;
     }
   }
   
@@ -568,33 +480,175 @@ export function isSessionArchived(session) {
 }
 
 /**
- * Get session statuses from the OpenCode server
- * Returns a map of sessionId -> status (idle, busy, retry)
- * Sessions not in the map are considered idle
+ * Get a session from the OpenCode server
  * 
  * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
  * @param {object} [options] - Options
  * @param {function} [options.fetch] - Custom fetch function (for testing)
- * @returns {Promise<object>} Map of sessionId -> status object
+ * @returns {Promise<object|null>} Session, or null if the server doesn't know it
+ * @throws {Error} If the server can't be reached or returns another error
  */
-export async function getSessionStatuses(serverUrl, options = {}) {
+export async function getSession(serverUrl, sessionId, options = {}) {
+  const fetchFn = options.fetch || fetch;
+  const response = await fetchFn(new URL(`/session/${sessionId}`, serverUrl).toString());
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`GET /session/${sessionId} returned ${response.status}`);
+  }
+  return await response.json();
+}
+
+/**
+ * Abort whatever a session is working on
+ *
+ * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @param {string} [directory] - Session directory (routing parameter)
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @throws {Error} If the server rejects the request
+ */
+export async function abortSession(serverUrl, sessionId, directory, options = {}) {
+  const fetchFn = options.fetch || fetch;
+  const url = new URL(`/session/${sessionId}/abort`, serverUrl);
+  if (directory) url.searchParams.set('directory', directory);
+  const response = await fetchFn(url.toString(), { method: 'POST' });
+  if (!response.ok) {
+    throw new Error(`POST /session/${sessionId}/abort returned ${response.status}`);
+  }
+}
+
+/**
+ * Archive a session (hides it from session lists; it can be unarchived in OpenCode)
+ *
+ * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @param {string} [directory] - Session directory (routing parameter)
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @throws {Error} If the server rejects the request
+ */
+export async function archiveSession(serverUrl, sessionId, directory, options = {}) {
+  const fetchFn = options.fetch || fetch;
+  const url = new URL(`/session/${sessionId}`, serverUrl);
+  if (directory) url.searchParams.set('directory', directory);
+  const response = await fetchFn(url.toString(), {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ time: { archived: Date.now() } }),
+  });
+  if (!response.ok) {
+    throw new Error(`PATCH /session/${sessionId} returned ${response.status}`);
+  }
+}
+
+/**
+ * Get the error the session's last assistant message ended with, if any
+ * 
+ * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @returns {Promise<string|null>} Error message, or null if the last reply succeeded (or messages can't be read)
+ */
+export async function getLastSessionError(serverUrl, sessionId, options = {}) {
   const fetchFn = options.fetch || fetch;
   
   try {
-    const response = await fetchFn(`${serverUrl}/session/status`);
-    
+    const response = await fetchFn(new URL(`/session/${sessionId}/message`, serverUrl).toString());
     if (!response.ok) {
-      debug(`getSessionStatuses: ${serverUrl} returned ${response.status}`);
-      return {};
+      debug(`getLastSessionError: ${serverUrl} returned ${response.status}`);
+      return null;
     }
-    
-    return await response.json();
+    const messages = await response.json();
+    const lastReply = (Array.isArray(messages) ? messages : [])
+      .filter((message) => message?.info?.role === 'assistant')
+      .pop();
+    const error = lastReply?.info?.error;
+    if (!error) return null;
+    return error.data?.message || error.name || 'unknown error';
+  } catch (err) {
+    debug(`getLastSessionError: error - ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the text of the session's last assistant message
+ *
+ * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @returns {Promise<string|null>} Text parts joined by blank lines, or null if there is none (or messages can't be read)
+ */
+export async function getLastAssistantText(serverUrl, sessionId, options = {}) {
+  const fetchFn = options.fetch || fetch;
+
+  try {
+    const response = await fetchFn(new URL(`/session/${sessionId}/message`, serverUrl).toString());
+    if (!response.ok) {
+      debug(`getLastAssistantText: ${serverUrl} returned ${response.status}`);
+      return null;
+    }
+    const messages = await response.json();
+    const lastReply = (Array.isArray(messages) ? messages : [])
+      .filter((message) => message?.info?.role === 'assistant')
+      .pop();
+    const text = (lastReply?.parts || [])
+      .filter((part) => part?.type === 'text' && !part.synthetic && part.text)
+      .map((part) => part.text.trim())
+      .filter(Boolean)
+      .join('\n\n');
+    return text || null;
+  } catch (err) {
+    debug(`getLastAssistantText: error - ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get session statuses from the OpenCode server
+ * Returns a map of sessionId -> status (idle, busy, retry)
+ * Sessions not in the map are considered idle
+ * 
+ * @param {string} serverUrl - Server URL
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @returns {Promise<object>} Map of sessionId -> status object (empty if the server can't be reached)
+ */
+export async function getSessionStatuses(serverUrl, options = {}) {
+  try {
+    return await fetchSessionStatuses(serverUrl, options);
   } catch (err) {
     debug(`getSessionStatuses: error - ${err.message}`);
     return {};
   }
 }
 
+/**
+ * Get session statuses from the OpenCode server, failing if they can't be read
+ * Used where an unreadable status must not look idle, e.g. when counting
+ * active sessions against max_active_sessions.
+ * 
+ * @param {string} serverUrl - Server URL
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @returns {Promise<object>} Map of sessionId -> status object
+ * @throws {Error} If the server can't be reached or returns an error
+ */
+export async function fetchSessionStatuses(serverUrl, options = {}) {
+  const fetchFn = options.fetch || fetch;
+  const response = await fetchFn(`${serverUrl}/session/status`);
+  if (!response.ok) {
+    throw new Error(`GET /session/status returned ${response.status}`);
+  }
+  return await response.json();
+}
+
 /**
  * Find the best session to reuse from a list of candidates
  * Prefers idle sessions, then most recently updated
@@ -1017,7 +1071,9 @@ async function executeInDirectory(serverUrl, sessionCtx, item, config, options =
           command: stackCommand,
           success: true,
           sessionId: stackResult.sessionId,
+          serverUrl,
           directory: cwd,
+          projectDirectory: sessionCtx.projectDirectory,
           sessionReused: true,
           error: stackResult.error,
         };
@@ -1053,7 +1109,9 @@ async function executeInDirectory(serverUrl, sessionCtx, item, config, options =
         command: reuseCommand,
         success: result.success,
         sessionId: result.sessionId,
+        serverUrl,
         directory: cwd,
+        projectDirectory: sessionCtx.projectDirectory,
         sessionReused: true,
         error: result.error,
       };
@@ -1084,12 +1142,43 @@ async function executeInDirectory(serverUrl, sessionCtx, item, config, options =
     command: apiCommand,
     success: result.success,
     sessionId: result.sessionId,
+    serverUrl,
     directory: cwd,
+    projectDirectory: sessionCtx.projectDirectory,
     error: result.error,
     warning: result.warning,
   };
 }
 
+/**
+ * Prepare a worktree's checkout before the session starts
+ *
+ * With `checkout: pr_head`, fetches the PR head into the worktree so the
+ * agent starts on the code under review.
+ *
+ * @param {object} item - Item to start a session for
+ * @param {object} config - Action config
+ * @param {string} cwd - Worktree directory
+ * @param {object} [options] - Options
+ * @param {function} [options.checkoutPrHead] - Custom checkout function (for testing)
+ * @returns {Promise<string|null>} Error message, or null if the worktree is ready
+ */
+async function prepareCheckout(item, config, cwd, options = {}) {
+  if (!config.checkout) return null;
+  if (config.checkout !== "pr_head") {
+    return `Unknown checkout mode "${config.checkout}" (expected "pr_head")`;
+  }
+  if (options.dryRun) return null;
+
+  const checkoutFn = options.checkoutPrHead || checkoutPrHead;
+  const result = await checkoutFn(cwd, item);
+  if (!result.success) {
+    return `Failed to check out PR head: ${result.error}`;
+  }
+  debug(`prepareCheckout: ${result.updated ? "checked out" : "already at"} ${result.branch} in ${cwd}${result.warning ? ` (${result.warning})` : ""}`);
+  return null;
+}
+
 /**
  * Execute an action
  * @param {object} item - Item to create session for
@@ -1098,6 +1187,8 @@ async function executeInDirectory(serverUrl, sessionCtx, item, config, options =
  * @param {boolean} [options.dryRun] - If true, return command without executing
  * @param {function} [options.discoverServer] - Custom server discovery function (for testing)
  * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.checkoutPrHead] - Custom PR checkout function (for testing)
+ * @param {function} [options.runWorktreeSetup] - Custom worktree setup function (for testing)
  * @returns {Promise<object>} Result with command, stdout, stderr, exitCode
  */
 export async function executeAction(item, config, options = {}) {
@@ -1150,6 +1241,13 @@ export async function executeAction(item, config, options = {}) {
     debug(`executeAction: using existing_directory=${config.existing_directory}`);
     const cwd = expandPath(config.existing_directory);
     const sessionCtx = SessionContext.forWorktree(baseCwd, cwd);
+    // A stack sibling's worktree has the sibling's branch checked out; leave it
+    if (sessionCtx.isWorktree && !config.reuse_stack_session) {
+      const checkoutError = await prepareCheckout(item, config, cwd, options);
+      if (checkoutError) {
+        return { success: false, error: checkoutError, directory: cwd, projectDirectory: baseCwd, serverUrl };
+      }
+    }
     return await executeInDirectory(serverUrl, sessionCtx, item, config, options);
   }
   
@@ -1194,6 +1292,7 @@ export async function executeAction(item, config, options = {}) {
   
   if (worktreeResult.worktreeCreated) {
     debug(`executeAction: created new worktree at ${cwd}`);
+    emitEvent("worktree.created", { itemId: item.id ?? null, directory: cwd, baseDirectory: baseCwd });
   } else if (worktreeResult.worktreeReused) {
     debug(`executeAction: reusing existing sandbox at ${cwd}`);
   } else if (worktreeResult.error) {
@@ -1205,5 +1304,39 @@ export async function executeAction(item, config, options = {}) {
   // Build a SessionContext so downstream functions always have both directories.
   // forWorktree correctly sets isWorktree=true when cwd differs from baseCwd.
   const sessionCtx = SessionContext.forWorktree(baseCwd, cwd);
-  return await executeInDirectory(serverUrl, sessionCtx, item, config, options);
+  // Never check out a PR in the main checkout, e.g. after worktree creation failed
+  let prepareError = (worktreeResult.worktreeCreated || worktreeResult.worktreeReused)
+    ? await prepareCheckout(item, config, cwd, options)
+    : null;
+
+  // Set up new worktrees, and reused ones whose setup failed before
+  let worktreeSetup;
+  const needsSetup = worktreeResult.worktreeCreated || (worktreeResult.worktreeReused && config.retry_worktree_setup);
+  if (!prepareError && needsSetup && config.worktree_setup && !options.dryRun) {
+    const setupFn = options.runWorktreeSetup || runWorktreeSetup;
+    worktreeSetup = await setupFn(cwd, config.worktree_setup, { projectDirectory: baseCwd });
+    emitEvent("worktree.setup", {
+      itemId: item.id ?? null,
+      directory: cwd,
+      success: worktreeSetup.success,
+      exitCode: worktreeSetup.exitCode,
+      durationMs: worktreeSetup.durationMs,
+      output: worktreeSetup.output,
+    });
+    if (!worktreeSetup.success) {
+      prepareError = `Worktree setup failed in ${cwd}: ${worktreeSetup.error}`;
+    }
+  }
+
+  let result = prepareError
+    ? { success: false, error: prepareError, directory: cwd, projectDirectory: baseCwd, serverUrl }
+    : await executeInDirectory(serverUrl, sessionCtx, item, config, options);
+  if (worktreeSetup) {
+    result = { ...result, worktreeSetup };
+  }
+  // Reported even if the session failed to start, so the worktree can be cleaned up later
+  if (worktreeResult.worktreeCreated) {
+    return { ...result, worktreeCreated: true, worktreeName: worktreeResult.worktree?.name ?? null };
+  }
+  return result;
 }
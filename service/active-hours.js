@@ -0,0 +1,153 @@
+/**
+ * active-hours.js - Working-hours windows for session creation
+ *
+ * Sources (or defaults) can restrict when sessions are started:
+ *   active_hours: "09:00-18:00"        # or a list: ["09:00-12:00", "13:00-18:00"]
+ *   active_days: mon-fri               # or a list: [mon, tue, wed]
+ *   timezone: America/New_York         # IANA zone (default: system local time)
+ *
+ * Outside the window items are still fetched and tracked, but sessions are
+ * held; they start on the first poll after the window opens. Ranges whose end
+ * is before their start wrap past midnight ("22:00-02:00"). Days are matched
+ * against the current day in the configured timezone.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Parse "HH:MM" into minutes since midnight
+ * @param {string} value - Time string ("24:00" is allowed as end of day)
+ * @returns {number} Minutes since midnight
+ * @throws {Error} If the time is malformed
+ */
+function parseTime(value) {
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) {
+    throw new Error(`Invalid time '${value}' (expected HH:MM)`);
+  }
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) {
+    throw new Error(`Invalid time '${value}' (expected HH:MM)`);
+  }
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse active_hours into a list of minute ranges
+ * @param {string|string[]} value - "HH:MM-HH:MM" or a list of them
+ * @returns {Array<{start: number, end: number}>} Ranges in minutes since midnight
+ * @throws {Error} If any range is malformed
+ */
+export function parseActiveHours(value) {
+  const ranges = Array.isArray(value) ? value : [value];
+  return ranges.map((range) => {
+    const parts = String(range).split("-");
+    if (parts.length !== 2) {
+      throw new Error(`Invalid active_hours range '${range}' (expected HH:MM-HH:MM)`);
+    }
+    const start = parseTime(parts[0]);
+    const end = parseTime(parts[1]);
+    if (start === end) {
+      throw new Error(`Invalid active_hours range '${range}' (start equals end)`);
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * Parse active_days into a set of day numbers (0 = Sunday)
+ * @param {string|string[]} value - "mon-fri", "sat,sun" or a list of names/ranges
+ * @returns {Set<number>} Active days
+ * @throws {Error} If a day name is unknown
+ */
+export function parseActiveDays(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(",");
+  const days = new Set();
+
+  const dayIndex = (name) => {
+    const index = DAY_NAMES.indexOf(String(name).trim().toLowerCase().slice(0, 3));
+    if (index === -1) {
+      throw new Error(`Invalid day '${name}' in active_days`);
+    }
+    return index;
+  };
+
+  for (const part of parts) {
+    const [from, to] = String(part).split("-");
+    if (to === undefined) {
+      days.add(dayIndex(from));
+      continue;
+    }
+    // Ranges may wrap the week ("fri-mon")
+    const start = dayIndex(from);
+    const end = dayIndex(to);
+    for (let day = start; ; day = (day + 1) % 7) {
+      days.add(day);
+      if (day === end) break;
+    }
+  }
+
+  return days;
+}
+
+/**
+ * Get the day of week and minutes since midnight for a time in a timezone
+ * @param {Date} date - Time to convert
+ * @param {string} [timezone] - IANA timezone (default: local time)
+ * @returns {{day: number, minutes: number}} Day (0 = Sunday) and minutes since midnight
+ * @throws {RangeError} If the timezone is unknown
+ */
+export function getZonedTime(date, timezone) {
+  if (!timezone) {
+    return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+  }
+
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parts.find((part) => part.type === type)?.value;
+
+  return {
+    day: DAY_NAMES.indexOf(get("weekday").toLowerCase()),
+    minutes: parseInt(get("hour"), 10) * 60 + parseInt(get("minute"), 10),
+  };
+}
+
+/**
+ * Check whether session creation is allowed for a source right now
+ * Sources without active_hours/active_days are always active.
+ * @param {object} source - Normalized source config
+ * @param {Date} [now] - Current time
+ * @returns {{active: boolean, reason?: string}} Whether the window is open, and why not
+ * @throws {Error|RangeError} If active_hours, active_days or timezone is invalid
+ */
+export function checkActiveWindow(source, now = new Date()) {
+  const { active_hours: activeHours, active_days: activeDays, timezone } = source;
+  if (!activeHours && !activeDays) {
+    return { active: true };
+  }
+
+  const { day, minutes } = getZonedTime(now, timezone);
+
+  if (activeDays && !parseActiveDays(activeDays).has(day)) {
+    return { active: false, reason: `${DAY_NAMES[day]} is outside active_days` };
+  }
+
+  if (activeHours) {
+    const inRange = parseActiveHours(activeHours).some(({ start, end }) =>
+      start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end
+    );
+    if (!inRange) {
+      return { active: false, reason: "outside active_hours" };
+    }
+  }
+
+  return { active: true };
+}
@@ -0,0 +1,196 @@
+/**
+ * backoff.js - Exponential backoff and circuit breaker for failing sources
+ *
+ * When fetching a source fails (MCP server down, gh not authenticated), the
+ * source is retried after an exponentially growing delay with jitter instead
+ * of on every tick. After `threshold` consecutive failures the circuit opens
+ * and the source is paused for `cooldown`; the next attempt after that is a
+ * single probe that either closes the circuit (success) or re-opens it.
+ *
+ * Configure per source or in defaults:
+ *   backoff:
+ *     base: 30s        # First retry delay
+ *     max: 30m         # Upper bound for retry delay
+ *     threshold: 5     # Consecutive failures before the circuit opens
+ *     cooldown: 1h     # How long an open circuit pauses the source
+ *
+ * Failed session starts for individual items use the same delays: the item
+ * is retried after computeBackoffDelay(attempts), up to `max_attempts`
+ * (default 3, per source or in defaults), then parked as failed until it is
+ * re-queued (`opencode-pilot retry`).
+ *
+ * The functions here are pure: they take the persisted source or item retry
+ * state and return the fields to write back (see poller.updateSourceState
+ * and poller.setRetry).
+ */
+
+import { parseDuration } from "./scheduler.js";
+
+export const DEFAULT_BACKOFF = {
+  base: 30 * 1000,
+  max: 30 * 60 * 1000,
+  threshold: 5,
+  cooldown: 60 * 60 * 1000,
+};
+
+export const DEFAULT_MAX_ATTEMPTS = 3;
+
+/**
+ * Resolve backoff settings for a source, falling back to defaults for
+ * missing or invalid values
+ * @param {object} source - Normalized source config
+ * @returns {object} { base, max, threshold, cooldown } with durations in ms
+ */
+export function getBackoffConfig(source) {
+  const config = source?.backoff || {};
+  const duration = (value, fallback) => {
+    if (value === undefined || value === null) return fallback;
+    const ms = parseDuration(value);
+    if (ms === null) {
+      console.warn(`[backoff] Invalid duration '${value}' for source '${source.name || "unknown"}', using default`);
+      return fallback;
+    }
+    return ms;
+  };
+
+  const threshold = Number.isInteger(config.threshold) && config.threshold > 0
+    ? config.threshold
+    : DEFAULT_BACKOFF.threshold;
+
+  return {
+    base: duration(config.base, DEFAULT_BACKOFF.base),
+    max: duration(config.max, DEFAULT_BACKOFF.max),
+    threshold,
+    cooldown: duration(config.cooldown, DEFAULT_BACKOFF.cooldown),
+  };
+}
+
+/**
+ * Compute the retry delay after a number of consecutive failures
+ * Doubles per failure up to `max`, then applies "equal jitter" (half fixed,
+ * half random) so sources that fail together don't retry in lockstep.
+ * @param {number} failures - Consecutive failures (>= 1)
+ * @param {object} config - From getBackoffConfig
+ * @param {function} [random] - Random source in [0, 1) (for testing)
+ * @returns {number} Delay in ms
+ */
+export function computeBackoffDelay(failures, config, random = Math.random) {
+  const exponent = Math.max(0, failures - 1);
+  const delay = Math.min(config.max, config.base * 2 ** exponent);
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+/**
+ * Check whether a source should be skipped because it is backing off
+ * @param {object|null} state - Persisted source state
+ * @param {Date} [now] - Current time
+ * @returns {object} { skip: boolean, reason?: string, until?: string }
+ */
+export function checkBackoff(state, now = new Date()) {
+  if (!state?.nextRetryAt) return { skip: false };
+
+  const until = new Date(state.nextRetryAt);
+  if (isNaN(until.getTime()) || until <= now) return { skip: false };
+
+  return {
+    skip: true,
+    reason: state.circuitOpen ? "circuit open" : "backing off",
+    until: state.nextRetryAt,
+  };
+}
+
+/**
+ * Compute state after a failed fetch
+ * @param {object|null} state - Persisted source state
+ * @param {Error|string} error - The failure
+ * @param {object} config - From getBackoffConfig
+ * @param {object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {function} [options.random] - Random source (for testing)
+ * @returns {object} { failures, lastError, lastFailureAt, nextRetryAt, circuitOpen }
+ */
+export function recordFailure(state, error, config, options = {}) {
+  const { now = new Date(), random = Math.random } = options;
+  const failures = (state?.failures || 0) + 1;
+  const circuitOpen = failures >= config.threshold;
+  const delay = circuitOpen ? config.cooldown : computeBackoffDelay(failures, config, random);
+
+  return {
+    failures,
+    lastError: error instanceof Error ? error.message : String(error),
+    lastFailureAt: now.toISOString(),
+    nextRetryAt: new Date(now.getTime() + delay).toISOString(),
+    circuitOpen,
+  };
+}
+
+/**
+ * Compute state after a successful fetch (closes the circuit)
+ * @returns {object} Fields that reset the failure tracking
+ */
+export function recordSuccess() {
+  return {
+    failures: 0,
+    lastError: null,
+    nextRetryAt: null,
+    circuitOpen: false,
+  };
+}
+
+/**
+ * Resolve how many times a failed session start is attempted for an item
+ * @param {object} source - Normalized source config
+ * @returns {number} max_attempts, or the default for missing/invalid values
+ */
+export function getMaxAttempts(source) {
+  const value = source?.max_attempts;
+  if (value === undefined || value === null) return DEFAULT_MAX_ATTEMPTS;
+  if (!Number.isInteger(value) || value < 1) {
+    console.warn(`[backoff] Invalid max_attempts '${value}' for source '${source.name || "unknown"}', using default`);
+    return DEFAULT_MAX_ATTEMPTS;
+  }
+  return value;
+}
+
+/**
+ * Check whether a session start for an item should wait
+ * @param {object|null} retry - Persisted retry state for the item
+ * @param {Date} [now] - Current time
+ * @returns {object} { skip: boolean, reason?: string }
+ */
+export function checkRetry(retry, now = new Date()) {
+  if (!retry) return { skip: false };
+  if (retry.failed) {
+    return { skip: true, reason: `failed after ${retry.attempts} attempt(s)` };
+  }
+  if (retry.nextAttemptAt && new Date(retry.nextAttemptAt) > now) {
+    return { skip: true, reason: `next attempt at ${retry.nextAttemptAt}` };
+  }
+  return { skip: false };
+}
+
+/**
+ * Compute retry state after a failed session start
+ * @param {object|null} retry - Persisted retry state for the item
+ * @param {Error|string} error - The failure
+ * @param {object} config - Backoff config (from getBackoffConfig) plus maxAttempts
+ * @param {object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {function} [options.random] - Random source (for testing)
+ * @returns {object} { attempts, lastError, lastAttemptAt, nextAttemptAt, failed }
+ */
+export function recordAttemptFailure(retry, error, config, options = {}) {
+  const { now = new Date(), random = Math.random } = options;
+  const attempts = (retry?.attempts || 0) + 1;
+  const failed = attempts >= config.maxAttempts;
+
+  return {
+    attempts,
+    lastError: error instanceof Error ? error.message : String(error),
+    lastAttemptAt: now.toISOString(),
+    nextAttemptAt: failed
+      ? null
+      : new Date(now.getTime() + computeBackoffDelay(attempts, config, random)).toISOString(),
+    failed,
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * closed-items.js - Clean up after items that leave their source
+ *
+ * When an item pilot started a session for stops appearing in its source
+ * (the PR was merged or closed, the Linear ticket moved to Done), the
+ * session it started keeps running and its worktree stays on disk. A source
+ * can opt into cleaning them up:
+ *
+ *   sources:
+ *     - preset: github/review-requests
+ *       on_item_closed: [abort, archive, remove_worktree]
+ *
+ * Leaving a source doesn't always mean the item is done: a PR drops out of
+ * a review-requests query once it has been reviewed. GitHub issues and PRs
+ * are therefore only cleaned up once `gh api` reports them closed or merged;
+ * for other items (e.g. Linear) leaving the source is the only signal.
+ *
+ * abort stops the session if it is still busy, archive archives it
+ * (PATCH /session/:id) and remove_worktree deletes the worktree it ran in.
+ * The project's main checkout is never removed, and a worktree is left in
+ * place while its session is still busy (unless abort is also configured)
+ * or `git status` shows uncommitted changes, as in worktree-gc.js.
+ * Sessions and worktrees shared with items that are still open (stacked PRs)
+ * are left alone. If the item's GitHub state or its session's status can't
+ * be read, nothing is done and the item is retried on the next poll.
+ */
+
+import { fetchSessionStatuses, abortSession, archiveSession } from "./actions.js";
+import { removeWorktree } from "./worktree.js";
+import { getGitHubState, getUncommittedChanges } from "./worktree-gc.js";
+import { parseGitHubItemUrl } from "./utils.js";
+
+export const CLOSE_ACTIONS = ["abort", "archive", "remove_worktree"];
+
+const ACTIVE_STATUS_TYPES = new Set(["busy", "retry"]);
+
+/**
+ * Read a source's on_item_closed policy
+ * @param {object} source - Source config
+ * @returns {string[]} Actions to take, in the order they run (empty = do nothing)
+ */
+export function getClosedItemPolicy(source) {
+  const raw = source?.on_item_closed;
+  if (raw === undefined || raw === null || raw === false) return [];
+  const configured = Array.isArray(raw) ? raw : [raw];
+  for (const action of configured) {
+    if (!CLOSE_ACTIONS.includes(action)) {
+      console.warn(`[closed] Unknown on_item_closed action '${action}' for source '${source.name || "unknown"}', ignoring it`);
+    }
+  }
+  return CLOSE_ACTIONS.filter((action) => configured.includes(action));
+}
+
+/**
+ * Apply the on_item_closed policy to a processed item that left its source
+ * @param {object} entry - Processed entry (id plus metadata)
+ * @param {string[]} policy - Actions from getClosedItemPolicy
+ * @param {object} [options] - Options
+ * @param {Array<object>} [options.openEntries] - Processed entries still in their sources
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.getGitHubState] - Get a GitHub issue/PR state (for testing)
+ * @param {function} [options.getUncommittedChanges] - List uncommitted changes (for testing)
+ * @returns {Promise<{done: string[], errors: string[], open?: boolean, retry?: boolean}>} Actions
+ *   done and error messages; open is true if the item is still open upstream and retry is true
+ *   if its state couldn't be read, in both cases nothing was done
+ */
+export async function closeItem(entry, policy, options = {}) {
+  const {
+    openEntries = [],
+    fetch: fetchFn,
+    getGitHubState: getState = getGitHubState,
+    getUncommittedChanges: getChanges = getUncommittedChanges,
+  } = options;
+  const done = [];
+  const errors = [];
+  const { sessionId, serverUrl, directory, projectDirectory } = entry;
+  if (!serverUrl || policy.length === 0) return { done, errors };
+
+  const target = parseGitHubItemUrl(entry.url) || parseGitHubItemUrl(entry.id);
+  if (target) {
+    try {
+      if (await getState(target) !== "closed") return { done, errors, open: true };
+    } catch (err) {
+      errors.push(`could not check whether ${entry.id} is closed: ${err.message}`);
+      return { done, errors, retry: true };
+    }
+  }
+
+  const sessionShared = sessionId && openEntries.some((other) => other.sessionId === sessionId);
+  const worktreeShared = openEntries.some((other) => other.directory === directory);
+
+  let busy = false;
+  if (sessionId && (policy.includes("abort") || policy.includes("remove_worktree"))) {
+    let statuses;
+    try {
+      statuses = await fetchSessionStatuses(serverUrl, { fetch: fetchFn });
+    } catch (err) {
+      // Unknown status could mean a busy session: don't act on a guess
+      errors.push(`could not read session status from ${serverUrl}: ${err.message}`);
+      return { done, errors, retry: true };
+    }
+    busy = ACTIVE_STATUS_TYPES.has(statuses[sessionId]?.type);
+  }
+
+  const attempt = async (name, fn) => {
+    try {
+      await fn();
+      done.push(name);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  };
+
+  if (sessionId && !sessionShared) {
+    if (policy.includes("abort") && busy) {
+      await attempt("abort", () => abortSession(serverUrl, sessionId, directory, { fetch: fetchFn }));
+      if (done.includes("abort")) busy = false;
+    }
+    if (policy.includes("archive")) {
+      await attempt("archive", () => archiveSession(serverUrl, sessionId, directory, { fetch: fetchFn }));
+    }
+  }
+
+  const isWorktree = directory && projectDirectory && directory !== projectDirectory;
+  if (policy.includes("remove_worktree") && isWorktree && !worktreeShared) {
+    if (busy) {
+      errors.push(`remove_worktree: session ${sessionId} is still busy, leaving ${directory}`);
+    } else {
+      await attempt("remove_worktree", async () => {
+        const changes = await getChanges(directory);
+        if (changes.length > 0) {
+          throw new Error(`${changes.length} uncommitted change(s), leaving ${directory}`);
+        }
+        const result = await removeWorktree(serverUrl, directory, { directory: projectDirectory, fetch: fetchFn });
+        if (!result.success) throw new Error(result.error);
+      });
+    }
+  }
+
+  return { done, errors };
+}
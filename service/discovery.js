@@ -0,0 +1,232 @@
+/**
+ * discovery.js - Find running OpenCode servers
+ *
+ * Candidates come from two places:
+ *
+ * - ports of local processes named opencode, found by reading /proc/net/tcp
+ *   and /proc/<pid>/cmdline on Linux, or with lsof elsewhere
+ * - the `servers:` list of URLs in config, for servers that can't be found
+ *   that way (other users, containers, remote hosts)
+ *
+ * Every candidate is probed at the same time with a timeout, so one stale
+ * or hung server doesn't hold up discovery. actions.js picks the server for
+ * a directory from the healthy ones.
+ */
+
+import fs from "fs";
+import path from "path";
+import { exec } from "child_process";
+import { promisify } from "util";
+import { debug } from "./logger.js";
+
+const execAsync = promisify(exec);
+
+// Timeout for each /project/current probe
+export const PROBE_TIMEOUT_MS = 3000;
+
+// Socket state of listening sockets in /proc/net/tcp
+const TCP_LISTEN = "0A";
+
+/**
+ * Verify a server is healthy by checking it returns valid project data
+ * @param {object} project - Project data already fetched from /project/current
+ * @returns {boolean} True if server appears healthy
+ */
+export function isServerHealthy(project) {
+  // A healthy server should return a project with an id and time.created
+  // Stale/broken servers may return HTML or incomplete JSON
+  return !!(
+    project &&
+    typeof project === 'object' &&
+    project.id &&
+    project.time &&
+    typeof project.time.created === 'number'
+  );
+}
+
+/**
+ * Check whether a command line belongs to an OpenCode server
+ * Matches the opencode binary or script under any runtime (node, bun), but
+ * not opencode-pilot itself.
+ * @param {string[]} argv - Command line arguments
+ * @returns {boolean} True for OpenCode processes
+ */
+export function isOpencodeCommand(argv) {
+  return argv.slice(0, 2).some((arg) => {
+    const name = path.basename(arg);
+    return /^\.?opencode\b/.test(name) && !name.startsWith("opencode-pilot");
+  });
+}
+
+/**
+ * Parse listening sockets from /proc/net/tcp or /proc/net/tcp6 content
+ * @param {string} content - File content
+ * @returns {Map<string, number>} Socket inode -> port
+ */
+export function parseListeningSockets(content) {
+  const sockets = new Map();
+  for (const line of content.split("\n").slice(1)) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 10 || fields[3] !== TCP_LISTEN) continue;
+    const port = parseInt(fields[1].split(":")[1], 16);
+    if (port > 0) sockets.set(fields[9], port);
+  }
+  return sockets;
+}
+
+/**
+ * Find ports OpenCode processes listen on by reading /proc (Linux)
+ * @param {object} [options] - Options
+ * @param {string} [options.procDir] - Root of the proc filesystem (for testing)
+ * @returns {number[]} Listening ports
+ */
+export function getProcPorts(options = {}) {
+  const procDir = options.procDir || "/proc";
+  const sockets = new Map();
+  for (const file of ["net/tcp", "net/tcp6"]) {
+    try {
+      for (const [inode, port] of parseListeningSockets(fs.readFileSync(path.join(procDir, file), "utf-8"))) {
+        sockets.set(inode, port);
+      }
+    } catch {
+      // No IPv6 (or no /proc at all)
+    }
+  }
+  if (sockets.size === 0) return [];
+
+  const ports = new Set();
+  for (const pid of fs.readdirSync(procDir).filter((name) => /^\d+$/.test(name))) {
+    if (Number(pid) === process.pid) continue;
+    let fds;
+    try {
+      const argv = fs.readFileSync(path.join(procDir, pid, "cmdline"), "utf-8").split("\0").filter(Boolean);
+      if (!isOpencodeCommand(argv)) continue;
+      fds = fs.readdirSync(path.join(procDir, pid, "fd"));
+    } catch {
+      // Process exited, or belongs to another user
+      continue;
+    }
+    for (const fd of fds) {
+      try {
+        const match = fs.readlinkSync(path.join(procDir, pid, "fd", fd)).match(/^socket:\[(\d+)\]$/);
+        if (match && sockets.has(match[1])) ports.add(sockets.get(match[1]));
+      } catch {
+        // fd closed while reading
+      }
+    }
+  }
+  return [...ports];
+}
+
+/**
+ * Find ports OpenCode processes listen on with lsof (macOS and others)
+ * @returns {Promise<number[]>} Listening ports
+ */
+export async function getLsofPorts() {
+  try {
+    const lsofPaths = [
+      '/usr/sbin/lsof',
+      '/usr/bin/lsof',
+      '/bin/lsof',
+      '/sbin/lsof'
+    ];
+    let lsofBin = 'lsof';
+    for (const p of lsofPaths) {
+      if (fs.existsSync(p)) {
+        try {
+          fs.accessSync(p, fs.constants.X_OK);
+          lsofBin = p;
+          break;
+        } catch {
+          // Path exists but is not executable, continue to next candidate
+        }
+      }
+    }
+
+    // Use full path to lsof since standard paths may not be in PATH in all contexts
+    // (e.g., when running as a service or from certain shell environments)
+    const { stdout } = await execAsync(`${lsofBin} -i -P 2>/dev/null | grep -E "opencode.*LISTEN" || true`, {
+      encoding: 'utf-8',
+      timeout: 30000
+    });
+
+    const ports = [];
+    for (const line of stdout.split('\n')) {
+      // Parse lines like: opencode-  6897 athal   12u  IPv4 ... TCP *:60993 (LISTEN)
+      const match = line.match(/:(\d+)\s+\(LISTEN\)/);
+      if (match) {
+        ports.push(parseInt(match[1], 10));
+      }
+    }
+    return ports;
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Find ports of running OpenCode servers on this machine
+ * Reads /proc where it exists and falls back to lsof.
+ * @param {object} [options] - Options
+ * @param {string} [options.procDir] - Root of the proc filesystem (for testing)
+ * @returns {Promise<number[]>} Listening ports
+ */
+export async function getOpencodePorts(options = {}) {
+  const procDir = options.procDir || "/proc";
+  if (fs.existsSync(path.join(procDir, "net/tcp"))) {
+    const ports = getProcPorts({ procDir });
+    debug(`getOpencodePorts: found ${ports.length} port(s) in ${procDir}`);
+    return ports;
+  }
+  return getLsofPorts();
+}
+
+/**
+ * Probe servers concurrently and keep the healthy ones
+ * @param {string[]} urls - Server URLs
+ * @param {object} [options] - Options
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {number} [options.timeout] - Timeout in ms per probe (default: 3000)
+ * @returns {Promise<Array<{url: string, project: object}>>} Healthy servers, in the order given
+ */
+export async function probeServers(urls, options = {}) {
+  const fetchFn = options.fetch || fetch;
+  const timeout = options.timeout || PROBE_TIMEOUT_MS;
+
+  const probe = async (url) => {
+    const controller = new AbortController();
+    const check = async () => {
+      const response = await fetchFn(`${url}/project/current`, { signal: controller.signal });
+      if (!response.ok) {
+        debug(`probeServers: ${url} returned ${response.status}`);
+        return null;
+      }
+      const project = await response.json();
+      // Health check: verify response has expected structure
+      if (!isServerHealthy(project)) {
+        debug(`probeServers: ${url} failed health check (invalid project data)`);
+        return null;
+      }
+      return { url, project };
+    };
+    let timer;
+    try {
+      // The timeout covers reading the body too: a server can send headers and stall
+      return await Promise.race([
+        check(),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`timed out after ${timeout}ms`)), timeout);
+        }),
+      ]);
+    } catch (err) {
+      debug(`probeServers: ${url} error: ${err.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+  };
+
+  const results = await Promise.all(urls.map(probe));
+  return results.filter(Boolean);
+}
@@ -0,0 +1,96 @@
+/**
+ * events.js - In-process event bus for pilot activity
+ *
+ * Poll cycles, readiness decisions, sessions and worktrees are published here
+ * as structured events. The HTTP server streams them to clients over SSE
+ * (GET /events); other modules can subscribe with onEvent().
+ *
+ * Every event has { id, type, timestamp } plus type-specific fields. A small
+ * ring buffer of recent events lets reconnecting SSE clients catch up via
+ * Last-Event-ID.
+ */
+
+import { EventEmitter } from "events";
+
+export const EVENT_TYPES = [
+  "poll.started",
+  "poll.finished",
+  "source.fetched",
+  "item.fetched",
+  "item.evaluated",
+  "item.held",
+  "item.deduped",
+  "item.reprocessed",
+  "item.cleared",
+  "item.requeued",
+  "item.closed",
+  "session.created",
+  "session.reused",
+  "session.finished",
+  "item.written_back",
+  "worktree.created",
+  "worktree.setup",
+  "worktree.removed",
+  "server.started",
+  "server.stopped",
+  "error",
+];
+
+// Number of recent events kept for Last-Event-ID replay
+const RECENT_EVENT_LIMIT = 200;
+
+const bus = new EventEmitter();
+// Each SSE client adds a listener; don't warn at the default limit of 10
+bus.setMaxListeners(0);
+
+let nextId = 1;
+const recentEvents = [];
+
+/**
+ * Publish an event
+ * @param {string} type - Event type (see EVENT_TYPES)
+ * @param {object} [data] - Type-specific fields
+ * @returns {object} The published event
+ */
+export function emitEvent(type, data = {}) {
+  const event = {
+    id: nextId++,
+    type,
+    timestamp: new Date().toISOString(),
+    ...data,
+  };
+
+  recentEvents.push(event);
+  if (recentEvents.length > RECENT_EVENT_LIMIT) {
+    recentEvents.shift();
+  }
+
+  // A throwing listener must never break the poll loop that emitted the event
+  for (const listener of bus.listeners("event")) {
+    try {
+      listener(event);
+    } catch (err) {
+      console.error(`[events] Listener error for ${type}: ${err.message}`);
+    }
+  }
+  return event;
+}
+
+/**
+ * Subscribe to all events
+ * @param {function} listener - Called with each event
+ * @returns {function} Unsubscribe function
+ */
+export function onEvent(listener) {
+  bus.on("event", listener);
+  return () => bus.off("event", listener);
+}
+
+/**
+ * Get buffered events newer than an event ID
+ * @param {number} [afterId] - Only events with id > afterId (default: all buffered)
+ * @returns {Array<object>} Events in order
+ */
+export function getRecentEvents(afterId = 0) {
+  return recentEvents.filter((event) => event.id > afterId);
+}
@@ -0,0 +1,296 @@
+/**
+ * history.js - Append-only audit log of per-item decisions
+ *
+ * Processed state only holds an item's latest metadata; this log keeps every
+ * decision pilot made about it, so questions like "why did pilot start three
+ * sessions on PR #412 this week?" can be answered with
+ * `opencode-pilot history ITEM_ID`.
+ *
+ * Entries are JSON lines in `history.jsonl` in the state directory:
+ *
+ *   { at, itemId, source, action, ...details }
+ *
+ * Actions: fetched, ready, not_ready (reason), held (reason), deduped
+ * (duplicateOf), reprocessed (trigger, detail), session_created and
+ * session_reused (sessionId, directory), session_finished (result,
+ * durationMs, error), written_back (actions), closed (actions), failed (stage,
+ * error, attempt, parked), cleared, requeued.
+ *
+ * The recorder subscribes to the event bus. Observations repeated on every
+ * poll (fetched, readiness, held, deduped) are written only when they change
+ * for an item, so an unchanged backlog doesn't grow the log. What was last
+ * written is forgotten once the item leaves its source or is closed. The file is
+ * rotated to history.jsonl.1, .2, ... when it exceeds maxBytes.
+ */
+
+import fs from "fs";
+import path from "path";
+import { onEvent } from "./events.js";
+
+export const HISTORY_FILE = "history.jsonl";
+
+// Rotate at 5 MB, keeping this many rotated files
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_KEEP = 3;
+
+// Actions that only describe what pilot saw; deduplicated per item
+const OBSERVATIONS = new Set(["fetched", "readiness", "held", "deduped"]);
+
+/**
+ * Get the history log path for a state directory
+ * @param {string} dir - State directory
+ * @returns {string} Path to history.jsonl
+ */
+export function getHistoryPath(dir) {
+  return path.join(dir, HISTORY_FILE);
+}
+
+/**
+ * Shift history.jsonl -> .1 -> .2 ..., dropping the oldest
+ * @param {string} filePath - Current log path
+ * @param {number} keep - Rotated files to keep
+ */
+function rotate(filePath, keep) {
+  for (let i = keep - 1; i >= 1; i--) {
+    if (fs.existsSync(`${filePath}.${i}`)) {
+      fs.renameSync(`${filePath}.${i}`, `${filePath}.${i + 1}`);
+    }
+  }
+  fs.renameSync(filePath, `${filePath}.1`);
+}
+
+/**
+ * Append an entry to the history log
+ * @param {string} filePath - Log path
+ * @param {object} entry - Entry with itemId and action ("at" defaults to now)
+ * @param {object} [options] - Rotation options
+ * @param {number} [options.maxBytes] - Rotate when the log exceeds this size
+ * @param {number} [options.keep] - Rotated files to keep
+ */
+export function appendHistory(filePath, entry, options = {}) {
+  const { maxBytes = DEFAULT_MAX_BYTES, keep = DEFAULT_KEEP } = options;
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  try {
+    if (fs.statSync(filePath).size >= maxBytes) {
+      rotate(filePath, keep);
+    }
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  fs.appendFileSync(filePath, JSON.stringify({ at: new Date().toISOString(), ...entry }) + "\n");
+}
+
+/**
+ * Read history entries for an item, oldest first
+ * @param {string} filePath - Log path
+ * @param {string} itemId - Item ID
+ * @param {object} [options] - Options
+ * @param {number} [options.keep] - Rotated files to search
+ * @returns {Array<object>} Entries
+ */
+export function readItemHistory(filePath, itemId, options = {}) {
+  const { keep = DEFAULT_KEEP } = options;
+  const files = [];
+  for (let i = keep; i >= 1; i--) files.push(`${filePath}.${i}`);
+  files.push(filePath);
+
+  const entries = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    for (const line of fs.readFileSync(file, "utf-8").split("\n")) {
+      if (!line.includes(itemId)) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.itemId === itemId) entries.push(entry);
+      } catch {
+        // Skip torn lines
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Map an event to a history entry
+ * @param {object} event - Event from the bus
+ * @returns {{kind: string, signature: string, entry: object}|null} Entry, or null for events without an item
+ */
+function toHistoryEntry(event) {
+  if (!event.itemId) return null;
+  const base = { at: event.timestamp, itemId: event.itemId, source: event.source ?? null };
+
+  switch (event.type) {
+    case "item.fetched":
+      return { kind: "fetched", signature: "", entry: { ...base, action: "fetched" } };
+    case "item.evaluated":
+      return {
+        kind: "readiness",
+        signature: event.ready ? "ready" : `not_ready:${event.reason}`,
+        entry: event.ready
+          ? { ...base, action: "ready" }
+          : { ...base, action: "not_ready", reason: event.reason },
+      };
+    case "item.held":
+      return { kind: "held", signature: event.reason, entry: { ...base, action: "held", reason: event.reason } };
+    case "item.deduped":
+      return {
+        kind: "deduped",
+        signature: event.duplicateOf,
+        entry: { ...base, action: "deduped", duplicateOf: event.duplicateOf },
+      };
+    case "item.reprocessed":
+      return {
+        kind: "reprocessed",
+        entry: { ...base, action: "reprocessed", trigger: event.trigger, detail: event.detail },
+      };
+    case "session.created":
+    case "session.reused":
+      return {
+        kind: "session",
+        entry: {
+          ...base,
+          action: event.type === "session.created" ? "session_created" : "session_reused",
+          sessionId: event.sessionId,
+          directory: event.directory,
+        },
+      };
+    case "session.finished":
+      return {
+        kind: "session_finished",
+        entry: {
+          ...base,
+          action: "session_finished",
+          sessionId: event.sessionId,
+          result: event.result,
+          durationMs: event.durationMs,
+          ...(event.error && { error: event.error }),
+        },
+      };
+    case "item.written_back":
+      return {
+        kind: "written_back",
+        entry: { ...base, action: "written_back", sessionId: event.sessionId, actions: event.actions },
+      };
+    case "item.closed":
+      return {
+        kind: "closed",
+        entry: { ...base, action: "closed", sessionId: event.sessionId, actions: event.actions },
+      };
+    case "error":
+      return {
+        kind: "failed",
+        entry: {
+          ...base,
+          action: "failed",
+          stage: event.stage,
+          error: event.message,
+          ...(event.attempt != null && { attempt: event.attempt, parked: event.parked }),
+        },
+      };
+    case "worktree.setup":
+      return {
+        kind: "worktree_setup",
+        entry: {
+          ...base,
+          action: "worktree_setup",
+          directory: event.directory,
+          success: event.success,
+          exitCode: event.exitCode,
+          durationMs: event.durationMs,
+          output: event.output,
+        },
+      };
+    case "item.cleared":
+      return { kind: "cleared", entry: { ...base, action: "cleared", via: event.via ?? "api" } };
+    case "item.requeued":
+      return { kind: "requeued", entry: { ...base, action: "requeued" } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record item events from the event bus into the history log
+ * @param {object} options - Recorder options
+ * @param {string} options.path - Log path
+ * @param {number} [options.maxBytes] - Rotate when the log exceeds this size
+ * @returns {object} Recorder with stop()
+ */
+export function createHistoryRecorder(options) {
+  const { path: filePath, maxBytes } = options;
+  // itemId -> Map(kind -> signature) of the last observations written
+  const lastObserved = new Map();
+  // itemId -> source it was last fetched from
+  const itemSources = new Map();
+  // source -> IDs fetched in the poll in progress
+  const fetching = new Map();
+
+  /**
+   * Forget items of a source that weren't in its latest successful fetch
+   * @param {string} source - Source name
+   */
+  function forgetMissing(source) {
+    const current = fetching.get(source) || new Set();
+    fetching.delete(source);
+    for (const [itemId, itemSource] of itemSources) {
+      if (itemSource === source && !current.has(itemId)) {
+        itemSources.delete(itemId);
+        lastObserved.delete(itemId);
+      }
+    }
+  }
+
+  const unsubscribe = onEvent((event) => {
+    if (event.type === "poll.started") {
+      fetching.set(event.source, new Set());
+    } else if (event.type === "item.fetched") {
+      fetching.get(event.source)?.add(event.itemId);
+      itemSources.set(event.itemId, event.source);
+    } else if (event.type === "source.fetched") {
+      forgetMissing(event.source);
+    }
+
+    const mapped = toHistoryEntry(event);
+    if (!mapped) return;
+
+    const { kind, signature, entry } = mapped;
+    if (kind === "closed") {
+      itemSources.delete(entry.itemId);
+      lastObserved.delete(entry.itemId);
+    }
+    let observed = lastObserved.get(entry.itemId);
+    if (OBSERVATIONS.has(kind)) {
+      if (observed?.get(kind) === signature) return;
+      if (!observed) {
+        observed = new Map();
+        lastObserved.set(entry.itemId, observed);
+      }
+      observed.set(kind, signature);
+    } else if (observed) {
+      // After a decision, the next poll's observations are worth recording again
+      for (const key of observed.keys()) {
+        if (key !== "fetched") observed.delete(key);
+      }
+    }
+
+    try {
+      appendHistory(filePath, entry, { maxBytes });
+    } catch (err) {
+      console.error(`[history] Failed to record ${entry.action} for ${entry.itemId}: ${err.message}`);
+    }
+  });
+
+  return {
+    /**
+     * Stop recording (unsubscribe from the event bus)
+     */
+    stop() {
+      unsubscribe();
+    },
+  };
+}
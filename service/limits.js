@@ -0,0 +1,201 @@
+/**
+ * limits.js - Concurrency and rate limits on session creation
+ *
+ * `max_active_sessions` caps how many sessions pilot has started may be
+ * working at once. It can be set at three levels, all of which apply:
+ *
+ *   max_active_sessions: 6          # top level: across all sources
+ *   sources:
+ *     - preset: github/my-issues
+ *       max_active_sessions: 3      # per source (or in defaults, for every source)
+ *   repos:
+ *     myorg/backend:
+ *       max_active_sessions: 1      # per repo
+ *
+ * A session is active while the OpenCode server it runs on reports it busy
+ * (or retrying) in GET /session/status. Only sessions recorded in processed
+ * state count, so sessions you start yourself don't use up pilot's slots. Ready items over a
+ * limit are held: they stay unprocessed and are reconsidered, in priority
+ * order, on the next poll.
+ *
+ * `max_sessions_per_hour` (top level and per source) caps how fast sessions
+ * are created, regardless of how quickly they finish. Each limit is a token
+ * bucket holding up to N tokens and refilling at N per hour, so a burst of N
+ * sessions is allowed and then one more every 60/N minutes. Buckets are kept
+ * in poll state so restarting pilot doesn't refill them. Items over the rate
+ * are deferred the same way.
+ */
+
+const ACTIVE_STATUS_TYPES = new Set(["busy", "retry"]);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Validate a limit value
+ * @param {string} key - Config key (for the warning)
+ * @param {*} value - Configured value
+ * @param {string} label - Where it was configured (for the warning)
+ * @returns {number|null} Limit, or null if unset or invalid
+ */
+function parseLimit(key, value, label) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    console.warn(`[limits] Invalid ${key} '${value}' for ${label}, ignoring it`);
+    return null;
+  }
+  return value;
+}
+
+/**
+ * Validate a max_active_sessions value
+ * @param {*} value - Configured value
+ * @param {string} label - Where it was configured (for the warning)
+ * @returns {number|null} Limit, or null if unset or invalid
+ */
+export function parseSessionLimit(value, label) {
+  return parseLimit("max_active_sessions", value, label);
+}
+
+/**
+ * Collect the limits that apply to an item
+ * @param {number|null} globalLimit - Top-level max_active_sessions
+ * @param {object} source - Source config
+ * @param {object} repoConfig - Config of the item's repo
+ * @param {string} repoKey - Item's repo key
+ * @returns {{global: number|null, source: number|null, repo: number|null}} Limits (null = unlimited)
+ */
+export function getSessionLimits(globalLimit, source, repoConfig, repoKey) {
+  return {
+    global: parseSessionLimit(globalLimit, "config"),
+    source: parseSessionLimit(source?.max_active_sessions, `source '${source?.name || "unknown"}'`),
+    repo: parseSessionLimit(repoConfig?.max_active_sessions, `repo '${repoKey}'`),
+  };
+}
+
+/**
+ * Check whether any limit is set
+ * @param {object} limits - Limits from getSessionLimits
+ * @returns {boolean} True if at least one limit applies
+ */
+export function hasSessionLimits(limits) {
+  return limits.global !== null || limits.source !== null || limits.repo !== null;
+}
+
+/**
+ * Count pilot-started sessions that are currently active
+ * @param {object} statuses - Map of sessionId -> status (from getSessionStatuses)
+ * @param {Array<object>} sessions - Processed entries with sessionId, source and repoKey
+ * @returns {{total: number, bySource: object, byRepo: object}} Active session counts
+ */
+export function countActiveSessions(statuses, sessions) {
+  const counts = { total: 0, bySource: {}, byRepo: {} };
+  const seen = new Set();
+  for (const { sessionId, source, repoKey } of sessions) {
+    // Stacked PRs share a session; count it once
+    if (!sessionId || seen.has(sessionId)) continue;
+    if (!ACTIVE_STATUS_TYPES.has(statuses?.[sessionId]?.type)) continue;
+    seen.add(sessionId);
+    counts.total++;
+    if (source) counts.bySource[source] = (counts.bySource[source] || 0) + 1;
+    if (repoKey) counts.byRepo[repoKey] = (counts.byRepo[repoKey] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Track free session slots during a poll
+ * @param {object} counts - Active session counts from countActiveSessions
+ * @returns {object} Slots with check() and take()
+ */
+export function createSessionSlots(counts) {
+  let total = counts.total;
+  const bySource = { ...counts.bySource };
+  const byRepo = { ...counts.byRepo };
+
+  return {
+    /**
+     * Check whether a session may start
+     * @param {object} limits - Limits from getSessionLimits
+     * @param {object} key - The item's { source, repo }
+     * @returns {string|null} Why the item must wait, or null if a slot is free
+     */
+    check(limits, key) {
+      if (limits.global !== null && total >= limits.global) {
+        return `max_active_sessions reached (${total}/${limits.global} active)`;
+      }
+      const sourceCount = bySource[key.source] || 0;
+      if (limits.source !== null && sourceCount >= limits.source) {
+        return `max_active_sessions reached for source ${key.source} (${sourceCount}/${limits.source} active)`;
+      }
+      const repoCount = byRepo[key.repo] || 0;
+      if (limits.repo !== null && repoCount >= limits.repo) {
+        return `max_active_sessions reached for repo ${key.repo} (${repoCount}/${limits.repo} active)`;
+      }
+      return null;
+    },
+
+    /**
+     * Count a session that was just started
+     * @param {object} key - The item's { source, repo }
+     */
+    take(key) {
+      total++;
+      bySource[key.source] = (bySource[key.source] || 0) + 1;
+      byRepo[key.repo] = (byRepo[key.repo] || 0) + 1;
+    },
+  };
+}
+
+/**
+ * Collect the session rate limits that apply to a source
+ * @param {number|null} globalLimit - Top-level max_sessions_per_hour
+ * @param {object} source - Source config
+ * @returns {{global: number|null, source: number|null}} Sessions per hour (null = unlimited)
+ */
+export function getRateLimits(globalLimit, source) {
+  return {
+    global: parseLimit("max_sessions_per_hour", globalLimit, "config"),
+    source: parseLimit("max_sessions_per_hour", source?.max_sessions_per_hour, `source '${source?.name || "unknown"}'`),
+  };
+}
+
+/**
+ * Refill a token bucket for the time since it was last updated
+ * @param {object|null} bucket - Persisted { tokens, updatedAt }; null starts full
+ * @param {number} limit - Sessions per hour (bucket size and refill rate)
+ * @param {Date} [now] - Current time
+ * @returns {object} Refilled { tokens, updatedAt }
+ */
+export function refillBucket(bucket, limit, now = new Date()) {
+  if (!bucket) {
+    return { tokens: limit, updatedAt: now.toISOString() };
+  }
+  const elapsed = Math.max(0, now.getTime() - new Date(bucket.updatedAt).getTime());
+  return {
+    tokens: Math.min(limit, bucket.tokens + (elapsed * limit) / HOUR_MS),
+    updatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Check whether a bucket has a token for another session
+ * @param {object} bucket - Refilled bucket (from refillBucket)
+ * @param {number} limit - Sessions per hour
+ * @returns {{allowed: boolean, nextAt: string|null}} nextAt is when the next token is available
+ */
+export function checkBucket(bucket, limit) {
+  if (bucket.tokens >= 1) {
+    return { allowed: true, nextAt: null };
+  }
+  const waitMs = ((1 - bucket.tokens) * HOUR_MS) / limit;
+  return { allowed: false, nextAt: new Date(new Date(bucket.updatedAt).getTime() + waitMs).toISOString() };
+}
+
+/**
+ * Spend a token for a session that was started
+ * @param {object} bucket - Refilled bucket (from refillBucket)
+ * @returns {object} Bucket with one token fewer
+ */
+export function takeToken(bucket) {
+  return { ...bucket, tokens: Math.max(0, bucket.tokens - 1) };
+}
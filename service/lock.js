@@ -0,0 +1,270 @@
+/**
+ * lock.js - Exclusive lease on the pilot state directory
+ *
+ * Only one daemon may poll against a state directory at a time; two daemons
+ * sharing poll-state.json would each start sessions for the same items. The
+ * lock is a file (`pilot.lock`) created with O_EXCL and holding a lease:
+ *
+ *   { owner, pid, hostname, acquiredAt, renewedAt, expiresAt }
+ *
+ * The holder renews the lease periodically. A lock can be taken over when
+ * its lease has expired, or immediately when it was left behind by a process
+ * on this host that no longer exists. Takeovers are serialized through a
+ * second O_EXCL file (`pilot.lock.takeover`), so two processes that both saw
+ * the same stale lease can't each delete the lock the other just created.
+ * Because the lease is time-based rather
+ * than tied to a local PID, a pilot on another machine sharing the state
+ * directory (e.g. over a synced or network filesystem) takes over once the
+ * previous holder stops renewing.
+ *
+ * Renewal checks that the file still names this holder; if another process
+ * has taken the lock (e.g. after this machine slept past the lease), or the
+ * lease can't be written, the holder is told via onLost and must stop
+ * touching state.
+ */
+
+import fs from "fs";
+import path from "path";
+import os from "os";
+import { randomUUID } from "crypto";
+import { writeFileAtomic } from "./state-store.js";
+
+export const LOCK_FILE = "pilot.lock";
+const TAKEOVER_SUFFIX = ".takeover";
+
+// Lease length; holders renew every third of it
+export const DEFAULT_LEASE_MS = 60 * 1000;
+
+/**
+ * Thrown when another live process holds the lock
+ */
+export class LockHeldError extends Error {
+  /**
+   * @param {string} message - Description
+   * @param {object} holder - Current lock contents
+   */
+  constructor(message, holder) {
+    super(message);
+    this.name = "LockHeldError";
+    this.code = "LOCK_HELD";
+    this.holder = holder;
+  }
+}
+
+/**
+ * Check whether a local process exists
+ * @param {number} pid - Process ID
+ * @returns {boolean} True unless the process is known to be gone
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: exists but owned by another user
+    return err.code === "EPERM";
+  }
+}
+
+/**
+ * Read the current lock holder
+ * @param {string} dir - State directory
+ * @returns {object|null} Lock contents, or null if unlocked
+ */
+export function readLock(dir) {
+  const lockPath = path.join(dir, LOCK_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    // Unparseable: being written right now, or torn by a crash. Give it one
+    // default lease from its last modification before treating it as stale.
+    try {
+      const mtime = fs.statSync(lockPath).mtimeMs;
+      return { expiresAt: new Date(mtime + DEFAULT_LEASE_MS).toISOString() };
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Check whether a lock can be taken over
+ * @param {object} holder - Lock contents
+ * @param {number} now - Current time in ms
+ * @returns {string|null} Why the lock is stale, or null if it is live
+ */
+function getStaleReason(holder, now) {
+  if (!(Date.parse(holder.expiresAt) > now)) {
+    return "lease expired";
+  }
+  if (holder.hostname === os.hostname() && holder.pid && !isProcessAlive(holder.pid)) {
+    return `pid ${holder.pid} is no longer running`;
+  }
+  return null;
+}
+
+/**
+ * Run a stale-lock takeover while holding the takeover guard file
+ * A guard left behind by a taker that crashed mid-takeover is removed once
+ * it is older than one lease.
+ * @param {string} lockPath - Lock file path
+ * @param {number} leaseMs - Lease length in ms
+ * @param {function} fn - Takeover to run
+ * @throws {LockHeldError} If another process is taking over right now
+ */
+function withTakeoverGuard(lockPath, leaseMs, fn) {
+  const guardPath = lockPath + TAKEOVER_SUFFIX;
+  try {
+    fs.writeFileSync(guardPath, String(process.pid), { flag: "wx" });
+  } catch (err) {
+    if (err.code !== "EEXIST") throw err;
+    let abandoned = false;
+    try {
+      abandoned = Date.now() - fs.statSync(guardPath).mtimeMs > leaseMs;
+    } catch {
+      // Removed by its taker in the meantime
+    }
+    if (!abandoned) {
+      throw new LockHeldError(`State directory ${path.dirname(lockPath)} is being taken over by another process`, null);
+    }
+    fs.rmSync(guardPath, { force: true });
+    fs.writeFileSync(guardPath, String(process.pid), { flag: "wx" });
+  }
+  try {
+    fn();
+  } finally {
+    fs.rmSync(guardPath, { force: true });
+  }
+}
+
+/**
+ * Describe a lock holder for messages
+ * @param {object} holder - Lock contents
+ * @returns {string} e.g. "pid 123 on laptop"
+ */
+export function describeHolder(holder) {
+  return `pid ${holder.pid ?? "?"} on ${holder.hostname ?? "unknown host"}`;
+}
+
+/**
+ * Acquire the state directory lock
+ * @param {object} options - Lock options
+ * @param {string} options.dir - State directory
+ * @param {number} [options.leaseMs] - Lease length in ms (default: 60s)
+ * @param {function} [options.onLost] - Called with the new holder (or null) if the lock is taken by
+ *   another process or can't be renewed
+ * @returns {object} Lock with path, owner, renew() and release()
+ * @throws {LockHeldError} If another live process holds the lock
+ */
+export function acquireLock(options) {
+  const { dir, leaseMs = DEFAULT_LEASE_MS, onLost } = options;
+  const lockPath = path.join(dir, LOCK_FILE);
+  const owner = randomUUID();
+  const acquiredAt = new Date().toISOString();
+
+  const lease = () => {
+    const now = Date.now();
+    return JSON.stringify({
+      owner,
+      pid: process.pid,
+      hostname: os.hostname(),
+      acquiredAt,
+      renewedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + leaseMs).toISOString(),
+    }, null, 2);
+  };
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const checkStale = (holder) => {
+    const staleReason = getStaleReason(holder, Date.now());
+    if (!staleReason) {
+      throw new LockHeldError(
+        `State directory ${dir} is locked by ${describeHolder(holder)} (lease expires ${holder.expiresAt})`,
+        holder
+      );
+    }
+    return staleReason;
+  };
+
+  // O_EXCL create: if two processes race for a free lock only one wins
+  const create = () => {
+    try {
+      fs.writeFileSync(lockPath, lease(), { flag: "wx" });
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      const winner = readLock(dir);
+      throw new LockHeldError(`State directory ${dir} was locked by ${describeHolder(winner)} while acquiring`, winner);
+    }
+  };
+
+  const holder = readLock(dir);
+  if (holder) {
+    checkStale(holder);
+    withTakeoverGuard(lockPath, leaseMs, () => {
+      // Another process may have taken over between the first read and the guard
+      const current = readLock(dir);
+      if (current) {
+        const staleReason = checkStale(current);
+        console.warn(`[lock] Taking over stale lock from ${describeHolder(current)}: ${staleReason}`);
+        fs.rmSync(lockPath, { force: true });
+      }
+      create();
+    });
+  } else {
+    create();
+  }
+
+  let released = false;
+  const renewTimer = setInterval(() => lock.renew(), Math.max(Math.floor(leaseMs / 3), 1000));
+  renewTimer.unref();
+
+  const lock = {
+    path: lockPath,
+    owner,
+
+    /**
+     * Extend the lease
+     * @returns {boolean} False if the lock now belongs to another process
+     */
+    renew() {
+      if (released) return false;
+      const lose = (current, message) => {
+        released = true;
+        clearInterval(renewTimer);
+        console.error(`[lock] ${message}`);
+        if (onLost) onLost(current);
+        return false;
+      };
+      const current = readLock(dir);
+      if (current?.owner !== owner) {
+        return lose(current, `Lost lock on ${dir}${current ? ` to ${describeHolder(current)}` : ""}`);
+      }
+      try {
+        writeFileAtomic(lockPath, lease());
+      } catch (err) {
+        // Runs from a timer: a throw here would crash the daemon. Without a
+        // renewed lease another pilot may take over, so stop as if it had.
+        return lose(null, `Could not renew lock on ${dir}: ${err.message}`);
+      }
+      return true;
+    },
+
+    /**
+     * Release the lock (only if still held by this process)
+     */
+    release() {
+      if (released) return;
+      released = true;
+      clearInterval(renewTimer);
+      if (readLock(dir)?.owner === owner) {
+        fs.unlinkSync(lockPath);
+      }
+    },
+  };
+
+  return lock;
+}
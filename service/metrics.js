@@ -0,0 +1,218 @@
+/**
+ * metrics.js - Prometheus metrics for the pilot service
+ *
+ * Counters and histograms are fed by the event bus (see events.js), so poll
+ * code doesn't need to know about metrics. Gauges describing current state
+ * (processed-state size, open circuit breakers) are computed at scrape time
+ * from the source status passed to render().
+ *
+ * Exposed at GET /metrics in the Prometheus text exposition format.
+ */
+
+import { onEvent } from "./events.js";
+
+// Histogram buckets in seconds: poll cycles range from sub-second MCP calls
+// to minutes of gh enrichment across many PRs
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+// Agent sessions run from seconds to hours
+const SESSION_DURATION_BUCKETS = [30, 60, 300, 600, 1800, 3600, 7200, 14400];
+
+/**
+ * Escape a label value for the text format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {object} labels - Label names to values
+ * @returns {string} Formatted labels (empty string for no labels)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * Create a counter keyed by label set
+ */
+function createCounter(name, help) {
+  const values = new Map();
+  return {
+    inc(labels, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [labels, value] of values) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Create a histogram keyed by label set
+ */
+function createHistogram(name, help, buckets = DURATION_BUCKETS) {
+  // labels object JSON -> { labels, counts per bucket, sum, count }
+  const series = new Map();
+  return {
+    observe(labels, value) {
+      const key = JSON.stringify(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Render a gauge from current values
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {Array<[object, number]>} samples - [labels, value] pairs
+ * @returns {string[]} Lines
+ */
+function renderGauge(name, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+  for (const [labels, value] of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+  return lines;
+}
+
+/**
+ * Create a metrics collector subscribed to the event bus
+ * @returns {object} Collector with render(sources) and stop()
+ */
+export function createMetrics() {
+  const itemsFetched = createCounter("pilot_items_fetched_total", "Items fetched from sources");
+  const itemsReady = createCounter("pilot_items_ready_total", "Items that passed readiness checks");
+  const sessionsCreated = createCounter("pilot_sessions_created_total", "Sessions created for items");
+  const sessionsReused = createCounter("pilot_sessions_reused_total", "Existing sessions reused for items");
+  const sessionsFinished = createCounter("pilot_sessions_finished_total", "Sessions that stopped working, by result (idle, error, archived, missing)");
+  const failures = createCounter("pilot_failures_total", "Fetch and session failures");
+  const pollDuration = createHistogram("pilot_poll_duration_seconds", "Duration of a poll cycle for one source");
+  const enrichDuration = createHistogram("pilot_enrichment_duration_seconds", "Duration of item enrichment (comments, mergeable, branch refs)");
+  const sessionDuration = createHistogram(
+    "pilot_session_duration_seconds",
+    "Time from sending a prompt until the session stopped working",
+    SESSION_DURATION_BUCKETS
+  );
+  // source -> unix seconds, for alerting when sessions stop being started
+  const lastSessionAt = new Map();
+
+  const unsubscribe = onEvent((event) => {
+    const source = event.source || "unknown";
+    switch (event.type) {
+      case "item.fetched":
+        itemsFetched.inc({ source });
+        break;
+      case "item.evaluated":
+        if (event.ready) itemsReady.inc({ source });
+        break;
+      case "session.created":
+        sessionsCreated.inc({ source });
+        lastSessionAt.set(source, Date.parse(event.timestamp) / 1000);
+        break;
+      case "session.reused":
+        sessionsReused.inc({ source });
+        lastSessionAt.set(source, Date.parse(event.timestamp) / 1000);
+        break;
+      case "session.finished":
+        sessionsFinished.inc({ source, result: event.result });
+        sessionDuration.observe({ source }, event.durationMs / 1000);
+        break;
+      case "error":
+        failures.inc({ source, stage: event.stage || "unknown" });
+        break;
+      case "source.fetched":
+        enrichDuration.observe({ source }, event.enrichDurationMs / 1000);
+        break;
+      case "poll.finished":
+        pollDuration.observe({ source }, event.durationMs / 1000);
+        break;
+    }
+  });
+
+  return {
+    /**
+     * Render all metrics in Prometheus text format
+     * @param {Array<object>} [sources] - Source status from getSourcesStatus()
+     * @returns {string} Exposition text
+     */
+    render(sources = []) {
+      const lines = [
+        ...itemsFetched.render(),
+        ...itemsReady.render(),
+        ...sessionsCreated.render(),
+        ...sessionsReused.render(),
+        ...sessionsFinished.render(),
+        ...failures.render(),
+        ...pollDuration.render(),
+        ...enrichDuration.render(),
+        ...sessionDuration.render(),
+        ...renderGauge(
+          "pilot_last_session_timestamp_seconds",
+          "Unix time of the last session created or reused",
+          Array.from(lastSessionAt, ([source, time]) => [{ source }, time])
+        ),
+        ...renderGauge(
+          "pilot_processed_items",
+          "Entries in processed state",
+          sources.map((s) => [{ source: s.name }, s.processedCount ?? 0])
+        ),
+        ...renderGauge(
+          "pilot_circuit_breaker_open",
+          "1 if the source's circuit breaker is open",
+          sources.map((s) => [{ source: s.name }, s.circuitOpen ? 1 : 0])
+        ),
+        ...renderGauge(
+          "pilot_source_paused",
+          "1 if the source is paused",
+          sources.map((s) => [{ source: s.name }, s.paused ? 1 : 0])
+        ),
+        ...renderGauge(
+          "pilot_last_poll_timestamp_seconds",
+          "Unix time of the last poll attempt",
+          sources.filter((s) => s.lastPollAt).map((s) => [{ source: s.name }, Date.parse(s.lastPollAt) / 1000])
+        ),
+      ];
+      return lines.join("\n") + "\n";
+    },
+
+    /**
+     * Stop collecting (unsubscribe from the event bus)
+     */
+    stop() {
+      unsubscribe();
+    },
+  };
+}
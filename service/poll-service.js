@@ -9,17 +9,26 @@
  * 5. Track processed items to avoid duplicates
  */
 
-import { loadRepoConfig, getRepoConfig, getAllSources, getToolProviderConfig, resolveRepoForItem, getCleanupTtlDays, getStartupDelay } from "./repo-config.js";
+import { loadRepoConfig, getRepoConfig, getAllSources, getToolProviderConfig, resolveRepoForItem, getCleanupTtlDays, getStartupDelay, getStateConfig, getMaxActiveSessions, getMaxSessionsPerHour, getWorktreeGcInterval, getServerAutostartConfig } from "./repo-config.js";
 import { createPoller, pollGenericSource, enrichItemsWithComments, enrichItemsWithMergeable, enrichItemsWithBranchRefs, computeAttentionLabels, computeDedupKeys, detectStacks } from "./poller.js";
 import { evaluateReadiness, sortByPriority } from "./readiness.js";
-import { executeAction, buildCommand } from "./actions.js";
+import { executeAction, buildCommand, fetchSessionStatuses, discoverOpencodeServer } from "./actions.js";
+import { createScheduler, createRunGuard, parseDuration, DEFAULT_POLL_INTERVAL } from "./scheduler.js";
+import { getBackoffConfig, checkBackoff, recordFailure, recordSuccess, getMaxAttempts, checkRetry, recordAttemptFailure } from "./backoff.js";
+import { checkActiveWindow } from "./active-hours.js";
+import { getSessionLimits, hasSessionLimits, countActiveSessions, createSessionSlots, getRateLimits, refillBucket, checkBucket, takeToken } from "./limits.js";
+import { emitEvent } from "./events.js";
+import { createHistoryRecorder, getHistoryPath } from "./history.js";
+import { createSessionTracker } from "./session-tracker.js";
+import { createWriteBack } from "./write-back.js";
+import { getClosedItemPolicy, closeItem } from "./closed-items.js";
+import { collectWorktreeGarbage } from "./worktree-gc.js";
+import { createServerAutostart } from "./server-autostart.js";
 import { debug } from "./logger.js";
+import { existsSync } from "fs";
 import path from "path";
 import os from "os";
 
-// Default configuration
-const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000; // 5 minutes
-
 /**
  * Check if a source has tool configuration
  * @see getToolConfig in poller.js for actual tool config resolution
@@ -67,7 +76,9 @@ export function buildActionConfigFromSource(source, repoConfig) {
     ...(resolveField('agent') && { agent: resolveField('agent') }),
     ...(resolveField('model') && { model: resolveField('model') }),
     ...(resolveField('working_dir') && { working_dir: resolveField('working_dir') }),
+    ...(resolveField('worktree_setup') && { worktree_setup: resolveField('worktree_setup') }),
     ...(source.worktree_name && { worktree_name: source.worktree_name }),
+    ...(source.checkout && { checkout: source.checkout }),
   };
 }
 
@@ -90,9 +101,101 @@ export function buildActionConfigForItem(source, item) {
   return buildActionConfigFromSource(source, repoConfig);
 }
 
+/**
+ * Discover the OpenCode server for a directory, starting one if
+ * server.autostart is on and none is running
+ * @param {string} targetDir - Directory a session would run in
+ * @returns {Promise<string|null>} Server URL or null
+ */
+async function discoverServer(targetDir) {
+  const url = await discoverOpencodeServer(targetDir);
+  if (url || !serverAutostart) return url;
+  return serverAutostart.ensureServer(targetDir);
+}
+
+// Key used by the run guard for a cycle covering every source
+const ALL_SOURCES = "*";
+
 // Global state
-let pollingInterval = null;
+let scheduler = null;
 let pollerInstance = null;
+let historyRecorder = null;
+let sessionTracker = null;
+let writeBack = null;
+let worktreeGcTimer = null;
+let serverAutostart = null;
+// Source name -> { at, timer } for polls scheduled to retry failed session starts
+const retryTimers = new Map();
+let pollConfigPath = undefined;
+const pollGuard = createRunGuard();
+// Latest readiness evaluation per source (sourceName -> Map of itemId -> evaluation).
+// In-memory only: replaced on every successful fetch so it mirrors the last poll.
+const lastEvaluations = new Map();
+
+/**
+ * Schedule an extra poll of a source for when an item's retry is due
+ * Only while the polling loop runs; keeps the earliest pending time per source.
+ * @param {string} sourceName - Source name
+ * @param {string} at - ISO time the retry is due
+ */
+function scheduleRetryPoll(sourceName, at) {
+  if (!scheduler) return;
+  const existing = retryTimers.get(sourceName);
+  if (existing && existing.at <= at) return;
+  if (existing) clearTimeout(existing.timer);
+
+  const timer = setTimeout(() => {
+    retryTimers.delete(sourceName);
+    triggerPoll({ sourceName }).catch((err) => {
+      console.error(`[poll] Retry poll for ${sourceName} failed: ${err.message}`);
+    });
+  }, Math.max(0, new Date(at).getTime() - Date.now()));
+  timer.unref();
+  retryTimers.set(sourceName, { at, timer });
+}
+
+/**
+ * Record a failed session start: back off and retry, or park the item as
+ * failed once max_attempts is reached
+ * @param {object} item - Item whose session failed to start
+ * @param {object} source - Source config
+ * @param {string} sourceName - Source name
+ * @param {string} message - Failure message
+ * @returns {object|null} Updated retry state (null without a poller)
+ */
+function recordSessionFailure(item, source, sourceName, message) {
+  if (!pollerInstance) return null;
+
+  const maxAttempts = getMaxAttempts(source);
+  const retry = recordAttemptFailure(pollerInstance.getRetry(item.id), message, {
+    ...getBackoffConfig(source),
+    maxAttempts,
+  });
+  pollerInstance.setRetry(item.id, {
+    source: sourceName,
+    title: item.title ?? null,
+    url: item.html_url || item.url || null,
+    ...retry,
+  });
+
+  if (retry.failed) {
+    console.error(`[poll] Giving up on ${item.id} after ${retry.attempts} attempt(s); re-queue with: opencode-pilot retry ${item.id}`);
+  } else {
+    console.log(`[poll] Will retry ${item.id} after ${retry.nextAttemptAt} (attempt ${retry.attempts} of ${maxAttempts})`);
+    scheduleRetryPoll(sourceName, retry.nextAttemptAt);
+  }
+  return retry;
+}
+
+/**
+ * Create the poller using the state backend and directory from config
+ * @param {string} [configPath] - Path to opencode.json
+ * @returns {object} Poller instance
+ */
+function createStatePoller(configPath) {
+  const { backend, dir } = getStateConfig();
+  return createPoller({ configPath, stateBackend: backend, stateDir: dir });
+}
 
 /**
  * Run a single poll cycle
@@ -100,6 +203,8 @@ let pollerInstance = null;
  * @param {boolean} [options.dryRun] - If true, don't execute actions
  * @param {boolean} [options.skipMcp] - If true, skip MCP fetching (for testing)
  * @param {string} [options.configPath] - Path to config.yaml
+ * @param {string} [options.sourceName] - Only poll the source with this name
+ * @param {boolean} [options.force] - Poll even if the source is backing off
  * @returns {Promise<Array>} Results of actions taken
  */
 export async function pollOnce(options = {}) {
@@ -107,6 +212,8 @@ export async function pollOnce(options = {}) {
     dryRun = false,
     skipMcp = false,
     configPath,
+    sourceName,
+    force = false,
   } = options;
 
   const results = [];
@@ -116,280 +223,826 @@ export async function pollOnce(options = {}) {
 
   // Ensure poller is initialized for state tracking
   if (!pollerInstance) {
-    pollerInstance = createPoller({ configPath });
+    pollerInstance = createStatePoller(configPath);
   }
 
-  // Get all sources
-  const sources = getAllSources();
+  // Get all sources (or just the requested one)
+  let sources = getAllSources();
+  if (sourceName) {
+    sources = sources.filter((source) => (source.name || 'unknown') === sourceName);
+  }
 
   if (sources.length === 0) {
-    debug("No sources configured");
+    debug(sourceName ? `Source ${sourceName} not found in config` : "No sources configured");
     return results;
   }
 
   // Process each source
   for (const source of sources) {
-    const sourceName = source.name || 'unknown';
+    const name = source.name || 'unknown';
+    const startedAt = Date.now();
+    emitEvent("poll.started", { source: name });
 
-    if (!hasToolConfig(source)) {
-      console.error(`[poll] Source '${sourceName}' missing tool configuration (requires tool.command or tool.mcp and tool.name)`);
-      continue;
+    const sourceResults = await pollSource(source, { dryRun, skipMcp, force });
+    results.push(...sourceResults);
+
+    emitEvent("poll.finished", {
+      source: name,
+      durationMs: Date.now() - startedAt,
+      started: sourceResults.filter((r) => r.success).length,
+      held: sourceResults.filter((r) => r.held).length,
+      deferred: sourceResults.filter((r) => r.deferred).length,
+      failed: sourceResults.filter((r) => r.error && !r.skipped).length,
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Poll a single source: fetch items, evaluate readiness and start sessions
+ * @param {object} source - Normalized source configuration
+ * @param {object} options - Poll options
+ * @param {boolean} [options.dryRun] - If true, don't execute actions
+ * @param {boolean} [options.skipMcp] - If true, skip MCP fetching (for testing)
+ * @param {boolean} [options.force] - Poll even if the source is backing off
+ * @returns {Promise<Array>} Results of actions taken for this source
+ */
+async function pollSource(source, options = {}) {
+  const { dryRun = false, skipMcp = false, force = false } = options;
+  const results = [];
+  const sourceName = source.name || 'unknown';
+
+  if (!hasToolConfig(source)) {
+    console.error(`[poll] Source '${sourceName}' missing tool configuration (requires tool.command or tool.mcp and tool.name)`);
+    return results;
+  }
+
+  let items = [];
+  let toolProviderConfig = null;
+
+  // Fetch items from source
+  if (!skipMcp) {
+    const sourceState = pollerInstance?.getSourceState(sourceName);
+    if (sourceState?.paused) {
+      debug(`Skipping ${sourceName} (paused)`);
+      return results;
     }
 
-    let items = [];
-    let toolProviderConfig = null;
+    // Skip sources that are backing off after consecutive fetch failures
+    const backoff = checkBackoff(sourceState);
+    if (backoff.skip && !force) {
+      debug(`Skipping ${sourceName} (${backoff.reason} until ${backoff.until})`);
+      return results;
+    }
 
-    // Fetch items from source
-    if (!skipMcp) {
-      try {
-        // Get provider config - for MCP sources use source.tool.mcp, for CLI sources detect provider
-        let provider = source.tool.mcp;
-        if (!provider && Array.isArray(source.tool?.command) && source.tool.command[0] === 'gh') {
-          provider = 'github'; // CLI-based GitHub source
-        }
-        toolProviderConfig = getToolProviderConfig(provider);
-        items = await pollGenericSource(source, { toolProviderConfig });
-        debug(`Fetched ${items.length} items from ${sourceName}`);
-        
-        // Enrich items with comments for bot filtering if configured
-        if (source.filter_bot_comments) {
-          items = await enrichItemsWithComments(items, source);
-          debug(`Enriched ${items.length} items with comments for bot filtering`);
-        }
-        
-        // Enrich items with mergeable status for conflict detection if configured
-        if (source.enrich_mergeable) {
-          items = await enrichItemsWithMergeable(items, source);
-          debug(`Enriched ${items.length} items with mergeable status`);
-        }
-        
-        // Enrich items with branch refs for stack detection if configured
-        if (source.detect_stacks) {
-          items = await enrichItemsWithBranchRefs(items, source);
-          debug(`Enriched ${items.length} items with branch refs for stack detection`);
-        }
-        
-        // Compute attention labels if both enrichments are present (for my-prs-attention)
-        if (source.enrich_mergeable && source.filter_bot_comments) {
-          items = computeAttentionLabels(items, source);
-          debug(`Computed attention labels for ${items.length} items`);
-        }
-      } catch (err) {
-        console.error(`[poll] Error fetching from ${sourceName}: ${err.message}`);
-        continue;
+    try {
+      // Get provider config - for MCP sources use source.tool.mcp, for CLI sources detect provider
+      let provider = source.tool.mcp;
+      if (!provider && Array.isArray(source.tool?.command) && source.tool.command[0] === 'gh') {
+        provider = 'github'; // CLI-based GitHub source
+      }
+      toolProviderConfig = getToolProviderConfig(provider);
+      const fetchStartedAt = Date.now();
+      items = await pollGenericSource(source, { toolProviderConfig });
+      const fetchDurationMs = Date.now() - fetchStartedAt;
+      debug(`Fetched ${items.length} items from ${sourceName}`);
+      for (const item of items) {
+        emitEvent("item.fetched", { source: sourceName, itemId: item.id, title: item.title ?? null });
+      }
+      
+      const enrichStartedAt = Date.now();
+
+      // Enrich items with comments for bot filtering if configured
+      if (source.filter_bot_comments) {
+        items = await enrichItemsWithComments(items, source);
+        debug(`Enriched ${items.length} items with comments for bot filtering`);
+      }
+      
+      // Enrich items with mergeable status for conflict detection if configured
+      if (source.enrich_mergeable) {
+        items = await enrichItemsWithMergeable(items, source);
+        debug(`Enriched ${items.length} items with mergeable status`);
+      }
+      
+      // Enrich items with branch refs for stack detection and PR head checkout
+      if (source.detect_stacks || source.checkout === "pr_head") {
+        items = await enrichItemsWithBranchRefs(items, source);
+        debug(`Enriched ${items.length} items with branch refs`);
+      }
+      
+      // Compute attention labels if both enrichments are present (for my-prs-attention)
+      if (source.enrich_mergeable && source.filter_bot_comments) {
+        items = computeAttentionLabels(items, source);
+        debug(`Computed attention labels for ${items.length} items`);
+      }
+
+      emitEvent("source.fetched", {
+        source: sourceName,
+        itemCount: items.length,
+        fetchDurationMs,
+        enrichDurationMs: Date.now() - enrichStartedAt,
+      });
+    } catch (err) {
+      const failure = recordFailure(sourceState, err, getBackoffConfig(source));
+      pollerInstance?.updateSourceState(sourceName, { ...failure, lastPollAt: failure.lastFailureAt });
+      console.error(`[poll] Error fetching from ${sourceName}: ${err.message}`);
+      emitEvent("error", { source: sourceName, stage: "fetch", message: err.message, failures: failure.failures });
+      if (failure.circuitOpen) {
+        console.error(`[poll] Circuit open for ${sourceName} after ${failure.failures} consecutive failures, pausing until ${failure.nextRetryAt}`);
+      } else {
+        console.log(`[poll] Retrying ${sourceName} after ${failure.nextRetryAt} (failure ${failure.failures})`);
       }
+      return results;
     }
 
-    // Evaluate readiness and filter
-    const readyItems = items
-      .map((item) => {
-        // Resolve repo from item for per-item config
-        const repoKeys = resolveRepoForItem(source, item);
-        const repoKey = repoKeys.length > 0 ? repoKeys[0] : null;
-        const repoConfig = repoKey ? getRepoConfig(repoKey) : {};
-        
-        // Merge source-level readiness config with repo config
-        // Source readiness takes precedence
-        const readinessConfig = {
-          ...repoConfig,
-          readiness: {
-            ...repoConfig.readiness,
-            ...source.readiness,
-          },
-        };
-        
-        const readiness = evaluateReadiness(item, readinessConfig);
-        debug(`Item ${item.id}: ready=${readiness.ready}, reason=${readiness.reason || 'none'}`);
-        return {
-          ...item,
-          repo_key: repoKey || sourceName,
-          repo_short: repoKey ? repoKey.split("/").pop() : sourceName,
-          _readiness: readiness,
-          _repoConfig: repoConfig,
-        };
-      })
-      .filter((item) => item._readiness.ready);
-    
-    debug(`${readyItems.length} items ready out of ${items.length}`);
+    if (sourceState?.failures > 0) {
+      console.log(`[poll] ${sourceName} recovered after ${sourceState.failures} consecutive failure(s)`);
+      pollerInstance?.updateSourceState(sourceName, recordSuccess());
+    }
+  }
+
+  // Evaluate readiness and filter
+  const evaluatedItems = items
+    .map((item) => {
+      // Resolve repo from item for per-item config
+      const repoKeys = resolveRepoForItem(source, item);
+      const repoKey = repoKeys.length > 0 ? repoKeys[0] : null;
+      const repoConfig = repoKey ? getRepoConfig(repoKey) : {};
+      
+      // Merge source-level readiness config with repo config
+      // Source readiness takes precedence
+      const readinessConfig = {
+        ...repoConfig,
+        readiness: {
+          ...repoConfig.readiness,
+          ...source.readiness,
+        },
+      };
+      
+      const readiness = evaluateReadiness(item, readinessConfig);
+      debug(`Item ${item.id}: ready=${readiness.ready}, reason=${readiness.reason || 'none'}`);
+      emitEvent("item.evaluated", {
+        source: sourceName,
+        itemId: item.id,
+        ready: readiness.ready,
+        reason: readiness.reason || null,
+      });
+      return {
+        ...item,
+        repo_key: repoKey || sourceName,
+        repo_short: repoKey ? repoKey.split("/").pop() : sourceName,
+        _readiness: readiness,
+        _repoConfig: repoConfig,
+      };
+    });
+  const readyItems = evaluatedItems.filter((item) => item._readiness.ready);
+  
+  debug(`${readyItems.length} items ready out of ${items.length}`);
 
-    // Sort by priority (use first item's repo config or empty)
-    const sortConfig = readyItems.length > 0 ? readyItems[0]._repoConfig : {};
-    const sortedItems = sortByPriority(readyItems, sortConfig);
+  if (!skipMcp) {
+    const evaluatedAt = new Date().toISOString();
+    lastEvaluations.set(sourceName, new Map(evaluatedItems.map((item) => [item.id, {
+      source: sourceName,
+      title: item.title ?? null,
+      url: item.html_url || item.url || null,
+      ready: item._readiness.ready,
+      reason: item._readiness.reason || null,
+      evaluatedAt,
+    }])));
+    pollerInstance?.updateSourceState(sourceName, {
+      lastPollAt: evaluatedAt,
+      itemCount: items.length,
+      readyCount: readyItems.length,
+    });
+  }
 
-    // Detect PR stacks for session reuse (only when detect_stacks is enabled)
-    const stackMap = source.detect_stacks ? detectStacks(sortedItems) : new Map();
-    if (stackMap.size > 0) {
-      debug(`Detected ${stackMap.size} items in PR stacks`);
+  // Sort by priority (use first item's repo config or empty)
+  const sortConfig = readyItems.length > 0 ? readyItems[0]._repoConfig : {};
+  const sortedItems = sortByPriority(readyItems, sortConfig);
+
+  // Detect PR stacks for session reuse (only when detect_stacks is enabled)
+  const stackMap = source.detect_stacks ? detectStacks(sortedItems) : new Map();
+  if (stackMap.size > 0) {
+    debug(`Detected ${stackMap.size} items in PR stacks`);
+  }
+
+  // Process ready items
+  // Get reprocess_on config: source-level overrides provider-level
+  const reprocessOn = source.reprocess_on || toolProviderConfig?.reprocess_on;
+
+  // Outside active_hours/active_days, items are tracked but sessions are held
+  let activeWindow;
+  try {
+    activeWindow = checkActiveWindow(source);
+  } catch (err) {
+    // A typo must not turn a working-hours window into around-the-clock sessions
+    console.error(`[poll] Invalid active window for ${sourceName}: ${err.message} - holding sessions until it is fixed`);
+    emitEvent("error", { source: sourceName, stage: "active_hours", message: err.message });
+    activeWindow = { active: false, reason: `invalid active window: ${err.message}` };
+  }
+  let heldCount = 0;
+  let limitedCount = 0;
+  let deferredCount = 0;
+  let nextSessionAt = null;
+  const recordHold = (item, reason, extra = {}) => {
+    debug(`Holding ${item.id} - ${reason}`);
+    results.push({ item, held: true, reason, ...extra });
+    emitEvent("item.held", { source: sourceName, itemId: item.id, reason });
+  };
+  const holdItem = (item) => {
+    recordHold(item, activeWindow.reason);
+    heldCount++;
+  };
+  const limitItem = (item, reason) => {
+    recordHold(item, reason);
+    limitedCount++;
+  };
+  const deferItem = (item, { reason, nextAt }) => {
+    recordHold(item, reason, { deferred: true });
+    deferredCount++;
+    if (!nextSessionAt || nextAt < nextSessionAt) nextSessionAt = nextAt;
+  };
+
+  // Items over max_active_sessions are held until sessions finish. Active
+  // sessions are counted once per poll, when the first limited item is reached.
+  const globalSessionLimit = getMaxActiveSessions();
+  let sessionSlots = null;
+  const checkSessionSlot = async (item) => {
+    const limits = getSessionLimits(globalSessionLimit, source, item._repoConfig, item.repo_key);
+    if (!hasSessionLimits(limits)) return null;
+    if (!sessionSlots) {
+      sessionSlots = createSessionSlots(await countPilotSessions());
+    }
+    return sessionSlots.check(limits, { source: sourceName, repo: item.repo_key });
+  };
+
+  // max_sessions_per_hour token buckets: the global one is kept in poll state,
+  // the per-source one in source state
+  const rateLimits = getRateLimits(getMaxSessionsPerHour(), source);
+  const checkSessionRate = () => {
+    if (!pollerInstance) return null;
+    const now = new Date();
+    if (rateLimits.global !== null) {
+      const bucket = refillBucket(pollerInstance.getRateBucket(), rateLimits.global, now);
+      const { allowed, nextAt } = checkBucket(bucket, rateLimits.global);
+      if (!allowed) {
+        return { reason: `max_sessions_per_hour reached (${rateLimits.global}/hour)`, nextAt };
+      }
+    }
+    if (rateLimits.source !== null) {
+      const bucket = refillBucket(pollerInstance.getSourceState(sourceName)?.rateBucket, rateLimits.source, now);
+      const { allowed, nextAt } = checkBucket(bucket, rateLimits.source);
+      if (!allowed) {
+        return { reason: `max_sessions_per_hour reached for source ${sourceName} (${rateLimits.source}/hour)`, nextAt };
+      }
+    }
+    return null;
+  };
+  const spendSessionToken = () => {
+    if (!pollerInstance) return;
+    const now = new Date();
+    if (rateLimits.global !== null) {
+      pollerInstance.setRateBucket(takeToken(refillBucket(pollerInstance.getRateBucket(), rateLimits.global, now)));
+    }
+    if (rateLimits.source !== null) {
+      const bucket = refillBucket(pollerInstance.getSourceState(sourceName)?.rateBucket, rateLimits.source, now);
+      pollerInstance.updateSourceState(sourceName, { rateBucket: takeToken(bucket) });
     }
+  };
 
-    // Process ready items
-    // Get reprocess_on config: source-level overrides provider-level
-    const reprocessOn = source.reprocess_on || toolProviderConfig?.reprocess_on;
+  // Hold items over max_active_sessions or max_sessions_per_hour. They stay
+  // queued and are reconsidered, in priority order, on the next poll.
+  const holdOverLimits = async (item) => {
+    const slotReason = await checkSessionSlot(item);
+    if (slotReason) {
+      limitItem(item, slotReason);
+      return true;
+    }
+    const rate = checkSessionRate();
+    if (rate) {
+      deferItem(item, rate);
+      return true;
+    }
+    return false;
+  };
+  
+  debug(`Processing ${sortedItems.length} sorted items`);
+  for (const item of sortedItems) {
+    // Compute dedup keys for cross-source deduplication
+    // Context includes repo for resolving relative GitHub refs (#123)
+    const dedupContext = { repo: item.repository_full_name || item.repository?.nameWithOwner };
+    const dedupKeys = computeDedupKeys(item, dedupContext);
     
-    debug(`Processing ${sortedItems.length} sorted items`);
-    for (const item of sortedItems) {
-      // Compute dedup keys for cross-source deduplication
-      // Context includes repo for resolving relative GitHub refs (#123)
-      const dedupContext = { repo: item.repository_full_name || item.repository?.nameWithOwner };
-      const dedupKeys = computeDedupKeys(item, dedupContext);
-      
-      // Check if already processed (by item ID)
-      let existingDirectory = null;
-      if (pollerInstance && pollerInstance.isProcessed(item.id)) {
-        // Check if item should be reprocessed (reopened, status changed, etc.)
-        if (pollerInstance.shouldReprocess(item, { reprocessOn })) {
-          debug(`Reprocessing ${item.id} - state changed`);
-          // Get the stored directory before clearing state (for worktree reuse)
-          const prevMeta = pollerInstance.getProcessedMeta(item.id);
-          existingDirectory = prevMeta?.directory || null;
-          pollerInstance.clearProcessed(item.id);
-          console.log(`[poll] Reprocessing ${item.id} (reopened or updated)`);
-        } else {
-          debug(`Skipping ${item.id} - already processed`);
+    // Check if already processed (by item ID)
+    let existingDirectory = null;
+    if (pollerInstance && pollerInstance.isProcessed(item.id)) {
+      // Check if item should be reprocessed (reopened, status changed, etc.)
+      const reprocessReason = pollerInstance.getReprocessReason(item, { reprocessOn });
+      if (reprocessReason) {
+        debug(`Reprocessing ${item.id} - ${reprocessReason.trigger} (${reprocessReason.detail})`);
+        // Hold before clearing state so the item is still recognized as processed next poll
+        if (!activeWindow.active) {
+          holdItem(item);
           continue;
         }
-      }
-      
-      // Check for cross-source deduplication (e.g., Linear issue + GitHub PR)
-      // Skip if any of this item's dedup keys were already processed by another item
-      if (pollerInstance && dedupKeys.length > 0) {
-        const existingItemId = pollerInstance.findProcessedByDedupKey(dedupKeys);
-        if (existingItemId && existingItemId !== item.id) {
-          debug(`Skipping ${item.id} - dedup key matches already-processed item ${existingItemId}`);
+        if (await holdOverLimits(item)) {
           continue;
         }
+        // Get the stored directory before clearing state (for worktree reuse),
+        // unless the worktree was removed since
+        const prevMeta = pollerInstance.getProcessedMeta(item.id);
+        existingDirectory = prevMeta?.directory && existsSync(prevMeta.directory) ? prevMeta.directory : null;
+        pollerInstance.clearProcessed(item.id);
+        console.log(`[poll] Reprocessing ${item.id} (${reprocessReason.trigger}: ${reprocessReason.detail})`);
+        emitEvent("item.reprocessed", {
+          source: sourceName,
+          itemId: item.id,
+          trigger: reprocessReason.trigger,
+          detail: reprocessReason.detail,
+        });
+      } else {
+        debug(`Skipping ${item.id} - already processed`);
+        continue;
       }
-
-      debug(`Executing action for ${item.id}`);
-      // Build action config from source and item (resolves repo from item fields)
-      const actionConfig = buildActionConfigForItem(source, item);
-      
-      // Pass existing directory for worktree reuse when reprocessing
-      if (existingDirectory) {
-        actionConfig.existing_directory = existingDirectory;
-        debug(`Reusing existing directory: ${existingDirectory}`);
+    }
+    
+    // Check for cross-source deduplication (e.g., Linear issue + GitHub PR)
+    // Skip if any of this item's dedup keys were already processed by another item
+    if (pollerInstance && dedupKeys.length > 0) {
+      const existingItemId = pollerInstance.findProcessedByDedupKey(dedupKeys);
+      if (existingItemId && existingItemId !== item.id) {
+        debug(`Skipping ${item.id} - dedup key matches already-processed item ${existingItemId}`);
+        emitEvent("item.deduped", { source: sourceName, itemId: item.id, duplicateOf: existingItemId });
+        continue;
       }
+    }
 
-      // Check if a stack sibling was already processed (for session reuse across stacked PRs)
-      if (stackMap.has(item.id) && pollerInstance) {
-        const siblings = stackMap.get(item.id);
-        for (const siblingId of siblings) {
-          const siblingMeta = pollerInstance.getProcessedMeta(siblingId);
-          if (siblingMeta?.sessionId && siblingMeta?.directory) {
-            actionConfig.existing_directory = siblingMeta.directory;
-            actionConfig.reuse_stack_session = siblingMeta.sessionId;
-            debug(`Stack reuse: ${item.id} reusing session ${siblingMeta.sessionId} from sibling ${siblingId}`);
-            console.log(`[poll] Stack reuse: ${item.id} reusing session from stack sibling ${siblingId}`);
-            break;
-          }
+    debug(`Executing action for ${item.id}`);
+    // Build action config from source and item (resolves repo from item fields)
+    const actionConfig = buildActionConfigForItem(source, item);
+    
+    // Pass existing directory for worktree reuse when reprocessing
+    if (existingDirectory) {
+      actionConfig.existing_directory = existingDirectory;
+      debug(`Reusing existing directory: ${existingDirectory}`);
+    }
+
+    // Check if a stack sibling was already processed (for session reuse across stacked PRs)
+    if (stackMap.has(item.id) && pollerInstance) {
+      const siblings = stackMap.get(item.id);
+      for (const siblingId of siblings) {
+        const siblingMeta = pollerInstance.getProcessedMeta(siblingId);
+        if (siblingMeta?.sessionId && siblingMeta?.directory && existsSync(siblingMeta.directory)) {
+          actionConfig.existing_directory = siblingMeta.directory;
+          actionConfig.reuse_stack_session = siblingMeta.sessionId;
+          debug(`Stack reuse: ${item.id} reusing session ${siblingMeta.sessionId} from sibling ${siblingId}`);
+          console.log(`[poll] Stack reuse: ${item.id} reusing session from stack sibling ${siblingId}`);
+          break;
         }
       }
+    }
 
-      // Skip items with no valid local path (prevents sessions in home directory)
-      const hasLocalPath = actionConfig.working_dir || actionConfig.path || actionConfig.repo_path;
-      if (!hasLocalPath) {
-        debug(`Skipping ${item.id} - no local path configured for repository`);
-        console.warn(`[poll] Skipping ${item.id} - no local path configured (repo not in repos_dir or explicit config)`);
-        continue;
-      }
+    // Run worktree_setup again if it failed in the sandbox pilot created for this item
+    if (pollerInstance?.getWorktrees().some((w) => w.itemId === item.id && w.setup?.success === false)) {
+      actionConfig.retry_worktree_setup = true;
+    }
+
+    // Skip items with no valid local path (prevents sessions in home directory)
+    const hasLocalPath = actionConfig.working_dir || actionConfig.path || actionConfig.repo_path;
+    if (!hasLocalPath) {
+      debug(`Skipping ${item.id} - no local path configured for repository`);
+      console.warn(`[poll] Skipping ${item.id} - no local path configured (repo not in repos_dir or explicit config)`);
+      continue;
+    }
 
-      // Execute or dry-run
-      if (dryRun) {
-        const command = buildCommand(item, actionConfig);
+    // Items whose session start failed wait for their retry time, or stay parked
+    const retryCheck = checkRetry(pollerInstance?.getRetry(item.id));
+    if (retryCheck.skip) {
+      debug(`Skipping ${item.id} - ${retryCheck.reason}`);
+      continue;
+    }
+
+    // Hold session creation until the active window opens (re-evaluated next poll)
+    if (!activeWindow.active) {
+      holdItem(item);
+      continue;
+    }
+
+    // Later items may still fit limits for other repos
+    if (await holdOverLimits(item)) {
+      continue;
+    }
+
+    // Execute or dry-run
+    if (dryRun) {
+      const command = buildCommand(item, actionConfig);
+      results.push({
+        item,
+        command,
+        dryRun: true,
+      });
+      console.log(`[poll] Would execute: ${command}`);
+    } else {
+      try {
+        const result = await executeAction(item, actionConfig, { discoverServer });
         results.push({
           item,
-          command,
-          dryRun: true,
+          ...result,
         });
-        console.log(`[poll] Would execute: ${command}`);
-      } else {
-        try {
-          const result = await executeAction(item, actionConfig);
-          results.push({
-            item,
-            ...result,
+
+        if (result.worktreeCreated && pollerInstance) {
+          pollerInstance.recordWorktree(result.directory, {
+            itemId: item.id,
+            source: sourceName,
+            name: result.worktreeName,
+            projectDirectory: result.projectDirectory || null,
+            serverUrl: result.serverUrl || null,
           });
+        }
+        if (result.worktreeSetup && pollerInstance) {
+          pollerInstance.recordWorktreeSetup(result.directory, result.worktreeSetup);
+        }
 
-          if (result.success) {
-            // Mark as processed to avoid re-triggering
-            // Store item state for detecting reopened/updated items
-            // Store directory for worktree reuse when reprocessing
-            // Store dedup keys for cross-source deduplication
-            if (pollerInstance) {
-              pollerInstance.markProcessed(item.id, { 
-                repoKey: item.repo_key, 
-                command: result.command,
-                source: sourceName,
-                directory: result.directory || null,
-                sessionId: result.sessionId || null,
-                itemState: item.state || item.status || null,
-                itemUpdatedAt: item.updated_at || null,
-                // Store attention state for detecting new feedback on PRs
-                // _has_attention is boolean for enriched items, undefined for non-PR sources
-                hasAttention: item._has_attention ?? null,
-                // Store latest feedback timestamp for detecting new reviews on PRs
-                // that were already processed with existing feedback (true -> true)
-                latestFeedbackAt: item._latest_feedback_at ?? null,
-                dedupKeys: dedupKeys.length > 0 ? dedupKeys : undefined,
-              });
-            }
-            if (result.warning) {
-              console.log(`[poll] Started session for ${item.id} (warning: ${result.warning})`);
-            } else {
-              console.log(`[poll] Started session for ${item.id}`);
-            }
-          } else if (result.skipped) {
-            // Item was skipped (e.g., no local path configured) - use debug level
-            // This will retry on next poll, but doesn't spam logs
-            debug(`Skipped ${item.id}: ${result.error}`);
+        if (result.success) {
+          // Mark as processed to avoid re-triggering
+          // Store item state for detecting reopened/updated items
+          // Store directory for worktree reuse when reprocessing
+          // Store dedup keys for cross-source deduplication
+          if (pollerInstance) {
+            pollerInstance.markProcessed(item.id, { 
+              repoKey: item.repo_key, 
+              // Title and link for status displays (GET /items, dashboard)
+              title: item.title ?? null,
+              url: item.html_url || item.url || null,
+              // Issue/PR number or Linear identifier, for write_back templates
+              number: item.number ?? null,
+              command: result.command,
+              source: sourceName,
+              directory: result.directory || null,
+              // Main checkout, so on_item_closed never removes it as a worktree
+              projectDirectory: result.projectDirectory || null,
+              sessionId: result.sessionId || null,
+              // Server the session runs on, so the session tracker can follow it
+              serverUrl: result.serverUrl || null,
+              itemState: item.state || item.status || null,
+              itemUpdatedAt: item.updated_at || null,
+              // Store attention state for detecting new feedback on PRs
+              // _has_attention is boolean for enriched items, undefined for non-PR sources
+              hasAttention: item._has_attention ?? null,
+              // Store latest feedback timestamp for detecting new reviews on PRs
+              // that were already processed with existing feedback (true -> true)
+              latestFeedbackAt: item._latest_feedback_at ?? null,
+              dedupKeys: dedupKeys.length > 0 ? dedupKeys : undefined,
+            });
+          }
+          sessionSlots?.take({ source: sourceName, repo: item.repo_key });
+          spendSessionToken();
+          emitEvent(result.sessionReused ? "session.reused" : "session.created", {
+            source: sourceName,
+            itemId: item.id,
+            sessionId: result.sessionId || null,
+            directory: result.directory || null,
+          });
+          if (result.warning) {
+            console.log(`[poll] Started session for ${item.id} (warning: ${result.warning})`);
           } else {
-            // Real failure - log as error
-            console.error(`[poll] Failed to start session for ${item.id}: ${result.error || result.stderr || 'unknown error'}`);
+            console.log(`[poll] Started session for ${item.id}`);
           }
-        } catch (err) {
-          console.error(`[poll] Error executing action: ${err.message}`);
-          results.push({
-            item,
-            error: err.message,
+        } else if (result.skipped) {
+          // Item was skipped (e.g., no local path configured) - use debug level
+          // This will retry on next poll, but doesn't spam logs
+          debug(`Skipped ${item.id}: ${result.error}`);
+        } else {
+          // Real failure - log as error and queue a retry
+          const message = result.error || result.stderr || 'unknown error';
+          console.error(`[poll] Failed to start session for ${item.id}: ${message}`);
+          const retry = recordSessionFailure(item, source, sourceName, message);
+          emitEvent("error", {
+            source: sourceName,
+            itemId: item.id,
+            stage: "session",
+            message,
+            attempt: retry?.attempts ?? null,
+            parked: retry?.failed ?? false,
           });
         }
+      } catch (err) {
+        console.error(`[poll] Error executing action: ${err.message}`);
+        const retry = recordSessionFailure(item, source, sourceName, err.message);
+        emitEvent("error", {
+          source: sourceName,
+          itemId: item.id,
+          stage: "session",
+          message: err.message,
+          attempt: retry?.attempts ?? null,
+          parked: retry?.failed ?? false,
+        });
+        results.push({
+          item,
+          error: err.message,
+        });
       }
     }
+  }
 
-    // Track which items are present/missing for reappearance detection
-    // Also clean up state entries for items no longer returned by this source
-    if (pollerInstance && items.length > 0) {
-      const currentItemIds = items.map(item => item.id);
-      
-      // Mark items as seen/unseen for reappearance detection
-      pollerInstance.markUnseen(sourceName, currentItemIds);
-      
-      // Clean up old entries (only removes entries older than 1 day)
-      const removed = pollerInstance.cleanupMissingFromSource(sourceName, currentItemIds, 1);
-      if (removed > 0) {
-        debug(`Cleaned up ${removed} stale state entries for source ${sourceName}`);
-      }
+  if (heldCount > 0) {
+    console.log(`[poll] Holding ${heldCount} item(s) from ${sourceName} until the active window opens (${activeWindow.reason})`);
+  }
+  if (limitedCount > 0) {
+    console.log(`[poll] Holding ${limitedCount} item(s) from ${sourceName} until active sessions finish (max_active_sessions)`);
+  }
+  if (deferredCount > 0) {
+    console.log(`[poll] Deferring ${deferredCount} item(s) from ${sourceName} (max_sessions_per_hour); next session at ${nextSessionAt}`);
+  }
+  if (pollerInstance && !dryRun && (deferredCount > 0 || pollerInstance.getSourceState(sourceName)?.deferredCount)) {
+    pollerInstance.updateSourceState(sourceName, { deferredCount, nextSessionAt });
+  }
+
+  // Track which items are present/missing for reappearance detection
+  // Also clean up state entries for items no longer returned by this source.
+  // Only after a successful fetch: an empty result then means every item left.
+  if (pollerInstance && !skipMcp) {
+    const currentItemIds = items.map(item => item.id);
+    
+    // Mark items as seen/unseen for reappearance detection
+    const missingIds = pollerInstance.markUnseen(sourceName, currentItemIds);
+    // Read before cleanup, which may drop entries for items that just went missing.
+    // Items whose on_item_closed couldn't run last time are retried while still missing.
+    const closedEntries = dryRun ? [] : [
+      ...missingIds.map((id) => ({ id, ...pollerInstance.getProcessedMeta(id) })),
+      ...pollerInstance.getProcessedItems(sourceName)
+        .filter((entry) => entry.closePending && entry.wasUnseen && !missingIds.includes(entry.id)),
+    ];
+    
+    // Clean up old entries (only removes entries older than 1 day)
+    const removed = pollerInstance.cleanupMissingFromSource(sourceName, currentItemIds, 1);
+    if (removed > 0) {
+      debug(`Cleaned up ${removed} stale state entries for source ${sourceName}`);
     }
+
+    await closeMissingItems(source, sourceName, closedEntries);
   }
 
   return results;
 }
 
+/**
+ * Count the active sessions pilot started, on every server they run on
+ * Processed entries are grouped by the server recorded when their session
+ * started, and each server is asked once. If a server's statuses can't be
+ * read, its sessions without a recorded outcome count as busy, so an
+ * unreachable server doesn't let pilot exceed max_active_sessions.
+ * @returns {Promise<object>} Active session counts (see countActiveSessions)
+ */
+async function countPilotSessions() {
+  const sessions = (pollerInstance?.getProcessedItems() || []).filter((entry) => entry.sessionId && entry.serverUrl);
+  const statuses = {};
+  await Promise.all([...new Set(sessions.map((entry) => entry.serverUrl))].map(async (serverUrl) => {
+    try {
+      Object.assign(statuses, await fetchSessionStatuses(serverUrl));
+    } catch (err) {
+      const unknown = sessions.filter((entry) => entry.serverUrl === serverUrl && !entry.outcome);
+      if (unknown.length === 0) return;
+      console.warn(`[poll] Could not read session statuses from ${serverUrl} (${err.message}); counting ${unknown.length} session(s) as busy`);
+      for (const entry of unknown) {
+        statuses[entry.sessionId] = { type: "busy" };
+      }
+    }
+  }));
+  return countActiveSessions(statuses, sessions);
+}
+
+/**
+ * Apply a source's on_item_closed policy to items that left it
+ * @param {object} source - Source configuration
+ * @param {string} sourceName - Source name
+ * @param {Array<object>} entries - Processed entries of the items that went missing
+ */
+async function closeMissingItems(source, sourceName, entries) {
+  const policy = getClosedItemPolicy(source);
+  if (policy.length === 0 || entries.length === 0) return;
+
+  const openEntries = pollerInstance.getProcessedItems().filter((entry) => !entry.wasUnseen);
+  for (const entry of entries) {
+    const { done, errors, open, retry } = await closeItem(entry, policy, { openEntries });
+    if (open) {
+      debug(`${entry.id} left ${sourceName} but is still open, leaving its session and worktree`);
+    }
+    if (retry) {
+      pollerInstance.updateProcessedMeta(entry.id, { closePending: true });
+    } else if (entry.closePending) {
+      pollerInstance.updateProcessedMeta(entry.id, { closePending: false });
+    }
+    if (done.includes("remove_worktree")) {
+      pollerInstance.forgetWorktree(entry.directory);
+      // Reprocessing must not reuse the removed directory
+      pollerInstance.updateProcessedMeta(entry.id, { directory: null });
+    }
+    if (done.length > 0) {
+      console.log(`[poll] ${entry.id} left ${sourceName}: ${done.join(", ")}`);
+      emitEvent("item.closed", { source: sourceName, itemId: entry.id, sessionId: entry.sessionId ?? null, actions: done });
+    }
+    for (const message of errors) {
+      console.error(`[poll] on_item_closed for ${entry.id}: ${message}`);
+      emitEvent("error", { source: sourceName, itemId: entry.id, stage: "on_item_closed", message });
+    }
+  }
+}
+
+/**
+ * Remove worktrees pilot created for items that are done (see worktree-gc.js)
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @returns {Promise<Array<object>>} Report with one entry per tracked worktree
+ * @throws {Error} If polling has not been started
+ */
+export async function collectWorktrees(options = {}) {
+  if (!pollerInstance) {
+    throw new Error("Polling has not been started");
+  }
+  const report = await collectWorktreeGarbage({ poller: pollerInstance, dryRun: options.dryRun });
+  for (const { directory, itemId, action, reason } of report) {
+    if (action === "removed") {
+      console.log(`[worktrees] Removed ${directory} (${reason})`);
+      emitEvent("worktree.removed", { itemId, directory, reason });
+    } else if (action === "failed") {
+      console.error(`[worktrees] Failed to remove ${directory}: ${reason}`);
+      emitEvent("error", { itemId, stage: "worktree_gc", message: reason });
+    } else if (action === "kept") {
+      debug(`worktree gc: keeping ${directory} (${reason})`);
+    }
+  }
+  return report;
+}
+
+/**
+ * Run a poll cycle through the single-flight guard
+ * Used by the scheduler and by manual triggers (`opencode-pilot poll-now`,
+ * POST /poll), so a triggered cycle never overlaps a scheduled one.
+ * @param {object} [options] - Trigger options
+ * @param {string} [options.sourceName] - Only poll this source (default: all sources)
+ * @param {string} [options.configPath] - Path to config.yaml (default: the one polling was started with)
+ * @param {boolean} [options.force] - Poll even if the source is backing off
+ * @returns {Promise<Array>} Results of actions taken
+ * @throws {Error} With code UNKNOWN_SOURCE if sourceName is not configured
+ */
+export function triggerPoll(options = {}) {
+  const { sourceName, configPath = pollConfigPath, force = false } = options;
+
+  if (sourceName) {
+    loadRepoConfig(configPath);
+    const exists = getAllSources().some((source) => (source.name || 'unknown') === sourceName);
+    if (!exists) {
+      const err = new Error(`Unknown source: ${sourceName}`);
+      err.code = "UNKNOWN_SOURCE";
+      return Promise.reject(err);
+    }
+  }
+
+  if (pollGuard.isRunning()) {
+    debug(`Poll cycle for ${pollGuard.getRunningKey()} in progress, queueing ${sourceName || 'all sources'}`);
+  }
+  // A forced trigger that joins a queued cycle makes that cycle forced
+  return pollGuard.run(sourceName || ALL_SOURCES, (cycle) => pollOnce({ configPath, sourceName, force: cycle.force }), { force });
+}
+
+/**
+ * Get status for every configured source
+ * Combines the normalized source config with persisted state (last poll,
+ * item counts, failures) and the live schedule.
+ * @returns {Array<object>} One entry per source
+ */
+export function getSourcesStatus() {
+  const schedule = new Map((scheduler?.getSchedule() || []).map((entry) => [entry.name, entry]));
+
+  return getAllSources().map((source) => {
+    const name = source.name || 'unknown';
+    const state = pollerInstance?.getSourceState(name) || {};
+    const retries = pollerInstance?.getRetries(name) || [];
+    const entry = schedule.get(name);
+    return {
+      name,
+      schedule: entry?.description ?? state.schedule ?? null,
+      nextRunAt: entry?.nextRunAt ?? null,
+      lastPollAt: state.lastPollAt ?? null,
+      itemCount: state.itemCount ?? null,
+      readyCount: state.readyCount ?? null,
+      processedCount: pollerInstance ? pollerInstance.getProcessedCount(name) : 0,
+      retryingCount: retries.filter((retry) => !retry.failed).length,
+      failedCount: retries.filter((retry) => retry.failed).length,
+      deferredCount: state.deferredCount ?? 0,
+      nextSessionAt: state.nextSessionAt ?? null,
+      failures: state.failures ?? 0,
+      lastError: state.lastError ?? null,
+      nextRetryAt: state.nextRetryAt ?? null,
+      circuitOpen: state.circuitOpen ?? false,
+      paused: state.paused ?? false,
+      // Drop internal bookkeeping fields (e.g. _explicit) added by normalization
+      config: Object.fromEntries(Object.entries(source).filter(([key]) => !key.startsWith('_'))),
+    };
+  });
+}
+
+/**
+ * Get processed state entries
+ * @param {string} [sourceName] - Only entries processed by this source
+ * @returns {Array<object>} Entries as { id, ...metadata }
+ */
+export function getItemsStatus(sourceName) {
+  return pollerInstance ? pollerInstance.getProcessedItems(sourceName) : [];
+}
+
+/**
+ * Get the latest readiness evaluation for every item seen in the last poll
+ * @param {string} [sourceName] - Only evaluations from this source
+ * @returns {Array<object>} Evaluations as { itemId, source, title, url, ready, reason, evaluatedAt }
+ */
+export function getReadinessStatus(sourceName) {
+  const entries = [];
+  for (const [name, evaluations] of lastEvaluations) {
+    if (sourceName && name !== sourceName) continue;
+    for (const [itemId, evaluation] of evaluations) {
+      entries.push({ itemId, ...evaluation });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Get status for a single item: processed metadata, its last readiness
+ * evaluation and any pending or failed retry
+ * @param {string} itemId - Item ID
+ * @returns {object|null} Item status, or null if the item is unknown
+ */
+export function getItemStatus(itemId) {
+  const meta = pollerInstance?.getProcessedMeta(itemId) || null;
+  const retry = pollerInstance?.getRetry(itemId) || null;
+  let readiness = null;
+  for (const evaluations of lastEvaluations.values()) {
+    if (evaluations.has(itemId)) {
+      readiness = evaluations.get(itemId);
+      break;
+    }
+  }
+
+  if (!meta && !readiness && !retry) return null;
+  return {
+    id: itemId,
+    processed: meta !== null,
+    sessionId: meta?.sessionId ?? null,
+    ...meta,
+    readiness,
+    retry,
+  };
+}
+
 /**
  * Start the polling loop
+ * Each source runs on its own schedule (see scheduler.js). Sources without
+ * `interval` or `schedule` use the default interval.
  * @param {object} options - Polling options
- * @param {number} [options.interval] - Poll interval in ms
+ * @param {number} [options.interval] - Default poll interval in ms
  * @param {string} [options.configPath] - Path to config.yaml
- * @returns {object} Polling state with stop() method
+ * @returns {object} Polling state with pollNow(), status getters and stop()
  */
 export function startPolling(options = {}) {
   const { interval = DEFAULT_POLL_INTERVAL, configPath } = options;
 
   // Load config to access cleanup settings
   loadRepoConfig(configPath);
+  pollConfigPath = configPath;
 
   // Initialize poller for state tracking
-  pollerInstance = createPoller({ configPath });
+  pollerInstance = createStatePoller(configPath);
+  historyRecorder?.stop();
+  historyRecorder = createHistoryRecorder({ path: getHistoryPath(getStateConfig().dir) });
+  sessionTracker?.stop();
+  sessionTracker = createSessionTracker({ poller: pollerInstance });
+  writeBack?.stop();
+  writeBack = createWriteBack({
+    poller: pollerInstance,
+    getSource: (name) => getAllSources().find((source) => source.name === name),
+  });
+
+  serverAutostart?.stop();
+  const autostartConfig = getServerAutostartConfig();
+  serverAutostart = autostartConfig ? createServerAutostart({ config: autostartConfig }) : null;
+
+  clearInterval(worktreeGcTimer);
+  worktreeGcTimer = null;
+  const gcInterval = getWorktreeGcInterval();
+  if (gcInterval !== null) {
+    const ms = parseDuration(gcInterval);
+    if (ms > 0) {
+      worktreeGcTimer = setInterval(() => {
+        collectWorktrees().catch((err) => console.error(`[worktrees] Garbage collection failed: ${err.message}`));
+      }, ms);
+      worktreeGcTimer.unref();
+    } else {
+      console.warn(`[worktrees] Invalid worktree_gc.interval '${gcInterval}', not scheduling garbage collection`);
+    }
+  }
 
   // Clean up expired entries on startup
   const ttlDays = getCleanupTtlDays();
@@ -404,26 +1057,43 @@ export function startPolling(options = {}) {
   if (startupDelay > 0) {
     console.log(`[poll] Waiting ${startupDelay / 1000}s for server to initialize...`);
   }
-  
-  // Schedule first poll after startup delay (or immediately if delay is 0)
-  setTimeout(() => {
-    pollOnce({ configPath }).catch((err) => {
-      console.error("[poll] Error in poll cycle:", err.message);
-    });
-  }, startupDelay);
 
-  // Start interval (runs after startup delay + interval for first scheduled poll)
-  pollingInterval = setInterval(() => {
-    pollOnce({ configPath }).catch((err) => {
-      console.error("[poll] Error in poll cycle:", err.message);
-    });
-  }, interval);
+  const sources = getAllSources();
+  scheduler = createScheduler({
+    sources,
+    defaultInterval: interval,
+    initialDelay: startupDelay,
+    runSource: (sourceName) => triggerPoll({ configPath, sourceName }),
+    // Persist schedule so `opencode-pilot status` can show the next run per source
+    onSchedule: (sourceName, entry) => {
+      pollerInstance?.updateSourceState(sourceName, {
+        schedule: entry.description,
+        nextRunAt: entry.nextRunAt,
+        lastRunAt: entry.lastRunAt,
+      });
+    },
+  });
+  scheduler.start();
 
-  console.log(`[poll] Started polling every ${interval / 1000}s`);
+  for (const entry of scheduler.getSchedule()) {
+    console.log(`[poll] Polling ${entry.name} ${entry.description}`);
+  }
 
   return {
-    interval: pollingInterval,
+    scheduler,
     poller: pollerInstance,
+    // Manual triggers bypass backoff so a user can check whether a source recovered
+    pollNow: (opts = {}) => triggerPoll({ configPath, force: true, ...opts }),
+    getSources: getSourcesStatus,
+    getItems: getItemsStatus,
+    getItem: getItemStatus,
+    getReadiness: getReadinessStatus,
+    clearItem: clearProcessed,
+    requeueItems: requeueFailed,
+    collectWorktrees,
+    getWorktrees: () => pollerInstance?.getWorktrees() ?? [],
+    pauseSource: (name) => setSourcePaused(name, true),
+    resumeSource: (name) => setSourcePaused(name, false),
     stop: stopPolling,
   };
 }
@@ -432,22 +1102,98 @@ export function startPolling(options = {}) {
  * Stop the polling loop
  */
 export function stopPolling() {
-  if (pollingInterval) {
-    clearInterval(pollingInterval);
-    pollingInterval = null;
+  if (scheduler) {
+    scheduler.stop();
+    scheduler = null;
     console.log("[poll] Stopped polling");
   }
+  if (historyRecorder) {
+    historyRecorder.stop();
+    historyRecorder = null;
+  }
+  if (sessionTracker) {
+    sessionTracker.stop();
+    sessionTracker = null;
+  }
+  if (writeBack) {
+    writeBack.stop();
+    writeBack = null;
+  }
+  if (worktreeGcTimer) {
+    clearInterval(worktreeGcTimer);
+    worktreeGcTimer = null;
+  }
+  if (serverAutostart) {
+    serverAutostart.stop();
+    serverAutostart = null;
+  }
+  for (const { timer } of retryTimers.values()) {
+    clearTimeout(timer);
+  }
+  retryTimers.clear();
 }
 
 /**
  * Clear processed state for an item (e.g., when issue is closed/reopened)
+ * The item will be picked up again on the next poll if it is still ready.
  * @param {string} itemId - Item ID to clear
+ * @returns {boolean} True if the item had processed state
  */
 export function clearProcessed(itemId) {
-  if (pollerInstance) {
-    // Access the poller's internal state - need to expose this
-    console.log(`[poll] Cleared processed state for ${itemId}`);
+  if (!pollerInstance || !pollerInstance.isProcessed(itemId)) {
+    return false;
+  }
+  const source = pollerInstance.getProcessedMeta(itemId)?.source ?? null;
+  pollerInstance.clearProcessed(itemId);
+  console.log(`[poll] Cleared processed state for ${itemId}`);
+  emitEvent("item.cleared", { source, itemId, via: "api" });
+  return true;
+}
+
+/**
+ * Re-queue items whose session start failed
+ * Their retry state is dropped, so they are attempted on the next poll with
+ * a fresh attempt count.
+ * @param {string} [itemId] - Re-queue this item (waiting or failed); default: every failed item
+ * @returns {string[]} IDs of re-queued items
+ */
+export function requeueFailed(itemId) {
+  if (!pollerInstance) return [];
+
+  const targets = pollerInstance.getRetries()
+    .filter((retry) => (itemId ? retry.id === itemId : retry.failed));
+  for (const { id, source } of targets) {
+    pollerInstance.clearRetry(id);
+    emitEvent("item.requeued", { source, itemId: id });
   }
+  if (targets.length > 0) {
+    console.log(`[poll] Re-queued ${targets.length} failed item(s)`);
+  }
+  return targets.map((retry) => retry.id);
+}
+
+/**
+ * Pause or resume polling for a source
+ * Paused sources are skipped by scheduled and manual polls until resumed.
+ * @param {string} sourceName - Source name
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {object} Updated source status (see getSourcesStatus)
+ * @throws {Error} With code UNKNOWN_SOURCE if sourceName is not configured
+ */
+export function setSourcePaused(sourceName, paused) {
+  const exists = getAllSources().some((source) => (source.name || 'unknown') === sourceName);
+  if (!exists || !pollerInstance) {
+    const err = new Error(`Unknown source: ${sourceName}`);
+    err.code = "UNKNOWN_SOURCE";
+    throw err;
+  }
+
+  pollerInstance.updateSourceState(sourceName, {
+    paused,
+    pausedAt: paused ? new Date().toISOString() : null,
+  });
+  console.log(`[poll] ${paused ? 'Paused' : 'Resumed'} source ${sourceName}`);
+  return getSourcesStatus().find((status) => status.name === sourceName);
 }
 
 /**
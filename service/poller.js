@@ -13,6 +13,8 @@ import fs from "fs";
 import path from "path";
 import os from "os";
 import { getNestedValue, hasNonBotFeedback, getLatestFeedbackTimestamp, extractIssueRefs } from "./utils.js";
+import { createStateStore } from "./state-store.js";
+import { migrateState, CURRENT_SCHEMA_VERSION } from "./state-migrations.js";
 
 /**
  * Expand template string with item fields
@@ -227,7 +229,8 @@ const DEFAULT_MCP_TIMEOUT = 30000;
  */
 function createTimeout(ms, operation) {
   return new Promise((_, reject) => {
-    setTimeout(() => reject(new Error(`${operation} timed out after ${ms}ms`)), ms);
+    // Never cleared, so don't let it keep a finished process alive
+    setTimeout(() => reject(new Error(`${operation} timed out after ${ms}ms`)), ms).unref();
   });
 }
 
@@ -282,6 +285,7 @@ async function executeCliCommand(command, args, timeout) {
  * @param {number} [options.timeout] - Timeout in ms (default: 30000)
  * @param {object} [options.toolProviderConfig] - Tool provider config (response_key, mappings)
  * @returns {Promise<Array>} Array of items from the source with IDs and mappings applied
+ * @throws {Error} If the command fails or times out
  */
 async function pollCliSource(source, toolConfig, options = {}) {
   const timeout = options.timeout || DEFAULT_MCP_TIMEOUT;
@@ -304,8 +308,8 @@ async function pollCliSource(source, toolConfig, options = {}) {
     // Transform items (add IDs)
     return transformItems(mappedItems, toolConfig.idTemplate);
   } catch (err) {
-    console.error(`[poller] CLI command failed for ${source.name}: ${err.message}`);
-    return [];
+    // Rethrow so the caller can track consecutive failures (see backoff.js)
+    throw new Error(`CLI command failed: ${err.message.trim()}`);
   }
 }
 
@@ -376,6 +380,52 @@ export async function pollGenericSource(source, options = {}) {
   }
 }
 
+/**
+ * Call a single MCP tool (e.g., to update a Linear issue after a session)
+ *
+ * @param {string} serverName - MCP server name in opencode.json
+ * @param {string} toolName - Tool to call
+ * @param {object} args - Tool arguments
+ * @param {object} [options] - Additional options
+ * @param {number} [options.timeout] - Timeout in ms (default: 30000)
+ * @param {string} [options.opencodeConfigPath] - Path to opencode.json for MCP config
+ * @returns {Promise<object>} Tool result
+ * @throws {Error} If the call fails, times out or the tool reports an error
+ */
+export async function callMcpTool(serverName, toolName, args, options = {}) {
+  const timeout = options.timeout || DEFAULT_MCP_TIMEOUT;
+  const mcpConfig = getMcpConfig(serverName, options.opencodeConfigPath);
+  const client = new Client({ name: "opencode-pilot", version: "1.0.0" });
+
+  try {
+    const transport = await createTransport(mcpConfig);
+    await Promise.race([
+      client.connect(transport),
+      createTimeout(timeout, "MCP connection"),
+    ]);
+
+    const result = await Promise.race([
+      client.callTool({ name: toolName, arguments: args }),
+      createTimeout(timeout, "callTool"),
+    ]);
+
+    if (result.isError) {
+      const text = result.content?.[0]?.text;
+      throw new Error(`${serverName}/${toolName} failed${text ? `: ${text}` : ""}`);
+    }
+    return result;
+  } finally {
+    try {
+      await Promise.race([
+        client.close(),
+        new Promise(resolve => setTimeout(resolve, 3000)),
+      ]);
+    } catch {
+      // Ignore close errors
+    }
+  }
+}
+
 /**
  * Fetch issue comments using gh CLI
  * 
@@ -666,19 +716,20 @@ async function fetchBranchRefs(owner, repo, number, timeout) {
 /**
  * Enrich items with branch ref names for stack detection
  * 
- * For items from sources with detect_stacks: true, fetches headRefName and
- * baseRefName via gh CLI and attaches them as _headRefName and _baseRefName
- * fields for stack detection.
+ * For items from sources with detect_stacks: true or checkout: pr_head,
+ * fetches headRefName and baseRefName via gh CLI and attaches them as
+ * _headRefName and _baseRefName fields for stack detection and for checking
+ * out the PR's own branch (see checkoutPrHead in worktree.js).
  * 
  * @param {Array} items - Items to enrich
- * @param {object} source - Source configuration with optional detect_stacks
+ * @param {object} source - Source configuration with optional detect_stacks or checkout
  * @param {object} [options] - Options
  * @param {number} [options.timeout] - Timeout in ms (default: 30000)
  * @returns {Promise<Array>} Items with _headRefName and _baseRefName fields added
  */
 export async function enrichItemsWithBranchRefs(items, source, options = {}) {
   // Skip if not configured or not a GitHub source
-  if (!source.detect_stacks || !isGitHubSource(source)) {
+  if ((!source.detect_stacks && source.checkout !== "pr_head") || !isGitHubSource(source)) {
     return items;
   }
   
@@ -882,63 +933,190 @@ export function computeDedupKeys(item, context = {}) {
   return Array.from(keys);
 }
 
+// Format marker for `opencode-pilot state export` files
+export const STATE_EXPORT_FORMAT = 'opencode-pilot-state/1';
+
 /**
  * Create a poller instance with state tracking
  * 
  * @param {object} options - Poller options
  * @param {string} [options.stateFile] - Path to state file for tracking processed items
+ * @param {string} [options.stateDir] - Directory for the default state file (default: ~/.config/opencode/pilot)
+ * @param {string} [options.stateBackend] - State store backend: "json" (default) or "jsonl"
+ * @param {boolean} [options.readOnly] - Only read state: no migration write or recovery moves,
+ *   and methods that change state throw
  * @param {string} [options.configPath] - Path to opencode.json
  * @returns {object} Poller instance
+ * @throws {StateCorruptedError} If state exists but can't be read or recovered from backup
  */
 export function createPoller(options = {}) {
-  const stateFile = options.stateFile || path.join(os.homedir(), '.config/opencode/pilot/poll-state.json');
+  const stateBackend = options.stateBackend || 'json';
+  const stateDir = options.stateDir || path.join(os.homedir(), '.config/opencode/pilot');
+  const stateFile = options.stateFile || path.join(
+    stateDir,
+    stateBackend === 'jsonl' ? 'poll-state.jsonl' : 'poll-state.json'
+  );
+  const readOnly = options.readOnly === true;
+  const store = createStateStore({ path: stateFile, backend: stateBackend, readOnly });
   const configPath = options.configPath;
   
   // Load existing state
   let processedItems = new Map();
   // Dedup key index: maps dedup keys to item IDs for cross-source deduplication
   let dedupKeyIndex = new Map();
+  // Per-source runtime state (schedule, last run) keyed by source name
+  let sourceStates = new Map();
+  // Failed session starts awaiting retry (or parked as failed), keyed by item ID
+  let retryEntries = new Map();
+  // Token bucket for the global max_sessions_per_hour (per-source buckets live in source state)
+  let rateBucket = null;
+  // Worktrees pilot created, keyed by directory (for `opencode-pilot worktrees gc`)
+  let worktreeEntries = new Map();
   
-  if (fs.existsSync(stateFile)) {
-    try {
-      const state = JSON.parse(fs.readFileSync(stateFile, 'utf-8'));
-      if (state.processed) {
-        processedItems = new Map(Object.entries(state.processed));
-      }
-      if (state.dedupKeys) {
-        dedupKeyIndex = new Map(Object.entries(state.dedupKeys));
-      }
-    } catch {
-      // Start fresh if state is corrupted
+  // Unreadable state throws rather than starting fresh: an empty processed
+  // map would re-trigger sessions for every item already handled
+  const loaded = store.load();
+  let migratedFrom = null;
+  if (loaded) {
+    const { state, fromVersion } = migrateState(loaded);
+    processedItems = new Map(Object.entries(state.processed));
+    dedupKeyIndex = new Map(Object.entries(state.dedupKeys));
+    sourceStates = new Map(Object.entries(state.sources));
+    retryEntries = new Map(Object.entries(state.retries));
+    rateBucket = state.rateBucket;
+    worktreeEntries = new Map(Object.entries(state.worktrees));
+    if (fromVersion < CURRENT_SCHEMA_VERSION) {
+      migratedFrom = fromVersion;
     }
   }
   
-  // Rebuild dedup key index from processed items if not in state file
-  // (handles migration from older state files)
-  if (dedupKeyIndex.size === 0 && processedItems.size > 0) {
-    for (const [itemId, meta] of processedItems) {
-      if (meta.dedupKeys && Array.isArray(meta.dedupKeys)) {
-        for (const key of meta.dedupKeys) {
-          dedupKeyIndex.set(key, itemId);
+  /**
+   * Find which reprocess trigger (if any) fires for a processed item
+   * @see shouldReprocess
+   */
+  function getReprocessReason(item, options = {}) {
+    if (!item.id) return null;
+    
+    const meta = processedItems.get(item.id);
+    if (!meta) return null; // Not processed before
+    
+    // Check if item reappeared after being missing (e.g., uncompleted reminder)
+    // Exception: suppress reprocessing when the item cycled through an intermediate
+    // state (e.g., Linear: In Progress -> In Review -> In Progress). If the stored
+    // state and the current state are both "in progress", the issue just passed
+    // through code review and back — no new work is needed.
+    if (meta.wasUnseen) {
+      const storedState = meta.itemState;
+      const currentState = item.state || item.status;
+      if (storedState && currentState) {
+        const stored = storedState.toLowerCase();
+        const current = currentState.toLowerCase();
+        if (stored === 'in progress' && current === 'in progress') {
+          return null;
         }
       }
+      return { trigger: 'reappeared', detail: 'item returned after being missing from its source' };
     }
+    
+    // Get reprocess_on fields from options, default to state/status only
+    // Note: updated_at is NOT included by default because our own changes would trigger reprocessing
+    const reprocessOn = options.reprocessOn || ['state', 'status'];
+    
+    // Check each configured field for changes
+    for (const field of reprocessOn) {
+      // Handle state/status fields (detect reopening)
+      if (field === 'state' || field === 'status') {
+        const storedState = meta.itemState;
+        const currentState = item[field];
+        
+        if (storedState && currentState) {
+          const stored = storedState.toLowerCase();
+          const current = currentState.toLowerCase();
+          
+          // Reopened: was closed/merged/done, now open/in-progress
+          if ((stored === 'closed' || stored === 'merged' || stored === 'done') 
+              && (current === 'open' || current === 'in progress')) {
+            return { trigger: field, detail: `${storedState} -> ${currentState}` };
+          }
+        }
+      }
+      
+      // Handle timestamp fields (detect updates)
+      if (field === 'updated_at' || field === 'updatedAt') {
+        const storedTimestamp = meta.itemUpdatedAt;
+        const currentTimestamp = item[field] || item.updated_at || item.updatedAt;
+        
+        if (storedTimestamp && currentTimestamp) {
+          const storedTime = new Date(storedTimestamp).getTime();
+          const currentTime = new Date(currentTimestamp).getTime();
+          if (currentTime > storedTime) {
+            return { trigger: field, detail: `${storedTimestamp} -> ${currentTimestamp}` };
+          }
+        }
+      }
+      
+      // Handle attention field (detect new feedback on PRs)
+      // Triggers when:
+      // 1. Attention changes from false to true (new feedback on a clean PR)
+      // 2. Attention stays true but latest feedback is newer (re-review or additional feedback)
+      if (field === 'attention') {
+        const storedHasAttention = meta.hasAttention;
+        const currentHasAttention = item._has_attention;
+        
+        // Trigger if attention changed false -> true
+        if (storedHasAttention === false && currentHasAttention === true) {
+          return { trigger: field, detail: 'new feedback' };
+        }
+        
+        // Trigger if attention stayed true but there's newer feedback
+        // This catches re-reviews and additional feedback on PRs already processed with feedback
+        if (storedHasAttention === true && currentHasAttention === true) {
+          const storedFeedbackAt = meta.latestFeedbackAt;
+          const currentFeedbackAt = item._latest_feedback_at;
+          
+          // No stored baseline: any current feedback is new (legacy state entries)
+          if (!storedFeedbackAt && currentFeedbackAt) {
+            return { trigger: field, detail: `feedback at ${currentFeedbackAt}` };
+          }
+          if (storedFeedbackAt && currentFeedbackAt && currentFeedbackAt > storedFeedbackAt) {
+            return { trigger: field, detail: `feedback at ${currentFeedbackAt}` };
+          }
+        }
+      }
+    }
+    
+    return null;
   }
   
   function saveState() {
-    const dir = path.dirname(stateFile);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    const state = {
+    store.save({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       processed: Object.fromEntries(processedItems),
       dedupKeys: Object.fromEntries(dedupKeyIndex),
+      sources: Object.fromEntries(sourceStates),
+      retries: Object.fromEntries(retryEntries),
+      rateBucket,
+      worktrees: Object.fromEntries(worktreeEntries),
       savedAt: new Date().toISOString(),
-    };
-    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+    });
+  }
+  
+  // Write migrated state straight away; the json store keeps the
+  // pre-migration file as the backup
+  if (migratedFrom !== null && !readOnly) {
+    saveState();
+    console.warn(`[state] Migrated poll state from schema v${migratedFrom} to v${CURRENT_SCHEMA_VERSION}`);
   }
   
   return {
+    /**
+     * Get the path of the state file backing this poller
+     * @returns {string} State file path
+     */
+    getStateFile() {
+      return stateFile;
+    },
+
     /**
      * Check if an item has been processed
      */
@@ -985,6 +1163,8 @@ export function createPoller(options = {}) {
         ...metadata,
       };
       processedItems.set(itemId, itemMeta);
+      // A session started, so any pending retry is done
+      retryEntries.delete(itemId);
       
       // Index dedup keys for fast lookup
       if (metadata.dedupKeys && Array.isArray(metadata.dedupKeys)) {
@@ -996,6 +1176,20 @@ export function createPoller(options = {}) {
       saveState();
     },
     
+    /**
+     * Merge fields into a processed item's metadata
+     * @param {string} itemId - Item ID
+     * @param {object} patch - Fields to set
+     * @returns {boolean} False if the item is not processed
+     */
+    updateProcessedMeta(itemId, patch) {
+      const meta = processedItems.get(itemId);
+      if (!meta) return false;
+      processedItems.set(itemId, { ...meta, ...patch });
+      saveState();
+      return true;
+    },
+    
     /**
      * Update lastSeenAt for items currently in poll results
      * Call this after each poll to track which items are still present
@@ -1042,9 +1236,11 @@ export function createPoller(options = {}) {
      * Mark items that were NOT in poll results as unseen
      * @param {string} sourceName - Source name
      * @param {string[]} currentItemIds - IDs of items in current poll results
+     * @returns {string[]} IDs of items that went missing since the last poll
      */
     markUnseen(sourceName, currentItemIds) {
       const currentSet = new Set(currentItemIds);
+      const missing = [];
       let changed = false;
       for (const [id, meta] of processedItems) {
         if (meta.source === sourceName) {
@@ -1060,12 +1256,14 @@ export function createPoller(options = {}) {
             // Item is missing - mark as unseen
             if (!meta.wasUnseen) {
               meta.wasUnseen = true;
+              missing.push(id);
               changed = true;
             }
           }
         }
       }
       if (changed) saveState();
+      return missing;
     },
     
     /**
@@ -1090,7 +1288,73 @@ export function createPoller(options = {}) {
     clearState() {
       processedItems.clear();
       dedupKeyIndex.clear();
+      retryEntries.clear();
+      saveState();
+    },
+    
+    /**
+     * Export processed items and dedup keys for moving state between machines
+     * Source runtime state (schedules, backoff, pause) is machine-local and not exported.
+     * @returns {object} Portable state: { format, exportedAt, processed, dedupKeys }
+     */
+    exportState() {
+      return {
+        format: STATE_EXPORT_FORMAT,
+        exportedAt: new Date().toISOString(),
+        processed: Object.fromEntries(processedItems),
+        dedupKeys: Object.fromEntries(dedupKeyIndex),
+      };
+    },
+    
+    /**
+     * Import state produced by exportState()
+     * In merge mode an imported entry wins only if it was processed more
+     * recently than the local one, so importing an old export never undoes
+     * newer local work.
+     * @param {object} data - Exported state
+     * @param {object} [options] - Options
+     * @param {boolean} [options.replace] - Replace local processed state instead of merging
+     * @returns {{added: number, updated: number, unchanged: number}} Counts of imported entries
+     * @throws {Error} With code INVALID_STATE_EXPORT if data is not an export
+     */
+    importState(data, options = {}) {
+      if (data?.format !== STATE_EXPORT_FORMAT || !data.processed || typeof data.processed !== 'object') {
+        const err = new Error(`Not a pilot state export (expected format "${STATE_EXPORT_FORMAT}")`);
+        err.code = 'INVALID_STATE_EXPORT';
+        throw err;
+      }
+      
+      if (options.replace) {
+        processedItems.clear();
+        dedupKeyIndex.clear();
+      }
+      
+      const counts = { added: 0, updated: 0, unchanged: 0 };
+      for (const [itemId, meta] of Object.entries(data.processed)) {
+        const existing = processedItems.get(itemId);
+        if (!existing) {
+          counts.added++;
+        } else if ((meta.processedAt || '') > (existing.processedAt || '')) {
+          counts.updated++;
+        } else {
+          counts.unchanged++;
+          continue;
+        }
+        processedItems.set(itemId, meta);
+        for (const key of meta.dedupKeys || []) {
+          dedupKeyIndex.set(key, itemId);
+        }
+      }
+      
+      // Keys from the export's index that no entry carried (older state files)
+      for (const [key, itemId] of Object.entries(data.dedupKeys || {})) {
+        if (!dedupKeyIndex.has(key) && processedItems.has(itemId)) {
+          dedupKeyIndex.set(key, itemId);
+        }
+      }
+      
       saveState();
+      return counts;
     },
     
     /**
@@ -1100,6 +1364,21 @@ export function createPoller(options = {}) {
       return Array.from(processedItems.keys());
     },
     
+    /**
+     * Get processed entries with their metadata, optionally filtered by source
+     * @param {string} [sourceName] - Optional source filter
+     * @returns {Array<object>} Entries as { id, ...metadata }
+     */
+    getProcessedItems(sourceName) {
+      const entries = [];
+      for (const [id, meta] of processedItems) {
+        if (!sourceName || meta.source === sourceName) {
+          entries.push({ id, ...meta });
+        }
+      }
+      return entries;
+    },
+    
     /**
      * Get count of processed items, optionally filtered by source
      * @param {string} [sourceName] - Optional source filter
@@ -1134,15 +1413,23 @@ export function createPoller(options = {}) {
           removed++;
         }
       }
-      if (removed > 0) saveState();
+      let retriesRemoved = 0;
+      for (const [id, retry] of retryEntries) {
+        if (retry.source === sourceName) {
+          retryEntries.delete(id);
+          retriesRemoved++;
+        }
+      }
+      if (removed > 0 || retriesRemoved > 0) saveState();
       return removed;
     },
     
     /**
      * Remove entries older than ttlDays
-     * Also removes associated dedup keys from the index
+     * Also removes associated dedup keys from the index, and retry entries
+     * whose last attempt is older than ttlDays
      * @param {number} [ttlDays=30] - Days before expiration
-     * @returns {number} Number of entries removed
+     * @returns {number} Number of processed entries removed
      */
     cleanupExpired(ttlDays = 30) {
       const cutoffMs = Date.now() - (ttlDays * 24 * 60 * 60 * 1000);
@@ -1160,7 +1447,14 @@ export function createPoller(options = {}) {
           removed++;
         }
       }
-      if (removed > 0) saveState();
+      let retriesRemoved = 0;
+      for (const [id, retry] of retryEntries) {
+        if (new Date(retry.lastAttemptAt).getTime() < cutoffMs) {
+          retryEntries.delete(id);
+          retriesRemoved++;
+        }
+      }
+      if (removed > 0 || retriesRemoved > 0) saveState();
       return removed;
     },
     
@@ -1198,6 +1492,141 @@ export function createPoller(options = {}) {
       return removed;
     },
     
+    /**
+     * Get runtime state for a source (schedule, last run, etc.)
+     * @param {string} sourceName - Source name
+     * @returns {object|null} Source state or null if none recorded
+     */
+    getSourceState(sourceName) {
+      return sourceStates.get(sourceName) || null;
+    },
+    
+    /**
+     * Get retry state for an item whose session start failed
+     * @param {string} itemId - Item ID
+     * @returns {object|null} { source, attempts, lastError, lastAttemptAt, nextAttemptAt, failed, ... } or null
+     */
+    getRetry(itemId) {
+      return retryEntries.get(itemId) || null;
+    },
+    
+    /**
+     * Get retry entries, optionally filtered by source
+     * @param {string} [sourceName] - Only entries for this source
+     * @returns {Array<object>} Entries as { id, ...retry }
+     */
+    getRetries(sourceName) {
+      const entries = [];
+      for (const [id, retry] of retryEntries) {
+        if (sourceName && retry.source !== sourceName) continue;
+        entries.push({ id, ...retry });
+      }
+      return entries;
+    },
+    
+    /**
+     * Store retry state for an item (see recordAttemptFailure in backoff.js)
+     * @param {string} itemId - Item ID
+     * @param {object} retry - Retry state
+     */
+    setRetry(itemId, retry) {
+      retryEntries.set(itemId, retry);
+      saveState();
+    },
+    
+    /**
+     * Remove retry state so the item is attempted again on the next poll
+     * @param {string} itemId - Item ID
+     * @returns {boolean} True if the item had retry state
+     */
+    clearRetry(itemId) {
+      if (!retryEntries.delete(itemId)) return false;
+      saveState();
+      return true;
+    },
+    
+    /**
+     * Get the global session rate limit bucket
+     * @returns {object|null} { tokens, updatedAt } or null if none recorded
+     */
+    getRateBucket() {
+      return rateBucket;
+    },
+    
+    /**
+     * Store the global session rate limit bucket (see takeToken in limits.js)
+     * @param {object} bucket - { tokens, updatedAt }
+     */
+    setRateBucket(bucket) {
+      rateBucket = bucket;
+      saveState();
+    },
+    
+    /**
+     * Remember a worktree pilot created
+     * @param {string} directory - Worktree directory
+     * @param {object} info - { itemId, source, name, projectDirectory, serverUrl }
+     */
+    recordWorktree(directory, info) {
+      worktreeEntries.set(directory, { ...info, createdAt: new Date().toISOString() });
+      saveState();
+    },
+    
+    /**
+     * Record the outcome of worktree_setup in a tracked worktree
+     * @param {string} directory - Worktree directory
+     * @param {object} setup - Result of runWorktreeSetup
+     * @returns {boolean} True if the worktree was tracked
+     */
+    recordWorktreeSetup(directory, setup) {
+      const entry = worktreeEntries.get(directory);
+      if (!entry) return false;
+      const { success, exitCode, durationMs, output, error } = setup;
+      entry.setup = { success, exitCode, durationMs, output, error: error ?? null, at: new Date().toISOString() };
+      saveState();
+      return true;
+    },
+    
+    /**
+     * Get worktrees pilot created
+     * @returns {Array<object>} Entries as { directory, itemId, source, name, projectDirectory, serverUrl, createdAt, setup? }
+     */
+    getWorktrees() {
+      return [...worktreeEntries].map(([directory, info]) => ({ directory, ...info }));
+    },
+    
+    /**
+     * Stop tracking a worktree (after it was removed)
+     * @param {string} directory - Worktree directory
+     * @returns {boolean} True if the worktree was tracked
+     */
+    forgetWorktree(directory) {
+      if (!worktreeEntries.delete(directory)) return false;
+      saveState();
+      return true;
+    },
+    
+    /**
+     * Get runtime state for all sources
+     * @returns {object} Map of source name -> source state
+     */
+    getSourceStates() {
+      return Object.fromEntries(sourceStates);
+    },
+    
+    /**
+     * Merge fields into a source's runtime state
+     * @param {string} sourceName - Source name
+     * @param {object} patch - Fields to set
+     */
+    updateSourceState(sourceName, patch) {
+      sourceStates.set(sourceName, {
+        ...(sourceStates.get(sourceName) || {}),
+        ...patch,
+      });
+      saveState();
+    },
+    
     /**
      * Check if an item should be reprocessed based on state changes
      * Uses reprocess_on config to determine which fields to check.
@@ -1209,97 +1638,19 @@ export function createPoller(options = {}) {
      * @returns {boolean} True if item should be reprocessed
      */
     shouldReprocess(item, options = {}) {
-      if (!item.id) return false;
-      
-      const meta = processedItems.get(item.id);
-      if (!meta) return false; // Not processed before
-      
-      // Check if item reappeared after being missing (e.g., uncompleted reminder)
-      // Exception: suppress reprocessing when the item cycled through an intermediate
-      // state (e.g., Linear: In Progress -> In Review -> In Progress). If the stored
-      // state and the current state are both "in progress", the issue just passed
-      // through code review and back — no new work is needed.
-      if (meta.wasUnseen) {
-        const storedState = meta.itemState;
-        const currentState = item.state || item.status;
-        if (storedState && currentState) {
-          const stored = storedState.toLowerCase();
-          const current = currentState.toLowerCase();
-          if (stored === 'in progress' && current === 'in progress') {
-            return false;
-          }
-        }
-        return true;
-      }
-      
-      // Get reprocess_on fields from options, default to state/status only
-      // Note: updated_at is NOT included by default because our own changes would trigger reprocessing
-      const reprocessOn = options.reprocessOn || ['state', 'status'];
-      
-      // Check each configured field for changes
-      for (const field of reprocessOn) {
-        // Handle state/status fields (detect reopening)
-        if (field === 'state' || field === 'status') {
-          const storedState = meta.itemState;
-          const currentState = item[field];
-          
-          if (storedState && currentState) {
-            const stored = storedState.toLowerCase();
-            const current = currentState.toLowerCase();
-            
-            // Reopened: was closed/merged/done, now open/in-progress
-            if ((stored === 'closed' || stored === 'merged' || stored === 'done') 
-                && (current === 'open' || current === 'in progress')) {
-              return true;
-            }
-          }
-        }
-        
-        // Handle timestamp fields (detect updates)
-        if (field === 'updated_at' || field === 'updatedAt') {
-          const storedTimestamp = meta.itemUpdatedAt;
-          const currentTimestamp = item[field] || item.updated_at || item.updatedAt;
-          
-          if (storedTimestamp && currentTimestamp) {
-            const storedTime = new Date(storedTimestamp).getTime();
-            const currentTime = new Date(currentTimestamp).getTime();
-            if (currentTime > storedTime) {
-              return true;
-            }
-          }
-        }
-        
-        // Handle attention field (detect new feedback on PRs)
-        // Triggers when:
-        // 1. Attention changes from false to true (new feedback on a clean PR)
-        // 2. Attention stays true but latest feedback is newer (re-review or additional feedback)
-        if (field === 'attention') {
-          const storedHasAttention = meta.hasAttention;
-          const currentHasAttention = item._has_attention;
-          
-          // Trigger if attention changed false -> true
-          if (storedHasAttention === false && currentHasAttention === true) {
-            return true;
-          }
-          
-          // Trigger if attention stayed true but there's newer feedback
-          // This catches re-reviews and additional feedback on PRs already processed with feedback
-          if (storedHasAttention === true && currentHasAttention === true) {
-            const storedFeedbackAt = meta.latestFeedbackAt;
-            const currentFeedbackAt = item._latest_feedback_at;
-            
-            // No stored baseline: any current feedback is new (legacy state entries)
-            if (!storedFeedbackAt && currentFeedbackAt) {
-              return true;
-            }
-            if (storedFeedbackAt && currentFeedbackAt && currentFeedbackAt > storedFeedbackAt) {
-              return true;
-            }
-          }
-        }
-      }
-      
-      return false;
+      return getReprocessReason(item, options) !== null;
     },
+
+    /**
+     * Explain why an item should be reprocessed
+     * Same checks as shouldReprocess, reporting which trigger fired.
+     * 
+     * @param {object} item - Current item from source
+     * @param {object} [options] - Options
+     * @param {string[]} [options.reprocessOn] - Fields to check for changes
+     * @returns {{trigger: string, detail: string}|null} The reprocess_on field that fired
+     *   ("reappeared" for items that came back after being missing), or null
+     */
+    getReprocessReason,
   };
 }
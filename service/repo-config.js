@@ -30,6 +30,12 @@ const DEFAULT_TEMPLATES_DIR = path.join(
   ".config/opencode/pilot/templates"
 );
 
+// Default directory for poll state and the daemon lock
+const DEFAULT_STATE_DIR = path.join(
+  os.homedir(),
+  ".config/opencode/pilot"
+);
+
 // In-memory config cache (for testing and runtime)
 let configCache = null;
 
@@ -239,7 +245,7 @@ function normalizeSource(source, defaults) {
   // This allows downstream config builders to apply the correct priority:
   //   explicit source > repo > defaults
   merged._explicit = {};
-  for (const field of ['model', 'agent', 'prompt', 'working_dir']) {
+  for (const field of ['model', 'agent', 'prompt', 'working_dir', 'worktree_setup']) {
     if (normalized[field] !== undefined) {
       merged._explicit[field] = normalized[field];
     }
@@ -425,6 +431,33 @@ export function findRepoByPath(searchPath) {
   return null;
 }
 
+/**
+ * Get the global limit on active pilot sessions (top-level max_active_sessions)
+ * @returns {number|null} Limit, or null if unlimited
+ */
+export function getMaxActiveSessions() {
+  const config = getRawConfig();
+  return config?.max_active_sessions ?? null;
+}
+
+/**
+ * Get the global session creation rate limit (top-level max_sessions_per_hour)
+ * @returns {number|null} Sessions per hour, or null if unlimited
+ */
+export function getMaxSessionsPerHour() {
+  const config = getRawConfig();
+  return config?.max_sessions_per_hour ?? null;
+}
+
+/**
+ * Get how often worktree garbage collection runs (worktree_gc.interval)
+ * @returns {number|string|null} Interval as configured, or null if not scheduled
+ */
+export function getWorktreeGcInterval() {
+  const config = getRawConfig();
+  return config?.worktree_gc?.interval ?? null;
+}
+
 /**
  * Get cleanup TTL days from config
  * @returns {number} TTL in days (default: 30)
@@ -434,6 +467,20 @@ export function getCleanupTtlDays() {
   return config?.cleanup?.ttl_days ?? 30;
 }
 
+/**
+ * Get poll state storage settings from config
+ * @returns {{backend: string, dir: string}} State backend ("json" or "jsonl", default: "json")
+ *   and directory holding poll state and the daemon lock (default: ~/.config/opencode/pilot)
+ */
+export function getStateConfig() {
+  const config = getRawConfig();
+  const dir = config?.state?.dir;
+  return {
+    backend: config?.state?.backend ?? "json",
+    dir: dir ? path.resolve(dir.replace(/^~/, os.homedir())) : DEFAULT_STATE_DIR,
+  };
+}
+
 /**
  * Get preferred OpenCode server port from config
  * @returns {number|null} Port number or null if not configured
@@ -443,6 +490,36 @@ export function getServerPort() {
   return config?.server_port ?? null;
 }
 
+/**
+ * Get OpenCode server URLs to probe in addition to discovered ones (servers)
+ * @returns {string[]} Server URLs without trailing slashes
+ */
+export function getServers() {
+  const config = getRawConfig();
+  const servers = config?.servers;
+  if (!Array.isArray(servers)) return [];
+  return servers
+    .filter((url) => typeof url === "string" && url.trim())
+    .map((url) => url.trim().replace(/\/+$/, ""));
+}
+
+/**
+ * Get server autostart config (server.autostart)
+ * Durations are returned as configured; server-autostart.js parses them.
+ * @returns {object|null} { port, idleTimeout, startupTimeout, command }, or null if autostart is off
+ */
+export function getServerAutostartConfig() {
+  const config = getRawConfig();
+  const server = config?.server;
+  if (!server?.autostart) return null;
+  return {
+    port: server.port ?? config.server_port ?? 4096,
+    idleTimeout: server.idle_timeout ?? null,
+    startupTimeout: server.startup_timeout ?? null,
+    command: server.command ?? "opencode",
+  };
+}
+
 /**
  * Get startup delay from config (ms to wait before first poll)
  * This allows OpenCode server time to fully initialize after restart
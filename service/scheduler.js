@@ -0,0 +1,486 @@
+/**
+ * scheduler.js - Per-source poll scheduling
+ *
+ * Each source runs on its own timer instead of sharing one global interval.
+ * A source can set either:
+ * - interval: fixed delay between polls (ms number or duration like "30s", "5m", "1h")
+ * - schedule: cron-style expression ("minute hour day-of-month month day-of-week")
+ *
+ * Sources with neither fall back to the default poll interval. The next run is
+ * only armed after the previous run for that source finishes, so a slow source
+ * never overlaps with itself. createRunGuard() additionally serializes cycles
+ * across sources and manual "poll now" triggers.
+ */
+
+import { debug } from "./logger.js";
+
+// Default interval for sources without interval or schedule (5 minutes)
+export const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000;
+
+// Lower bound for intervals to avoid hammering APIs with a typo like `interval: 60`
+export const MIN_POLL_INTERVAL = 10 * 1000;
+
+// setTimeout overflows above 2^31-1 ms (~24.8 days); longer waits are re-armed in steps
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration value into milliseconds
+ * Numbers are treated as milliseconds (consistent with startup_delay).
+ * Strings support a single unit suffix: "500ms", "30s", "5m", "1h", "1d".
+ * @param {number|string} value - Duration value
+ * @returns {number|null} Duration in ms, or null if not parseable
+ */
+export function parseDuration(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0 ? value : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || "ms").toLowerCase();
+  return Math.round(amount * DURATION_UNITS[unit]);
+}
+
+// Field definitions for cron expressions: [min, max]
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Resolve a single cron value (number or month/day name)
+ */
+function parseCronValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.name === "month" && MONTH_NAMES.includes(lower)) {
+    return MONTH_NAMES.indexOf(lower) + 1;
+  }
+  if (field.name === "dayOfWeek" && DAY_NAMES.includes(lower)) {
+    return DAY_NAMES.indexOf(lower);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+  const n = parseInt(value, 10);
+  if (n < field.min || n > field.max) {
+    throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+/**
+ * Parse one cron field (supports *, lists, ranges and steps)
+ * @returns {Set<number>} Allowed values
+ */
+function parseCronField(expr, field) {
+  const values = new Set();
+
+  for (const part of expr.split(",")) {
+    const [rangeExpr, stepExpr] = part.split("/");
+    const step = stepExpr === undefined ? 1 : parseInt(stepExpr, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name}: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangeExpr === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangeExpr.includes("-")) {
+      const [a, b] = rangeExpr.split("-");
+      start = parseCronValue(a, field);
+      end = parseCronValue(b, field);
+    } else {
+      start = parseCronValue(rangeExpr, field);
+      // "5/15" means "from 5 to max every 15"
+      end = stepExpr === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid range in ${field.name}: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * Day-of-week accepts 0-7 (0 and 7 are Sunday) and names (sun-sat).
+ * As in standard cron, when both day-of-month and day-of-week are restricted,
+ * a day matches if either field matches.
+ * @param {string} expression - Cron expression (e.g., "*\/15 9-17 * * mon-fri")
+ * @returns {object} Parsed cron with a Set per field
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== "string") {
+    throw new Error("Cron expression must be a string");
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}: "${expression}"`);
+  }
+
+  const cron = { expression: expression.trim() };
+  CRON_FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(parts[i], field);
+  });
+
+  // Normalize Sunday: 7 -> 0
+  if (cron.dayOfWeek.has(7)) {
+    cron.dayOfWeek.delete(7);
+    cron.dayOfWeek.add(0);
+  }
+
+  cron.dayOfMonthRestricted = parts[2] !== "*";
+  cron.dayOfWeekRestricted = parts[4] !== "*";
+  return cron;
+}
+
+/**
+ * Check whether a date's day matches the cron day fields
+ */
+function cronDayMatches(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Get the next time (strictly after `from`) matching a cron expression
+ * Evaluated in the daemon's local timezone.
+ * @param {object|string} cron - Parsed cron (from parseCron) or expression
+ * @param {Date} [from] - Reference time (default: now)
+ * @returns {Date|null} Next matching time, or null if none within 5 years
+ */
+export function getNextCronTime(cron, from = new Date()) {
+  const parsed = typeof cron === "string" ? parseCron(cron) : cron;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!parsed.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cronDayMatches(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the timing configuration for a source
+ * `schedule` takes precedence over `interval` when both are set.
+ * @param {object} source - Normalized source config
+ * @param {number} [defaultInterval] - Fallback interval in ms
+ * @returns {object} { type: 'schedule', cron, expression } or { type: 'interval', interval }
+ * @throws {Error} If schedule or interval is invalid
+ */
+export function getSourceTiming(source, defaultInterval = DEFAULT_POLL_INTERVAL) {
+  if (source.schedule) {
+    const cron = parseCron(source.schedule);
+    return { type: "schedule", cron, expression: cron.expression };
+  }
+
+  if (source.interval !== undefined && source.interval !== null) {
+    const interval = parseDuration(source.interval);
+    if (interval === null) {
+      throw new Error(`Invalid interval for source '${source.name || "unknown"}': ${source.interval}`);
+    }
+    if (interval < MIN_POLL_INTERVAL) {
+      console.warn(`[scheduler] Interval for '${source.name || "unknown"}' raised to minimum of ${MIN_POLL_INTERVAL / 1000}s`);
+      return { type: "interval", interval: MIN_POLL_INTERVAL };
+    }
+    return { type: "interval", interval };
+  }
+
+  return { type: "interval", interval: defaultInterval };
+}
+
+/**
+ * Compute the next run time for a source timing
+ * @param {object} timing - Timing from getSourceTiming
+ * @param {Date} [from] - Reference time (default: now)
+ * @returns {Date|null} Next run time
+ */
+export function getNextRunTime(timing, from = new Date()) {
+  if (timing.type === "schedule") {
+    return getNextCronTime(timing.cron, from);
+  }
+  return new Date(from.getTime() + timing.interval);
+}
+
+/**
+ * Describe a source timing for display (e.g., in `opencode-pilot status`)
+ * @param {object} timing - Timing from getSourceTiming
+ * @returns {string} Human-readable description
+ */
+export function describeTiming(timing) {
+  if (timing.type === "schedule") {
+    return `schedule "${timing.expression}"`;
+  }
+  const ms = timing.interval;
+  if (ms % DURATION_UNITS.h === 0) return `every ${ms / DURATION_UNITS.h}h`;
+  if (ms % DURATION_UNITS.m === 0) return `every ${ms / DURATION_UNITS.m}m`;
+  return `every ${Math.round(ms / 1000)}s`;
+}
+
+/**
+ * Create a scheduler that runs each source independently
+ *
+ * @param {object} options - Scheduler options
+ * @param {Array} options.sources - Normalized sources (each needs a name)
+ * @param {function} options.runSource - async (sourceName) => void, runs one poll for a source
+ * @param {number} [options.defaultInterval] - Interval for sources without interval/schedule
+ * @param {number} [options.initialDelay] - Delay before the first run of interval sources
+ * @param {function} [options.onSchedule] - Called with (sourceName, entry) whenever a run is scheduled
+ * @returns {object} Scheduler with start(), stop() and getSchedule()
+ */
+export function createScheduler(options) {
+  const {
+    sources,
+    runSource,
+    defaultInterval = DEFAULT_POLL_INTERVAL,
+    initialDelay = 0,
+    onSchedule,
+  } = options;
+
+  // sourceName -> { name, timing, description, timer, nextRunAt, lastRunAt, running }
+  const entries = new Map();
+  let stopped = true;
+
+  for (const source of sources) {
+    const name = source.name || "unknown";
+    if (entries.has(name)) {
+      console.warn(`[scheduler] Duplicate source name '${name}' - only the first is scheduled`);
+      continue;
+    }
+    let timing;
+    try {
+      timing = getSourceTiming(source, defaultInterval);
+    } catch (err) {
+      console.error(`[scheduler] ${err.message} - source will not be polled`);
+      continue;
+    }
+    entries.set(name, {
+      name,
+      timing,
+      description: describeTiming(timing),
+      timer: null,
+      nextRunAt: null,
+      lastRunAt: null,
+      running: false,
+    });
+  }
+
+  function arm(entry, runAt) {
+    if (stopped) return;
+    if (!runAt) {
+      debug(`scheduler: no upcoming run for ${entry.name}`);
+      entry.nextRunAt = null;
+      return;
+    }
+    entry.nextRunAt = runAt;
+    setTimer(entry);
+    debug(`scheduler: ${entry.name} next run at ${runAt.toISOString()}`);
+    if (onSchedule) {
+      try {
+        onSchedule(entry.name, snapshot(entry));
+      } catch (err) {
+        debug(`scheduler: onSchedule error - ${err.message}`);
+      }
+    }
+  }
+
+  function setTimer(entry) {
+    const delay = Math.max(0, entry.nextRunAt.getTime() - Date.now());
+    entry.timer = setTimeout(() => {
+      if (entry.nextRunAt.getTime() > Date.now()) {
+        setTimer(entry);
+        return;
+      }
+      run(entry);
+    }, Math.min(delay, MAX_TIMER_DELAY));
+  }
+
+  async function run(entry) {
+    entry.timer = null;
+    entry.running = true;
+    entry.lastRunAt = new Date();
+    try {
+      await runSource(entry.name);
+    } catch (err) {
+      console.error(`[scheduler] Error polling ${entry.name}: ${err.message}`);
+    } finally {
+      entry.running = false;
+    }
+    arm(entry, getNextRunTime(entry.timing, new Date()));
+  }
+
+  function snapshot(entry) {
+    return {
+      name: entry.name,
+      description: entry.description,
+      ...(entry.timing.type === "schedule"
+        ? { schedule: entry.timing.expression }
+        : { interval: entry.timing.interval }),
+      nextRunAt: entry.nextRunAt ? entry.nextRunAt.toISOString() : null,
+      lastRunAt: entry.lastRunAt ? entry.lastRunAt.toISOString() : null,
+      running: entry.running,
+    };
+  }
+
+  return {
+    /**
+     * Arm timers for all sources
+     * Interval sources first run after initialDelay; scheduled sources wait
+     * for their next cron match (but never before initialDelay).
+     */
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      const earliest = new Date(Date.now() + initialDelay);
+      for (const entry of entries.values()) {
+        const runAt = entry.timing.type === "schedule"
+          ? getNextCronTime(entry.timing.cron, earliest)
+          : earliest;
+        arm(entry, runAt);
+      }
+    },
+
+    /**
+     * Cancel all pending timers (in-flight runs finish but are not re-armed)
+     */
+    stop() {
+      stopped = true;
+      for (const entry of entries.values()) {
+        if (entry.timer) {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+        }
+        entry.nextRunAt = null;
+      }
+    },
+
+    /**
+     * Get the current schedule for all sources
+     * @returns {Array} Entries with name, description, nextRunAt, lastRunAt, running
+     */
+    getSchedule() {
+      return Array.from(entries.values()).map(snapshot);
+    },
+  };
+}
+
+/**
+ * Create a guard that runs poll cycles one at a time
+ *
+ * Cycles are serialized so two polls never race on shared state (e.g. two
+ * sources marking the same item processed). If a cycle with the same key is
+ * already waiting to run, the caller joins it instead of queueing a duplicate;
+ * a cycle that is already running gets at most one follow-up queued behind it.
+ * Options set by a caller that joins a queued cycle (e.g. force) are merged
+ * into it, so they are not lost to the caller that queued it first.
+ *
+ * @returns {object} Guard with run(key, fn, options), isRunning() and getRunningKey()
+ */
+export function createRunGuard() {
+  let tail = Promise.resolve();
+  let runningKey = null;
+  // key -> { promise, options } for a cycle that is queued but not yet started
+  const queued = new Map();
+
+  return {
+    /**
+     * Run fn once all earlier cycles have finished
+     * @param {string} key - Cycle identity (e.g. source name)
+     * @param {function} fn - async (options) => result
+     * @param {object} [options] - Passed to fn; truthy values are merged into a queued cycle this call joins
+     * @returns {Promise} Result of fn (shared with callers that joined this cycle)
+     */
+    run(key, fn, options = {}) {
+      if (queued.has(key)) {
+        const pending = queued.get(key);
+        for (const [name, value] of Object.entries(options)) {
+          if (value) pending.options[name] = value;
+        }
+        debug(`scheduler: ${key} already queued, joining pending cycle`);
+        return pending.promise;
+      }
+
+      const pending = { options: { ...options } };
+      const promise = tail.then(async () => {
+        queued.delete(key);
+        runningKey = key;
+        try {
+          return await fn(pending.options);
+        } finally {
+          runningKey = null;
+        }
+      });
+      pending.promise = promise;
+      queued.set(key, pending);
+      // Keep the chain alive when a cycle fails; the caller sees the rejection
+      tail = promise.catch(() => {});
+      return promise;
+    },
+
+    /**
+     * @returns {boolean} True while a cycle is running
+     */
+    isRunning() {
+      return runningKey !== null;
+    },
+
+    /**
+     * @returns {string|null} Key of the running cycle, if any
+     */
+    getRunningKey() {
+      return runningKey;
+    },
+  };
+}
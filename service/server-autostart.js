@@ -0,0 +1,239 @@
+/**
+ * server-autostart.js - Start a headless OpenCode server when none is running
+ *
+ * Without a server, sessions can't start and ready items wait until the user
+ * opens OpenCode. With autostart, pilot runs `opencode serve` itself when
+ * discovery finds no server for a project:
+ *
+ *   server:
+ *     autostart: true
+ *     port: 4096             # default: server_port, then 4096
+ *     idle_timeout: 30m      # stop after this long without busy sessions (0: keep running)
+ *     startup_timeout: 30s   # wait this long for /project/current to report healthy
+ *     command: opencode      # OpenCode binary
+ *
+ * The server is started in the first project that needs it and serves the
+ * others through the `directory` parameter pilot sends with every request.
+ * It is stopped once none of its sessions has been busy for idle_timeout,
+ * and started again when the next item needs it. A server already listening
+ * on the port (e.g. left over from an earlier run) is used as is and never
+ * stopped by pilot.
+ */
+
+import { spawn as spawnProcess } from "child_process";
+import { debug } from "./logger.js";
+import { emitEvent } from "./events.js";
+import { getSessionStatuses } from "./actions.js";
+import { probeServers } from "./discovery.js";
+import { parseDuration } from "./scheduler.js";
+import { formatDuration } from "./utils.js";
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+const DEFAULT_STARTUP_TIMEOUT_MS = 30 * 1000;
+
+// How often to check whether the server is idle
+const IDLE_CHECK_MS = 60 * 1000;
+
+// Delay between health checks while the server starts
+const HEALTH_POLL_MS = 250;
+
+// Don't try again sooner than this after a failed start
+const START_RETRY_MS = 60 * 1000;
+
+// Server output kept to explain a failed start
+const OUTPUT_LIMIT = 2000;
+
+const ACTIVE_STATUS_TYPES = new Set(["busy", "retry"]);
+
+/**
+ * Parse a duration setting, warning and falling back on invalid values
+ * @param {string|number} value - Configured value
+ * @param {number} fallback - Default in ms
+ * @param {string} name - Setting name for the warning
+ * @returns {number} Duration in ms
+ */
+function durationSetting(value, fallback, name) {
+  if (value === undefined || value === null) return fallback;
+  const ms = parseDuration(value);
+  if (ms === null) {
+    console.warn(`[autostart] Invalid server.${name} '${value}', using default`);
+    return fallback;
+  }
+  return ms;
+}
+
+/**
+ * Check whether a healthy OpenCode server answers at a URL
+ * @param {string} url - Server URL
+ * @param {function} fetchFn - Fetch function
+ * @returns {Promise<boolean>} True if /project/current returns valid project data
+ */
+async function isHealthy(url, fetchFn) {
+  return (await probeServers([url], { fetch: fetchFn })).length > 0;
+}
+
+/**
+ * Create the server autostarter
+ * @param {object} options - Options
+ * @param {object} options.config - Autostart config from getServerAutostartConfig()
+ * @param {function} [options.spawn] - Custom spawn function (for testing)
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.now] - Clock in ms (for testing)
+ * @returns {object} Autostarter with ensureServer(targetDir), checkIdle(), getStatus() and stop()
+ */
+export function createServerAutostart(options) {
+  const { config, spawn = spawnProcess, fetch: fetchFn = fetch, now = Date.now } = options;
+  const port = config.port;
+  const url = `http://localhost:${port}`;
+  const idleTimeoutMs = durationSetting(config.idleTimeout, DEFAULT_IDLE_TIMEOUT_MS, "idle_timeout");
+  const startupTimeoutMs = durationSetting(config.startupTimeout, DEFAULT_STARTUP_TIMEOUT_MS, "startup_timeout");
+
+  let child = null;
+  let directory = null;
+  let startedAt = null;
+  let lastActiveAt = 0;
+  let starting = null;
+  let failedAt = null;
+  let idleTimer = null;
+
+  /**
+   * Spawn the server and wait until it is healthy
+   * @param {string} targetDir - Project to start the server in
+   * @returns {Promise<string|null>} Server URL, or null if it failed to start
+   */
+  async function start(targetDir) {
+    // Adopt a server that is already listening, but leave its lifetime to its owner
+    if (await isHealthy(url, fetchFn)) {
+      debug(`autostart: server already running at ${url}`);
+      return url;
+    }
+
+    let output = "";
+    let exit = null;
+    const proc = spawn(config.command, ["serve", "--port", String(port), "--hostname", "127.0.0.1"], {
+      cwd: targetDir,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+    const collect = (chunk) => {
+      output = (output + chunk).slice(-OUTPUT_LIMIT);
+    };
+    proc.stdout?.on("data", collect);
+    proc.stderr?.on("data", collect);
+    proc.on("error", (err) => {
+      exit = err.message;
+    });
+    proc.on("exit", (code, signal) => {
+      exit = exit || `exited with ${signal || code}`;
+      if (child === proc) {
+        console.warn(`[autostart] opencode serve on port ${port} ${exit}`);
+        clearInterval(idleTimer);
+        idleTimer = null;
+        child = null;
+        emitEvent("server.stopped", { url, directory, reason: exit });
+      }
+    });
+
+    const deadline = now() + startupTimeoutMs;
+    let healthy = false;
+    while (!exit && !healthy && now() < deadline) {
+      healthy = await isHealthy(url, fetchFn);
+      if (!healthy) await new Promise((resolve) => setTimeout(resolve, HEALTH_POLL_MS));
+    }
+
+    if (!healthy || exit) {
+      const reason = exit || `not healthy after ${Math.round(startupTimeoutMs / 1000)}s`;
+      if (!exit) proc.kill("SIGTERM");
+      const detail = output.trim() ? `: ${output.trim().split("\n").slice(-3).join(" | ")}` : "";
+      const message = `opencode serve on port ${port} ${reason}${detail}`;
+      console.error(`[autostart] Failed to start ${message}`);
+      emitEvent("error", { stage: "server_autostart", message });
+      failedAt = now();
+      return null;
+    }
+
+    child = proc;
+    directory = targetDir;
+    startedAt = now();
+    lastActiveAt = startedAt;
+    failedAt = null;
+    console.log(`[autostart] Started opencode serve on port ${port} in ${targetDir} (pid ${proc.pid})`);
+    emitEvent("server.started", { url, directory: targetDir, pid: proc.pid ?? null });
+    if (idleTimeoutMs > 0) {
+      idleTimer = setInterval(() => {
+        checkIdle().catch((err) => debug(`autostart: idle check failed - ${err.message}`));
+      }, Math.min(IDLE_CHECK_MS, idleTimeoutMs));
+      idleTimer.unref?.();
+    }
+    return url;
+  }
+
+  /**
+   * Get the autostarted server, starting it if needed
+   * @param {string} targetDir - Project a session is about to start in
+   * @returns {Promise<string|null>} Server URL, or null if it could not be started
+   */
+  async function ensureServer(targetDir) {
+    if (child) {
+      lastActiveAt = now();
+      return url;
+    }
+    if (starting) return starting;
+    if (failedAt !== null && now() - failedAt < START_RETRY_MS) {
+      debug(`autostart: last start failed, retrying after ${START_RETRY_MS / 1000}s`);
+      return null;
+    }
+    starting = start(targetDir).finally(() => {
+      starting = null;
+    });
+    return starting;
+  }
+
+  /**
+   * Stop the server if none of its sessions was busy for idle_timeout
+   * @returns {Promise<boolean>} True if the server was stopped
+   */
+  async function checkIdle() {
+    if (!child || idleTimeoutMs <= 0) return false;
+    const statuses = await getSessionStatuses(url, { fetch: fetchFn });
+    if (Object.values(statuses).some((status) => ACTIVE_STATUS_TYPES.has(status?.type))) {
+      lastActiveAt = now();
+      return false;
+    }
+    if (now() - lastActiveAt < idleTimeoutMs) return false;
+    stop(`idle for ${formatDuration(idleTimeoutMs)}`);
+    return true;
+  }
+
+  /**
+   * Stop the autostarted server
+   * @param {string} [reason] - Why it is stopped (logged and sent with server.stopped)
+   */
+  function stop(reason = "pilot stopped") {
+    clearInterval(idleTimer);
+    idleTimer = null;
+    if (!child) return;
+    const proc = child;
+    child = null;
+    proc.kill("SIGTERM");
+    console.log(`[autostart] Stopped opencode serve on port ${port} (${reason})`);
+    emitEvent("server.stopped", { url, directory, reason });
+  }
+
+  /**
+   * Get the state of the autostarted server
+   * @returns {object} { running, url, port, directory, pid, startedAt, lastActiveAt }
+   */
+  function getStatus() {
+    return {
+      running: child !== null,
+      url,
+      port,
+      directory: child ? directory : null,
+      pid: child?.pid ?? null,
+      startedAt: child ? new Date(startedAt).toISOString() : null,
+      lastActiveAt: child ? new Date(lastActiveAt).toISOString() : null,
+    };
+  }
+
+  return { ensureServer, checkIdle, getStatus, stop };
+}
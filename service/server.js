@@ -2,20 +2,32 @@
 //
 // This service runs persistently and handles:
 // - Polling for tracker items (GitHub issues, Linear issues)
+// - Web dashboard (GET /)
 // - Health check endpoint
+// - Read-only status API (GET /sources, /items, /items/:id, /readiness, /worktrees; needs api_token when set)
+// - Live activity stream (GET /events, Server-Sent Events)
+// - Prometheus metrics (GET /metrics)
+// - Control API (POST /poll, POST /retry, POST /worktrees/gc, DELETE /items/:id, POST /sources/:name/pause|resume)
 
 import { createServer as createHttpServer } from 'http'
+import { timingSafeEqual } from 'crypto'
 import { existsSync, realpathSync, readFileSync } from 'fs'
 import { fileURLToPath } from 'url'
 import { homedir } from 'os'
-import { join } from 'path'
+import { join, dirname } from 'path'
 import YAML from 'yaml'
 import { getVersion } from './version.js'
+import { onEvent, getRecentEvents } from './events.js'
+import { createMetrics } from './metrics.js'
+import { acquireLock } from './lock.js'
 
 // Default configuration
 const DEFAULT_HTTP_PORT = 4097
+const DEFAULT_HTTP_HOST = '127.0.0.1'
 const DEFAULT_REPOS_CONFIG = join(homedir(), '.config', 'opencode', 'pilot', 'config.yaml')
 const DEFAULT_POLL_INTERVAL = 5 * 60 * 1000 // 5 minutes
+const DASHBOARD_PATH = join(dirname(fileURLToPath(import.meta.url)), 'dashboard.html')
+const SSE_HEARTBEAT_INTERVAL = 15 * 1000 // Keeps proxies from closing idle streams
 
 /**
  * Load port from config file
@@ -37,11 +49,188 @@ function getPortFromConfig() {
 }
 
 /**
- * Create the HTTP server (health check only)
+ * Load the address to listen on from config file
+ * @param {string} configPath - Path to config.yaml
+ * @returns {string} Host (default: loopback only)
+ */
+function getHostFromConfig(configPath) {
+  try {
+    if (existsSync(configPath)) {
+      const config = YAML.parse(readFileSync(configPath, 'utf8'))
+      if (config?.host && typeof config.host === 'string') {
+        return config.host
+      }
+    }
+  } catch {
+    // Ignore errors, use default
+  }
+  return DEFAULT_HTTP_HOST
+}
+
+/**
+ * Load the API token from config file
+ * @param {string} configPath - Path to config.yaml
+ * @returns {string|null} Token, or null if not configured
+ */
+function getApiTokenFromConfig(configPath) {
+  try {
+    if (existsSync(configPath)) {
+      const config = YAML.parse(readFileSync(configPath, 'utf8'))
+      if (config?.api_token && typeof config.api_token === 'string') {
+        return config.api_token
+      }
+    }
+  } catch {
+    // Ignore errors, API stays local-only
+  }
+  return null
+}
+
+/**
+ * Send a rejected authorization as a JSON error
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} denied - { status, error } from authorizeRead or authorizeControl
+ */
+function sendDenied(res, denied) {
+  const headers = denied.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}
+  sendJson(res, denied.status, { error: denied.error }, headers)
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - JSON-serializable body
+ * @param {Object} [headers] - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Check if a remote address is the local machine
+ * @param {string} address - Socket remote address
+ * @returns {boolean}
+ */
+function isLoopback(address) {
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1'
+}
+
+/**
+ * Check if a browser Origin is a page served by this server
+ * Compares against localhost names rather than the Host header, which a
+ * DNS-rebinding page controls.
+ * @param {string} origin - Origin request header
+ * @param {number} port - Port the request arrived on
+ * @returns {boolean}
+ */
+function isLocalOrigin(origin, port) {
+  try {
+    const { hostname, port: originPort } = new URL(origin)
+    return ['localhost', '127.0.0.1', '[::1]'].includes(hostname) && Number(originPort) === port
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Check a request's token against api_token
+ * @param {http.IncomingMessage} req - Request
+ * @param {string} apiToken - Configured token
+ * @param {string|null} [queryToken] - Token from the URL, for clients that can't send headers (EventSource)
+ * @returns {boolean}
+ */
+function hasValidToken(req, apiToken, queryToken = null) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)
+  const given = Buffer.from(match ? match[1].trim() : queryToken || '')
+  const expected = Buffer.from(apiToken)
+  return given.length === expected.length && timingSafeEqual(given, expected)
+}
+
+/**
+ * Authorize a request to the status API, event stream or metrics
+ * Open without api_token (the server only listens on loopback by default);
+ * with one, reads need the token too, since they include raw source config.
+ * @param {http.IncomingMessage} req - Request
+ * @param {URL} url - Parsed request URL
+ * @param {string|null} apiToken - Configured token
+ * @returns {Object|null} { status, error } if rejected, null if allowed
+ */
+function authorizeRead(req, url, apiToken) {
+  if (!apiToken) return null
+  const queryToken = url.pathname === '/events' ? url.searchParams.get('token') : null
+  if (hasValidToken(req, apiToken, queryToken)) return null
+  return { status: 401, error: 'Missing or invalid bearer token' }
+}
+
+/**
+ * Authorize a request to the control API
+ * With api_token configured, requests need `Authorization: Bearer <token>`.
+ * Without one, only local requests from the CLI or pages served by this
+ * server are allowed, since CORS is open (`Access-Control-Allow-Origin: *`).
+ * @param {http.IncomingMessage} req - Request
+ * @param {string|null} apiToken - Configured token
+ * @returns {Object|null} { status, error } if rejected, null if allowed
+ */
+function authorizeControl(req, apiToken) {
+  if (apiToken) {
+    if (hasValidToken(req, apiToken)) return null
+    return { status: 401, error: 'Missing or invalid bearer token' }
+  }
+  
+  const origin = req.headers.origin
+  if (isLoopback(req.socket.remoteAddress) && (!origin || isLocalOrigin(origin, req.socket.localPort))) {
+    return null
+  }
+  return { status: 403, error: 'Set api_token in config.yaml to use the control API from other hosts or origins' }
+}
+
+/**
+ * Stream pilot events to a client as Server-Sent Events
+ * Each event is sent as a `data:` line with the JSON event (its `type` field
+ * says what happened). Clients reconnecting with Last-Event-ID get the
+ * buffered events they missed.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Set} streams - Open streams, closed on shutdown
+ */
+function streamEvents(req, res, streams) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  })
+  
+  const send = (event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`)
+  }
+  
+  res.write(': connected\n\n')
+  const lastEventId = parseInt(req.headers['last-event-id'], 10)
+  if (lastEventId > 0) {
+    getRecentEvents(lastEventId).forEach(send)
+  }
+  
+  const unsubscribe = onEvent(send)
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL)
+  heartbeat.unref()
+  streams.add(res)
+  
+  req.on('close', () => {
+    unsubscribe()
+    clearInterval(heartbeat)
+    streams.delete(res)
+  })
+}
+
+/**
+ * Create the HTTP server
  * @param {number} port - Port to listen on
+ * @param {Object} context - Shared service state (pollingState is set once polling starts)
  * @returns {http.Server} The HTTP server
  */
-function createHttpServer_(port) {
+function createHttpServer_(port, context) {
   const server = createHttpServer(async (req, res) => {
     const url = new URL(req.url, `http://localhost:${port}`)
     
@@ -60,8 +249,174 @@ function createHttpServer_(port) {
     // GET /health - Health check with version
     if (req.method === 'GET' && url.pathname === '/health') {
       const version = getVersion()
-      res.writeHead(200, { 'Content-Type': 'application/json' })
-      res.end(JSON.stringify({ status: 'ok', version }))
+      sendJson(res, 200, { status: 'ok', version })
+      return
+    }
+    
+    // GET / - Web dashboard (static page that uses the routes below)
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+      try {
+        const html = readFileSync(DASHBOARD_PATH, 'utf8')
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+        res.end(html)
+      } catch (err) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' })
+        res.end(`Dashboard unavailable: ${err.message}`)
+      }
+      return
+    }
+    
+    // Reads beyond health and the dashboard page need api_token when one is set
+    const isReadRoute = req.method === 'GET' &&
+      (['/events', '/metrics', '/sources', '/items', '/readiness', '/worktrees'].includes(url.pathname) || url.pathname.startsWith('/items/'))
+    if (isReadRoute) {
+      const denied = authorizeRead(req, url, context.apiToken)
+      if (denied) {
+        sendDenied(res, denied)
+        return
+      }
+    }
+    
+    // GET /events[?token=TOKEN] - Live stream of pilot activity
+    if (req.method === 'GET' && url.pathname === '/events') {
+      streamEvents(req, res, context.eventStreams)
+      return
+    }
+    
+    // GET /metrics - Prometheus text format
+    if (req.method === 'GET' && url.pathname === '/metrics') {
+      const sources = context.pollingState ? context.pollingState.getSources() : []
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+      res.end(context.metrics.render(sources))
+      return
+    }
+    
+    // Status API - requires polling to be running
+    if (req.method === 'GET' && (url.pathname === '/sources' || url.pathname === '/items' || url.pathname === '/readiness' || url.pathname === '/worktrees' || url.pathname.startsWith('/items/'))) {
+      if (!context.pollingState) {
+        sendJson(res, 503, { error: 'Polling is not enabled' })
+        return
+      }
+      
+      // GET /sources - Configured sources with last poll, item counts and errors
+      if (url.pathname === '/sources') {
+        sendJson(res, 200, { sources: context.pollingState.getSources() })
+        return
+      }
+      
+      // GET /items[?source=NAME] - Processed state entries
+      if (url.pathname === '/items') {
+        const source = url.searchParams.get('source') || undefined
+        sendJson(res, 200, { items: context.pollingState.getItems(source) })
+        return
+      }
+      
+      // GET /readiness[?source=NAME] - Latest readiness evaluation per item (incl. rejections)
+      if (url.pathname === '/readiness') {
+        const source = url.searchParams.get('source') || undefined
+        sendJson(res, 200, { items: context.pollingState.getReadiness(source) })
+        return
+      }
+      
+      // GET /worktrees - Worktrees pilot created (candidates for POST /worktrees/gc)
+      if (url.pathname === '/worktrees') {
+        sendJson(res, 200, { worktrees: context.pollingState.getWorktrees() })
+        return
+      }
+      
+      // GET /items/:id - One entry with readiness and session ID (id is URL-encoded)
+      let itemId
+      try {
+        itemId = decodeURIComponent(url.pathname.slice('/items/'.length))
+      } catch {
+        sendJson(res, 400, { error: 'Invalid item ID encoding' })
+        return
+      }
+      const item = itemId ? context.pollingState.getItem(itemId) : null
+      if (!item) {
+        sendJson(res, 404, { error: `Item not found: ${itemId}` })
+        return
+      }
+      sendJson(res, 200, item)
+      return
+    }
+    
+    // Control API - mutating routes, guarded by api_token
+    const isControlRoute =
+      (req.method === 'POST' && (url.pathname === '/poll' || url.pathname === '/retry' || url.pathname === '/worktrees/gc' || /^\/sources\/[^/]+\/(pause|resume)$/.test(url.pathname))) ||
+      (req.method === 'DELETE' && url.pathname.startsWith('/items/'))
+    if (isControlRoute) {
+      const denied = authorizeControl(req, context.apiToken)
+      if (denied) {
+        sendDenied(res, denied)
+        return
+      }
+      if (!context.pollingState) {
+        sendJson(res, 503, { error: 'Polling is not enabled' })
+        return
+      }
+      
+      try {
+        // POST /poll[?source=NAME] - Run a poll cycle now (waits for it to finish)
+        if (url.pathname === '/poll') {
+          const source = url.searchParams.get('source') || null
+          const results = await context.pollingState.pollNow({ sourceName: source || undefined })
+          sendJson(res, 200, {
+            status: 'ok',
+            source,
+            started: results.filter((r) => r.success).length,
+            failed: results.filter((r) => r.error && !r.skipped).length,
+            deferred: results.filter((r) => r.deferred).length,
+            results: results.length,
+          })
+          return
+        }
+        
+        // POST /retry[?item=ID] - Re-queue failed session starts (all parked items, or one item)
+        if (url.pathname === '/retry') {
+          const itemId = url.searchParams.get('item') || null
+          const requeued = context.pollingState.requeueItems(itemId || undefined)
+          if (itemId && requeued.length === 0) {
+            sendJson(res, 404, { error: `No failed session start for: ${itemId}` })
+            return
+          }
+          sendJson(res, 200, { status: 'ok', requeued })
+          return
+        }
+        
+        // POST /worktrees/gc[?dry_run=1] - Remove worktrees of items that are done
+        if (url.pathname === '/worktrees/gc') {
+          const dryRun = ['1', 'true'].includes(url.searchParams.get('dry_run'))
+          const worktrees = await context.pollingState.collectWorktrees({ dryRun })
+          sendJson(res, 200, { status: 'ok', dryRun, worktrees })
+          return
+        }
+        
+        // DELETE /items/:id - Clear processed state so the item is picked up again
+        if (req.method === 'DELETE') {
+          const itemId = decodeURIComponent(url.pathname.slice('/items/'.length))
+          if (!context.pollingState.clearItem(itemId)) {
+            sendJson(res, 404, { error: `Item not found: ${itemId}` })
+            return
+          }
+          sendJson(res, 200, { status: 'ok', cleared: itemId })
+          return
+        }
+        
+        // POST /sources/:name/pause, POST /sources/:name/resume
+        const [, , encodedName, action] = url.pathname.split('/')
+        const name = decodeURIComponent(encodedName)
+        const source = action === 'pause'
+          ? context.pollingState.pauseSource(name)
+          : context.pollingState.resumeSource(name)
+        sendJson(res, 200, { status: 'ok', source })
+      } catch (err) {
+        if (err instanceof URIError) {
+          sendJson(res, 400, { error: 'Invalid URL encoding' })
+        } else {
+          sendJson(res, err.code === 'UNKNOWN_SOURCE' ? 404 : 500, { error: err.message })
+        }
+      }
       return
     }
     
@@ -81,33 +436,68 @@ function createHttpServer_(port) {
  * Start the service
  * @param {Object} config - Configuration options
  * @param {number} [config.httpPort] - HTTP server port (default: 4097)
+ * @param {string} [config.host] - Address to listen on (default: host from config.yaml, then 127.0.0.1)
  * @param {boolean} [config.enablePolling] - Enable polling for tracker items (default: true)
- * @param {number} [config.pollInterval] - Poll interval in ms (default: 5 minutes)
+ * @param {number} [config.pollInterval] - Default poll interval in ms for sources without interval/schedule (default: 5 minutes)
  * @param {string} [config.reposConfig] - Path to config.yaml
+ * @param {string} [config.apiToken] - API bearer token (default: api_token from config.yaml)
  * @returns {Promise<Object>} Service instance with httpServer and polling state
+ * @throws {LockHeldError} If polling is enabled and another daemon holds the state directory lock
+ * @throws {Error} If polling can't start (the lock is released and the server closed first)
  */
 export async function startService(config = {}) {
   const httpPort = config.httpPort ?? DEFAULT_HTTP_PORT
   const enablePolling = config.enablePolling !== false
   const pollInterval = config.pollInterval ?? DEFAULT_POLL_INTERVAL
   const reposConfig = config.reposConfig ?? DEFAULT_REPOS_CONFIG
+  const host = config.host ?? getHostFromConfig(reposConfig)
+  const willPoll = enablePolling && existsSync(reposConfig)
   
-  // Create HTTP server
-  const httpServer = createHttpServer_(httpPort)
+  // Lock the state directory before anything else, so a second daemon exits
+  // without binding the port or touching poll state
+  let stateLock = null
+  if (willPoll) {
+    const { loadRepoConfig, getStateConfig } = await import('./repo-config.js')
+    loadRepoConfig(reposConfig)
+    stateLock = acquireLock({
+      dir: getStateConfig().dir,
+      onLost: () => {
+        console.error('[opencode-pilot] Another pilot took over the state directory; polling stopped')
+        context.pollingState?.stop()
+        context.pollingState = null
+      },
+    })
+  }
+  
+  // Create HTTP server (routes read pollingState from context once polling starts)
+  const context = {
+    pollingState: null,
+    eventStreams: new Set(),
+    metrics: createMetrics(),
+    apiToken: config.apiToken ?? getApiTokenFromConfig(reposConfig),
+  }
+  const httpServer = createHttpServer_(httpPort, context)
   
   // Start HTTP server
-  await new Promise((resolve, reject) => {
-    httpServer.listen(httpPort, () => {
-      const actualPort = httpServer.address().port
-      console.log(`[opencode-pilot] HTTP server listening on port ${actualPort}`)
-      resolve()
+  try {
+    await new Promise((resolve, reject) => {
+      httpServer.listen(httpPort, host, () => {
+        const actualPort = httpServer.address().port
+        console.log(`[opencode-pilot] HTTP server listening on ${host}:${actualPort}`)
+        resolve()
+      })
+      httpServer.once('error', reject)
     })
-    httpServer.once('error', reject)
-  })
+  } catch (err) {
+    context.metrics.stop()
+    stateLock?.release()
+    throw err
+  }
   
-  // Start polling for tracker items if config exists
+  // Start polling for tracker items if config exists. A daemon that can't
+  // poll (e.g. StateCorruptedError) must not keep running and holding the lock.
   let pollingState = null
-  if (enablePolling && existsSync(reposConfig)) {
+  if (willPoll) {
     try {
       // Dynamic import to avoid circular dependencies
       const { startPolling } = await import('./poll-service.js')
@@ -117,15 +507,21 @@ export async function startService(config = {}) {
       })
       console.log(`[opencode-pilot] Polling enabled with config: ${reposConfig}`)
     } catch (err) {
-      console.warn(`[opencode-pilot] Could not start polling: ${err.message}`)
+      await stopService({ httpServer, metrics: context.metrics, eventStreams: context.eventStreams, stateLock })
+      throw new Error(`Could not start polling: ${err.message}`, { cause: err })
     }
   } else if (enablePolling) {
     console.log(`[opencode-pilot] Polling disabled (no config.yaml at ${reposConfig})`)
   }
   
+  context.pollingState = pollingState
+  
   return {
     httpServer,
     pollingState,
+    eventStreams: context.eventStreams,
+    metrics: context.metrics,
+    stateLock,
   }
 }
 
@@ -139,6 +535,22 @@ export async function stopService(service) {
     service.pollingState.stop()
   }
   
+  if (service.stateLock) {
+    service.stateLock.release()
+  }
+  
+  if (service.metrics) {
+    service.metrics.stop()
+  }
+  
+  // End open SSE streams, otherwise close() waits for clients to disconnect
+  if (service.eventStreams) {
+    for (const stream of service.eventStreams) {
+      stream.end()
+    }
+    service.eventStreams.clear()
+  }
+  
   if (service.httpServer) {
     await new Promise((resolve) => {
       service.httpServer.close(resolve)
@@ -0,0 +1,155 @@
+/**
+ * session-tracker.js - Follow sessions pilot started until they finish
+ *
+ * Starting a session only sends a prompt; the tracker follows it afterwards.
+ * It polls GET /session/status on each session's server and, once a session
+ * stops working, records how it ended in the item's processed metadata:
+ *
+ *   outcome: { result, finishedAt, durationMs, error }
+ *
+ * Results: idle (the agent finished), error (its last reply ended with an
+ * error), archived, or missing (deleted from the server). Duration is
+ * measured from when pilot sent the prompt. Each outcome is also published
+ * as a session.finished event, which feeds history, metrics and /events.
+ *
+ * Only sessions whose server URL was recorded when they were started are
+ * followed. A session that has never been seen working is given a grace
+ * period, since OpenCode may not report it busy right after the prompt.
+ */
+
+import { getSessionStatuses, getSession, getLastSessionError, isSessionArchived } from "./actions.js";
+import { emitEvent } from "./events.js";
+import { debug } from "./logger.js";
+
+// How often session statuses are checked
+export const DEFAULT_TRACK_INTERVAL = 30 * 1000;
+
+// How long a session may look idle after its prompt before it counts as finished
+const START_GRACE_MS = 60 * 1000;
+
+const ACTIVE_STATUS_TYPES = new Set(["busy", "retry"]);
+
+/**
+ * Work out how a session that is no longer working ended
+ * @param {string} serverUrl - Server URL
+ * @param {string} sessionId - Session ID
+ * @param {object} options - Options with fetch
+ * @returns {Promise<{result: string, error: string|null, updatedAt: number|null}>} Outcome
+ * @throws {Error} If the server can't be reached
+ */
+async function resolveOutcome(serverUrl, sessionId, options) {
+  const session = await getSession(serverUrl, sessionId, options);
+  if (!session) {
+    return { result: "missing", error: null, updatedAt: null };
+  }
+  const updatedAt = session.time?.updated ?? null;
+  if (isSessionArchived(session)) {
+    return { result: "archived", error: null, updatedAt };
+  }
+  const error = await getLastSessionError(serverUrl, sessionId, options);
+  return { result: error ? "error" : "idle", error, updatedAt };
+}
+
+/**
+ * Create a tracker that records the outcome of sessions pilot started
+ * @param {object} options - Tracker options
+ * @param {object} options.poller - Poller holding processed state
+ * @param {number} [options.interval] - Check interval in ms (0 disables the timer; call check() directly)
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.now] - Clock (for testing)
+ * @returns {object} Tracker with check() and stop()
+ */
+export function createSessionTracker(options) {
+  const { poller, interval = DEFAULT_TRACK_INTERVAL, fetch: fetchFn, now = () => Date.now() } = options;
+  // Session IDs seen busy since pilot started
+  const seenActive = new Set();
+  let checking = null;
+
+  async function runCheck() {
+    const pending = poller.getProcessedItems().filter((entry) => entry.sessionId && entry.serverUrl && !entry.outcome);
+    const byServer = new Map();
+    for (const entry of pending) {
+      if (!byServer.has(entry.serverUrl)) byServer.set(entry.serverUrl, []);
+      byServer.get(entry.serverUrl).push(entry);
+    }
+
+    for (const [serverUrl, entries] of byServer) {
+      const statuses = await getSessionStatuses(serverUrl, { fetch: fetchFn });
+      // Sessions shared by stacked PRs are resolved once per check
+      const outcomes = new Map();
+
+      for (const entry of entries) {
+        if (ACTIVE_STATUS_TYPES.has(statuses[entry.sessionId]?.type)) {
+          seenActive.add(entry.sessionId);
+          continue;
+        }
+        const startedAt = Date.parse(entry.processedAt);
+        if (!seenActive.has(entry.sessionId) && now() - startedAt < START_GRACE_MS) {
+          continue;
+        }
+
+        let outcome = outcomes.get(entry.sessionId);
+        if (!outcome) {
+          try {
+            outcome = await resolveOutcome(serverUrl, entry.sessionId, { fetch: fetchFn });
+          } catch (err) {
+            // Server unreachable: statuses came back empty, so nothing is known yet
+            debug(`session-tracker: ${serverUrl} unavailable - ${err.message}`);
+            break;
+          }
+          outcomes.set(entry.sessionId, outcome);
+        }
+
+        const finishedAt = outcome.updatedAt && outcome.updatedAt >= startedAt ? outcome.updatedAt : now();
+        const record = {
+          result: outcome.result,
+          finishedAt: new Date(finishedAt).toISOString(),
+          durationMs: Math.max(0, finishedAt - startedAt),
+          error: outcome.error,
+        };
+        seenActive.delete(entry.sessionId);
+        if (!poller.updateProcessedMeta(entry.id, { outcome: record })) continue;
+
+        const seconds = Math.round(record.durationMs / 1000);
+        const detail = record.error ? `: ${record.error}` : "";
+        const log = record.result === "error" ? console.error : console.log;
+        log(`[session] ${entry.id} finished after ${seconds}s (${record.result}${detail})`);
+        emitEvent("session.finished", {
+          source: entry.source ?? null,
+          itemId: entry.id,
+          sessionId: entry.sessionId,
+          ...record,
+        });
+      }
+    }
+  }
+
+  const tracker = {
+    /**
+     * Check tracked sessions once (concurrent calls share one check)
+     * @returns {Promise<void>}
+     */
+    check() {
+      if (!checking) {
+        checking = runCheck()
+          .catch((err) => console.error(`[session] Failed to check sessions: ${err.message}`))
+          .finally(() => {
+            checking = null;
+          });
+      }
+      return checking;
+    },
+
+    /**
+     * Stop checking
+     */
+    stop() {
+      if (timer) clearInterval(timer);
+    },
+  };
+
+  const timer = interval > 0 ? setInterval(() => tracker.check(), interval) : null;
+  timer?.unref();
+
+  return tracker;
+}
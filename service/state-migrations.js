@@ -0,0 +1,107 @@
+/**
+ * state-migrations.js - Versioned schema for poll state
+ *
+ * Poll state carries a `schemaVersion`. On load, state is passed through
+ * every migration newer than its version, in order, so older files are
+ * upgraded instead of being misread. State written by a newer pilot is
+ * refused rather than downgraded, since this version would drop fields it
+ * doesn't know about on the next save.
+ *
+ * Files written before versioning have no schemaVersion and are treated as
+ * version 0. Every past format has a fixture in test/fixtures/state/; add
+ * one alongside each new migration.
+ *
+ * To change the format, append a migration with the next version number;
+ * CURRENT_SCHEMA_VERSION follows the list.
+ */
+
+/**
+ * Ordered migrations. Each receives state at version - 1 and returns state
+ * at `version`; it may mutate its input.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Add schemaVersion, dedup key index and lastSeenAt to unversioned state",
+    migrate(state) {
+      const processed = state.processed && typeof state.processed === "object" ? state.processed : {};
+      const dedupKeys = state.dedupKeys && typeof state.dedupKeys === "object" ? state.dedupKeys : {};
+
+      // The dedup index was added after per-entry dedupKeys; rebuild it for older files
+      if (Object.keys(dedupKeys).length === 0) {
+        for (const [itemId, meta] of Object.entries(processed)) {
+          for (const key of Array.isArray(meta?.dedupKeys) ? meta.dedupKeys : []) {
+            dedupKeys[key] = itemId;
+          }
+        }
+      }
+
+      // Reappearance tracking (markUnseen) assumes every entry has been seen at least once
+      for (const meta of Object.values(processed)) {
+        if (meta && !meta.lastSeenAt && meta.processedAt) {
+          meta.lastSeenAt = meta.processedAt;
+        }
+      }
+
+      return {
+        ...state,
+        processed,
+        dedupKeys,
+        sources: state.sources && typeof state.sources === "object" ? state.sources : {},
+      };
+    },
+  },
+  {
+    version: 2,
+    description: "Add retry queue for failed session starts",
+    migrate(state) {
+      return { ...state, retries: {} };
+    },
+  },
+  {
+    version: 3,
+    description: "Add global max_sessions_per_hour token bucket",
+    migrate(state) {
+      return { ...state, rateBucket: null };
+    },
+  },
+  {
+    version: 4,
+    description: "Add registry of worktrees pilot created",
+    migrate(state) {
+      return { ...state, worktrees: {} };
+    },
+  },
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring loaded state up to the current schema
+ * @param {object} state - State as loaded from disk
+ * @returns {{state: object, fromVersion: number}} Migrated state (with schemaVersion set)
+ *   and the version it was loaded at
+ * @throws {Error} With code STATE_TOO_NEW if the state was written by a newer pilot
+ */
+export function migrateState(state) {
+  const fromVersion = Number.isInteger(state.schemaVersion) ? state.schemaVersion : 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    const err = new Error(
+      `Poll state has schema version ${fromVersion}, but this opencode-pilot only understands up to ` +
+      `${CURRENT_SCHEMA_VERSION}. Upgrade opencode-pilot, or restore an older state file.`
+    );
+    err.code = "STATE_TOO_NEW";
+    throw err;
+  }
+
+  let migrated = state;
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      migrated = migration.migrate(migrated);
+      migrated.schemaVersion = migration.version;
+    }
+  }
+
+  return { state: migrated, fromVersion };
+}
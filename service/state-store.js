@@ -0,0 +1,365 @@
+/**
+ * state-store.js - Crash-safe persistence for poll state
+ *
+ * Poll state (processed items, dedup keys, source state) is precious: if it
+ * is lost, pilot re-spawns sessions for everything it has already handled.
+ * Stores here never leave a half-written file behind, keep a copy of the
+ * last good state, and refuse to silently start fresh when the state can't
+ * be read.
+ *
+ * Backends (config.yaml `state.backend`):
+ * - json (default): one JSON file, written to a temp file, fsynced and
+ *   renamed over the original. The previous file is kept as `<file>.bak`.
+ * - jsonl: append-only journal: a full snapshot on the first line, then one
+ *   line per save with only what changed (entries of processed items,
+ *   source states etc. that were set or removed). Load replays the changes
+ *   over the snapshot. A torn line (crash mid-append) is skipped and the
+ *   next save writes a fresh snapshot. The journal is compacted to a single
+ *   snapshot when it grows.
+ *
+ * A store is { backend, path, load(), save(state) }; load() returns null when
+ * no state exists yet and throws StateCorruptedError when state exists but
+ * cannot be recovered. A read-only store (for `opencode-pilot status` and
+ * `state export`) never touches the files: it recovers from the backup
+ * without moving the corrupt file aside, and save() throws.
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const STATE_BACKENDS = ["json", "jsonl"];
+
+// Journal lines kept before compacting to a single snapshot
+const JOURNAL_COMPACT_THRESHOLD = 100;
+
+/**
+ * Check for a JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Thrown when state exists on disk but neither it nor its backup can be read
+ */
+export class StateCorruptedError extends Error {
+  /**
+   * @param {string} message - Description of the failure
+   * @param {object} details - Details
+   * @param {string} details.path - State file path
+   * @param {Error} [details.cause] - Underlying parse/read error
+   */
+  constructor(message, { path: statePath, cause } = {}) {
+    super(message);
+    this.name = "StateCorruptedError";
+    this.code = "STATE_CORRUPTED";
+    this.path = statePath;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Write (or append to) a file and fsync it before returning
+ * @param {string} filePath - File path (parent directories are created)
+ * @param {string} content - Content to write
+ * @param {string} [flags] - "w" to replace, "a" to append
+ */
+function writeDurable(filePath, content, flags = "w") {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  const fd = fs.openSync(filePath, flags);
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a file atomically: temp file in the same directory, fsync, rename
+ * @param {string} filePath - Destination
+ * @param {string} content - File content
+ */
+export function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  writeDurable(tmpPath, content);
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Move an unreadable state file aside so it can be inspected later
+ * @param {string} filePath - Corrupt file
+ * @returns {string} Path it was moved to
+ */
+function quarantine(filePath) {
+  const target = `${filePath}.corrupt-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  fs.renameSync(filePath, target);
+  return target;
+}
+
+/**
+ * Parse a JSON state file
+ * @returns {object} Parsed state
+ * @throws {Error} If unreadable or not an object
+ */
+function readJsonState(filePath) {
+  const state = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (!state || typeof state !== "object" || Array.isArray(state)) {
+    throw new Error("state is not a JSON object");
+  }
+  return state;
+}
+
+/**
+ * Reject writes to a store opened read-only
+ * @param {string} filePath - State file path
+ * @throws {Error} Always
+ */
+function rejectSave(filePath) {
+  throw new Error(`Poll state at ${filePath} was opened read-only`);
+}
+
+/**
+ * JSON file backend with atomic replace and .bak of the previous version
+ */
+function createJsonStore(filePath, readOnly) {
+  const backupPath = `${filePath}.bak`;
+
+  return {
+    backend: "json",
+    path: filePath,
+
+    load() {
+      const hasMain = fs.existsSync(filePath);
+      const hasBackup = fs.existsSync(backupPath);
+      if (!hasMain && !hasBackup) return null;
+
+      let mainError = null;
+      if (hasMain) {
+        try {
+          return readJsonState(filePath);
+        } catch (err) {
+          mainError = err;
+        }
+      }
+
+      // Main file is unreadable, or missing after a crash between the two renames in save()
+      if (hasBackup) {
+        try {
+          const state = readJsonState(backupPath);
+          if (mainError && readOnly) {
+            console.error(`[state] ${filePath} is corrupted (${mainError.message})`);
+          } else if (mainError) {
+            const moved = quarantine(filePath);
+            console.error(`[state] ${filePath} is corrupted (${mainError.message}); moved to ${moved}`);
+          }
+          console.error(`[state] Recovered poll state from backup ${backupPath}`);
+          return state;
+        } catch (err) {
+          throw new StateCorruptedError(
+            `Poll state at ${filePath} and its backup are unreadable (${(mainError || err).message}). ` +
+            `Inspect or remove them, or run: opencode-pilot clear --all`,
+            { path: filePath, cause: mainError || err }
+          );
+        }
+      }
+
+      throw new StateCorruptedError(
+        `Poll state at ${filePath} is unreadable (${mainError.message}) and no backup exists. ` +
+        `Inspect or remove it, or run: opencode-pilot clear --all`,
+        { path: filePath, cause: mainError }
+      );
+    },
+
+    save(state) {
+      if (readOnly) rejectSave(filePath);
+      // Write the new version in full before touching the old one, so at every
+      // point either the main file or the backup holds complete state
+      const tmpPath = `${filePath}.tmp-${process.pid}`;
+      writeDurable(tmpPath, JSON.stringify(state, null, 2));
+      if (fs.existsSync(filePath)) {
+        fs.renameSync(filePath, backupPath);
+      }
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
+
+/**
+ * Diff two states two levels deep: entries of top-level objects (processed
+ * items, source states, ...) and other top-level values
+ * @param {object} previous - Last saved state
+ * @param {object} next - State being saved
+ * @returns {object|null} { set, unset, replace, remove }, or null if nothing changed
+ */
+function diffState(previous, next) {
+  const delta = { set: {}, unset: {}, replace: {}, remove: [] };
+  let changed = false;
+
+  for (const [key, value] of Object.entries(next)) {
+    const before = previous[key];
+    if (isPlainObject(before) && isPlainObject(value)) {
+      for (const [id, entry] of Object.entries(value)) {
+        if (JSON.stringify(entry) !== JSON.stringify(before[id])) {
+          (delta.set[key] ??= {})[id] = entry;
+          changed = true;
+        }
+      }
+      const removed = Object.keys(before).filter((id) => !(id in value));
+      if (removed.length > 0) {
+        delta.unset[key] = removed;
+        changed = true;
+      }
+    } else if (JSON.stringify(value) !== JSON.stringify(before)) {
+      delta.replace[key] = value;
+      changed = true;
+    }
+  }
+  for (const key of Object.keys(previous)) {
+    if (!(key in next)) {
+      delta.remove.push(key);
+      changed = true;
+    }
+  }
+
+  return changed ? delta : null;
+}
+
+/**
+ * Apply a journal delta (from diffState) to a state in place
+ * @param {object} state - State to update
+ * @param {object} delta - Delta
+ */
+function applyDelta(state, delta) {
+  for (const [key, entries] of Object.entries(delta.set || {})) {
+    if (!isPlainObject(state[key])) state[key] = {};
+    Object.assign(state[key], entries);
+  }
+  for (const [key, ids] of Object.entries(delta.unset || {})) {
+    for (const id of ids) delete state[key]?.[id];
+  }
+  Object.assign(state, delta.replace || {});
+  for (const key of delta.remove || []) delete state[key];
+}
+
+/**
+ * JSONL journal backend: a snapshot followed by one delta per save,
+ * compacted periodically
+ */
+function createJournalStore(filePath, readOnly) {
+  let lineCount = 0;
+  // State as of the last line written, to diff the next save against
+  let lastState = null;
+  // Set when a line couldn't be read: later deltas may depend on it, so the
+  // next save starts over with a snapshot
+  let needsSnapshot = false;
+
+  function writeSnapshot(state, savedAt) {
+    writeFileAtomic(filePath, JSON.stringify({ savedAt, state }) + "\n");
+    lineCount = 1;
+    needsSnapshot = false;
+  }
+
+  return {
+    backend: "jsonl",
+    path: filePath,
+
+    load() {
+      if (!fs.existsSync(filePath)) return null;
+
+      const lines = fs.readFileSync(filePath, "utf-8").split("\n").filter((line) => line.trim());
+      const entries = lines.map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      });
+      // Journals written before deltas hold one snapshot per line; use the newest
+      const start = entries.findLastIndex((entry) => isPlainObject(entry?.state));
+      if (start === -1) {
+        if (lines.length === 0) return null;
+        throw new StateCorruptedError(
+          `Poll state journal at ${filePath} has no readable snapshot. ` +
+          `Inspect or remove it, or run: opencode-pilot clear --all`,
+          { path: filePath }
+        );
+      }
+
+      const state = entries[start].state;
+      let skipped = 0;
+      for (const entry of entries.slice(start + 1)) {
+        if (isPlainObject(entry?.delta)) {
+          applyDelta(state, entry.delta);
+        } else {
+          skipped++;
+        }
+      }
+      if (skipped > 0) {
+        console.error(`[state] Skipped ${skipped} unreadable journal line(s) in ${filePath}; the changes they held are lost`);
+        needsSnapshot = true;
+      }
+
+      lineCount = lines.length;
+      lastState = structuredClone(state);
+      return state;
+    },
+
+    save(state) {
+      if (readOnly) rejectSave(filePath);
+      const savedAt = new Date().toISOString();
+      if (!lastState || needsSnapshot || lineCount >= JOURNAL_COMPACT_THRESHOLD) {
+        writeSnapshot(state, savedAt);
+      } else {
+        const delta = diffState(lastState, state);
+        if (delta) {
+          writeDurable(filePath, JSON.stringify({ savedAt, delta }) + "\n", "a");
+          lineCount++;
+        }
+      }
+      lastState = structuredClone(state);
+    },
+  };
+}
+
+/**
+ * Create a state store
+ * @param {object} options - Store options
+ * @param {string} options.path - State file path
+ * @param {string} [options.backend] - "json" (default) or "jsonl"
+ * @param {boolean} [options.readOnly] - Never write or move state files
+ * @returns {object} Store with load() and save(state)
+ * @throws {Error} If the backend is unknown
+ */
+export function createStateStore(options) {
+  const { path: filePath, backend = "json", readOnly = false } = options;
+  switch (backend) {
+    case "json":
+      return createJsonStore(filePath, readOnly);
+    case "jsonl":
+      return createJournalStore(filePath, readOnly);
+    default:
+      throw new Error(`Unknown state backend: ${backend} (expected one of: ${STATE_BACKENDS.join(", ")})`);
+  }
+}
+
+/**
+ * Move unreadable state aside so a fresh state can be written
+ * Used by `opencode-pilot clear --all` to recover from StateCorruptedError.
+ * @param {string} filePath - State file path
+ * @returns {string[]} Paths files were moved to
+ */
+export function quarantineState(filePath) {
+  const moved = [];
+  for (const candidate of [filePath, `${filePath}.bak`]) {
+    if (fs.existsSync(candidate)) {
+      moved.push(quarantine(candidate));
+    }
+  }
+  return moved;
+}
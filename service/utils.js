@@ -281,3 +281,29 @@ export function getLatestFeedbackTimestamp(comments, authorUsername) {
   
   return latest;
 }
+
+/**
+ * Find the GitHub issue or PR an item URL points at
+ * @param {string} url - Item URL
+ * @returns {{owner: string, repo: string, number: number}|null} Target, or null for other URLs
+ */
+export function parseGitHubItemUrl(url) {
+  const match = typeof url === "string"
+    ? url.match(/^https:\/\/github\.com\/([^/]+)\/([^/]+)\/(?:issues|pull)\/(\d+)/)
+    : null;
+  if (!match) return null;
+  return { owner: match[1], repo: match[2], number: parseInt(match[3], 10) };
+}
+
+/**
+ * Format a duration for humans
+ * @param {number} ms - Duration in ms
+ * @returns {string} e.g. "45s", "12m 5s", "2h 3m"
+ */
+export function formatDuration(ms) {
+  const seconds = Math.round((ms ?? 0) / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
@@ -0,0 +1,182 @@
+/**
+ * worktree-gc.js - Remove worktrees pilot created for items that are done
+ *
+ * Pilot records every worktree it creates (worktree: "new" or worktree_name)
+ * in poll state. Garbage collection removes the ones whose item is done:
+ *
+ * - the item is no longer in processed state (cleared or expired), or
+ * - the item's GitHub issue or PR is closed or merged, or
+ * - a non-GitHub item has left its source (e.g. a Linear ticket moved to Done)
+ *
+ * A worktree is kept if its session is still busy (or its status can't be
+ * read), another open item uses it (stacked PRs), or `git status` shows
+ * uncommitted changes. Removal goes
+ * through the OpenCode worktree API on the server that created it.
+ *
+ * Run it with `opencode-pilot worktrees gc [--dry-run]`, or on a schedule:
+ *
+ *   worktree_gc:
+ *     interval: 1d
+ */
+
+import fs from "fs";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { fetchSessionStatuses } from "./actions.js";
+import { removeWorktree } from "./worktree.js";
+import { parseGitHubItemUrl } from "./utils.js";
+
+const execFileAsync = promisify(execFile);
+
+// Timeout for each git and gh call
+const COMMAND_TIMEOUT_MS = 30 * 1000;
+
+const ACTIVE_STATUS_TYPES = new Set(["busy", "retry"]);
+
+/**
+ * Get the state of a GitHub issue or PR
+ * @param {{owner: string, repo: string, number: number}} target - Issue or PR
+ * @returns {Promise<string>} "open" or "closed" (merged PRs are closed)
+ */
+export async function getGitHubState(target) {
+  const { stdout } = await execFileAsync(
+    "gh",
+    ["api", `repos/${target.owner}/${target.repo}/issues/${target.number}`, "--jq", ".state"],
+    { timeout: COMMAND_TIMEOUT_MS }
+  );
+  return stdout.trim();
+}
+
+/**
+ * List uncommitted changes in a worktree
+ * @param {string} directory - Worktree directory
+ * @returns {Promise<string[]>} `git status --porcelain` lines (empty if clean)
+ */
+export async function getUncommittedChanges(directory) {
+  const { stdout } = await execFileAsync("git", ["-C", directory, "status", "--porcelain"], {
+    timeout: COMMAND_TIMEOUT_MS,
+  });
+  return stdout.split("\n").filter(Boolean);
+}
+
+/**
+ * Decide why a worktree's item is done
+ * @param {object} worktree - Tracked worktree
+ * @param {object|null} meta - Processed metadata of its item
+ * @param {function} getState - Get the state of a GitHub issue or PR
+ * @returns {Promise<string|null>} Reason it can go, or null if the item is still open
+ */
+async function getDoneReason(worktree, meta, getState) {
+  if (!meta) return "item no longer tracked";
+  const target = parseGitHubItemUrl(meta.url) || parseGitHubItemUrl(worktree.itemId);
+  if (target) {
+    const state = await getState(target);
+    return state === "closed" ? "closed upstream" : null;
+  }
+  return meta.wasUnseen ? "item left its source" : null;
+}
+
+/**
+ * Find and remove worktrees whose items are done
+ * @param {object} options - Options
+ * @param {object} options.poller - Poller holding processed state and tracked worktrees
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.getGitHubState] - Get a GitHub issue/PR state (for testing)
+ * @param {function} [options.getUncommittedChanges] - List uncommitted changes (for testing)
+ * @returns {Promise<Array<object>>} One { directory, itemId, action, reason } per tracked worktree;
+ *   action is removed, would_remove, kept, forgotten (already gone from disk) or failed
+ */
+export async function collectWorktreeGarbage(options) {
+  const {
+    poller,
+    dryRun = false,
+    fetch: fetchFn,
+    getGitHubState: getState = getGitHubState,
+    getUncommittedChanges: getChanges = getUncommittedChanges,
+  } = options;
+  const report = [];
+  const statusesByServer = new Map();
+
+  for (const worktree of poller.getWorktrees()) {
+    const { directory, itemId, serverUrl, projectDirectory } = worktree;
+    const entry = (action, reason) => report.push({ directory, itemId, action, reason });
+
+    if (!fs.existsSync(directory)) {
+      if (!dryRun) poller.forgetWorktree(directory);
+      entry("forgotten", "already removed");
+      continue;
+    }
+
+    const meta = poller.getProcessedMeta(itemId);
+    let reason;
+    try {
+      reason = await getDoneReason(worktree, meta, getState);
+    } catch (err) {
+      entry("kept", `could not check item: ${err.message}`);
+      continue;
+    }
+    if (!reason) {
+      entry("kept", "item still open");
+      continue;
+    }
+
+    const user = poller.getProcessedItems().find((other) =>
+      other.id !== itemId && other.directory === directory && !other.wasUnseen);
+    if (user) {
+      entry("kept", `in use by ${user.id}`);
+      continue;
+    }
+
+    if (meta?.sessionId && meta.serverUrl) {
+      if (!statusesByServer.has(meta.serverUrl)) {
+        try {
+          statusesByServer.set(meta.serverUrl, { statuses: await fetchSessionStatuses(meta.serverUrl, { fetch: fetchFn }) });
+        } catch (err) {
+          statusesByServer.set(meta.serverUrl, { error: err });
+        }
+      }
+      const { statuses, error } = statusesByServer.get(meta.serverUrl);
+      if (error) {
+        // Unknown status could mean a busy session: don't pull its worktree away
+        entry("kept", `could not read session status from ${meta.serverUrl}: ${error.message}`);
+        continue;
+      }
+      if (ACTIVE_STATUS_TYPES.has(statuses[meta.sessionId]?.type)) {
+        entry("kept", `session ${meta.sessionId} is busy`);
+        continue;
+      }
+    }
+
+    let changes;
+    try {
+      changes = await getChanges(directory);
+    } catch (err) {
+      entry("kept", `git status failed: ${err.message}`);
+      continue;
+    }
+    if (changes.length > 0) {
+      entry("kept", `${changes.length} uncommitted change(s)`);
+      continue;
+    }
+
+    if (dryRun) {
+      entry("would_remove", reason);
+      continue;
+    }
+
+    const result = await removeWorktree(serverUrl, directory, { directory: projectDirectory, fetch: fetchFn });
+    if (!result.success) {
+      entry("failed", result.error);
+      continue;
+    }
+    poller.forgetWorktree(directory);
+    // Reprocessing an item must not reuse the removed directory
+    for (const other of poller.getProcessedItems()) {
+      if (other.directory === directory) poller.updateProcessedMeta(other.id, { directory: null });
+    }
+    entry("removed", reason);
+  }
+
+  return report;
+}
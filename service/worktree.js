@@ -5,8 +5,23 @@
  * Worktrees allow running sessions in isolated git branches/directories.
  */
 
+import { execFile } from "child_process";
+import { promisify } from "util";
+import os from "os";
+import path from "path";
 import { debug } from "./logger.js";
 
+const execFileAsync = promisify(execFile);
+
+// Timeout for each git call made while checking out a PR head
+const GIT_TIMEOUT_MS = 60 * 1000;
+
+// Timeout for the whole worktree_setup run (dependency installs can be slow)
+const SETUP_TIMEOUT_MS = 15 * 60 * 1000;
+
+// Setup output kept for the result (the tail, where errors usually are)
+const SETUP_OUTPUT_LIMIT = 4000;
+
 /**
  * List existing worktrees from the OpenCode server
  * 
@@ -100,6 +115,237 @@ export async function createWorktree(serverUrl, options = {}) {
   }
 }
 
+/**
+ * Remove a worktree (deletes its directory and git worktree registration)
+ *
+ * @param {string} serverUrl - OpenCode server URL (e.g., "http://localhost:4096")
+ * @param {string} worktreeDir - Worktree directory to remove
+ * @param {object} [options] - Options
+ * @param {string} [options.directory] - Project directory (required for global server)
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @returns {Promise<object>} Result with { success, error? }
+ */
+export async function removeWorktree(serverUrl, worktreeDir, options = {}) {
+  const fetchFn = options.fetch || fetch;
+
+  try {
+    let url = `${serverUrl}/experimental/worktree`;
+    if (options.directory) {
+      url += `?directory=${encodeURIComponent(options.directory)}`;
+    }
+
+    const response = await fetchFn(url, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ directory: worktreeDir }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      debug(`removeWorktree: ${serverUrl} returned ${response.status} - ${errorText}`);
+      return {
+        success: false,
+        error: `Failed to remove worktree: ${response.status} ${errorText}`,
+      };
+    }
+
+    debug(`removeWorktree: removed ${worktreeDir}`);
+    return { success: true };
+  } catch (err) {
+    debug(`removeWorktree: error - ${err.message}`);
+    return {
+      success: false,
+      error: err.message,
+    };
+  }
+}
+
+/**
+ * List branches checked out in other worktrees of the repository
+ * @param {function} git - Runs git in the worktree
+ * @returns {Promise<Set<string>>} Branch names
+ */
+async function getBranchesInUseElsewhere(git) {
+  const toplevel = (await git("rev-parse", "--show-toplevel")).stdout.trim();
+  const inUse = new Set();
+  let worktreePath = null;
+  for (const line of (await git("worktree", "list", "--porcelain")).stdout.split("\n")) {
+    if (line.startsWith("worktree ")) worktreePath = line.slice("worktree ".length);
+    if (line.startsWith("branch refs/heads/") && worktreePath !== toplevel) {
+      inUse.add(line.slice("branch refs/heads/".length));
+    }
+  }
+  return inUse;
+}
+
+/**
+ * Check out a pull request's head commit in a worktree
+ *
+ * Fetches `pull/<number>/head` from origin, which also covers PRs from
+ * forks. If the PR's head branch (`_headRefName`, see
+ * enrichItemsWithBranchRefs) is on origin at that commit, it is checked out
+ * tracking `origin/<branch>`, so the session can push to the PR. Otherwise
+ * (forks, or a branch of the same name that isn't the PR's, e.g. a fork's
+ * `main`) the local branch is `pilot/pr-<number>`.
+ *
+ * A branch checked out in another worktree is never touched. An existing
+ * branch is moved forward to the PR head, and kept as is if it only adds
+ * local commits on top of it (a reprocessed session's work). If it has
+ * diverged from the PR, it is left alone and the PR head is checked out on
+ * the next branch instead (`pilot/pr-<number>`, then
+ * `pilot/pr-<number>-<short sha>`), with a warning naming the skipped branch.
+ *
+ * @param {string} directory - Worktree directory
+ * @param {object} item - PR item with number and optional _headRefName
+ * @returns {Promise<object>} Result with { success, branch?, updated?, upstream?, warning?, error? }
+ */
+export async function checkoutPrHead(directory, item) {
+  if (!item?.number) {
+    return { success: false, error: "checkout pr_head needs an item with a PR number" };
+  }
+  const prBranch = `pilot/pr-${item.number}`;
+  const git = (...args) => execFileAsync("git", ["-C", directory, ...args], { timeout: GIT_TIMEOUT_MS });
+  const revParse = async (ref) => {
+    try {
+      return (await git("rev-parse", "--verify", "--quiet", ref)).stdout.trim();
+    } catch {
+      return null;
+    }
+  };
+  const isAncestor = async (ancestor, descendant) => {
+    try {
+      await git("merge-base", "--is-ancestor", ancestor, descendant);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  try {
+    await git("fetch", "origin", `pull/${item.number}/head`);
+    const head = (await git("rev-parse", "FETCH_HEAD")).stdout.trim();
+
+    let upstream = null;
+    const headRefName = item._headRefName;
+    if (headRefName) {
+      try {
+        await git("fetch", "origin", `+refs/heads/${headRefName}:refs/remotes/origin/${headRefName}`);
+        if (await revParse(`refs/remotes/origin/${headRefName}`) === head) upstream = headRefName;
+      } catch {
+        // Not on origin: the PR comes from a fork
+      }
+    }
+
+    const inUse = await getBranchesInUseElsewhere(git);
+    const skipped = [];
+    for (const branch of [upstream, prBranch, `${prBranch}-${head.slice(0, 7)}`].filter(Boolean)) {
+      if (inUse.has(branch)) {
+        skipped.push(`${branch} is checked out in another worktree`);
+        continue;
+      }
+
+      const current = await revParse(`refs/heads/${branch}`);
+      let updated = false;
+      if (current === head || (current && await isAncestor(head, current))) {
+        await git("checkout", branch);
+      } else if (!current || await isAncestor(current, head)) {
+        await git("checkout", "-B", branch, head);
+        updated = true;
+      } else {
+        skipped.push(`${branch} has commits that are not in PR #${item.number}`);
+        continue;
+      }
+
+      const result = { success: true, branch, updated };
+      if (branch === upstream) {
+        await git("branch", `--set-upstream-to=origin/${branch}`, branch);
+        result.upstream = `origin/${branch}`;
+      }
+      if (skipped.length > 0) result.warning = `left ${skipped.join(", ")}`;
+      debug(`checkoutPrHead: checked out PR #${item.number} as ${branch} in ${directory}${result.warning ? ` (${result.warning})` : ""}`);
+      return result;
+    }
+
+    const error = skipped.join("; ");
+    debug(`checkoutPrHead: ${error}`);
+    return { success: false, error };
+  } catch (err) {
+    const message = (err.stderr || err.message).trim();
+    debug(`checkoutPrHead: error - ${message}`);
+    return { success: false, branch: prBranch, error: message };
+  }
+}
+
+/**
+ * Run worktree_setup in a newly created worktree
+ *
+ * `setup` is either a list of shell commands, run in order until one fails,
+ * or the path of an executable script (relative paths are resolved against
+ * the worktree). Both run in the worktree with PILOT_PROJECT_DIR set to the
+ * main checkout (e.g. to copy its .env) and PILOT_WORKTREE_DIR to the worktree.
+ *
+ * Runs locally rather than as the worktree API's startCommand so the exit
+ * status and output can be reported and a failure can stop the session.
+ *
+ * @param {string} directory - Worktree directory
+ * @param {string|string[]} setup - Commands or script path
+ * @param {object} [options] - Options
+ * @param {string} [options.projectDirectory] - Main checkout of the project
+ * @param {number} [options.timeout] - Timeout in ms for the whole run (default: 15 minutes)
+ * @returns {Promise<object>} Result with { success, exitCode, output, durationMs, error? }
+ */
+export async function runWorktreeSetup(directory, setup, options = {}) {
+  const steps = Array.isArray(setup)
+    ? setup.map((command) => ({ label: command, file: "/bin/sh", args: ["-c", command] }))
+    : [{ label: setup, file: path.resolve(directory, setup.replace(/^~/, os.homedir())), args: [] }];
+  const startedAt = Date.now();
+  const deadline = startedAt + (options.timeout || SETUP_TIMEOUT_MS);
+  const env = {
+    ...process.env,
+    PILOT_PROJECT_DIR: options.projectDirectory || "",
+    PILOT_WORKTREE_DIR: directory,
+  };
+  let output = "";
+  const finish = (exitCode, error) => ({
+    success: exitCode === 0,
+    exitCode,
+    output: output.slice(-SETUP_OUTPUT_LIMIT),
+    durationMs: Date.now() - startedAt,
+    ...(error && { error }),
+  });
+
+  for (const step of steps) {
+    output += `$ ${step.label}\n`;
+    const timeout = deadline - Date.now();
+    if (timeout <= 0) {
+      return finish(null, `timed out before: ${step.label}`);
+    }
+    try {
+      const { stdout, stderr } = await execFileAsync(step.file, step.args, {
+        cwd: directory,
+        env,
+        timeout,
+        maxBuffer: 16 * 1024 * 1024,
+      });
+      output += stdout + stderr;
+    } catch (err) {
+      output += (err.stdout || "") + (err.stderr || "");
+      if (err.killed) {
+        return finish(null, `timed out: ${step.label}`);
+      }
+      if (typeof err.code !== "number") {
+        // Spawn failures (e.g. a missing or non-executable script)
+        return finish(null, `${step.label}: ${err.message}`);
+      }
+      debug(`runWorktreeSetup: "${step.label}" exited with ${err.code} in ${directory}`);
+      return finish(err.code, `${step.label} exited with ${err.code}`);
+    }
+  }
+
+  debug(`runWorktreeSetup: ran ${steps.length} step(s) in ${directory}`);
+  return finish(0);
+}
+
 /**
  * Get project info including sandboxes from the server
  * 
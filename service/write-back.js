@@ -0,0 +1,268 @@
+/**
+ * write-back.js - Report finished sessions back to the source item
+ *
+ * A source can post results back to the item a session worked on once the
+ * session tracker sees it finish, so reviewers can tell an agent picked the
+ * item up without opening OpenCode:
+ *
+ *   sources:
+ *     - preset: github/my-issues
+ *       write_back:
+ *         on: [idle]                # session results that trigger it (default: idle)
+ *         comment: true             # or a template, e.g. "Done in {duration}\n\n{last_message}"
+ *         add_labels: [agent-worked]
+ *         remove_labels: [agent-queue]
+ *     - preset: linear/my-issues
+ *       write_back:
+ *         mcp:
+ *           server: linear
+ *           tool: update_issue
+ *           args: { id: "{number}", state: "In Review" }
+ *
+ * Comments and labels go through the `gh` CLI and need a GitHub issue or PR
+ * URL on the item. `mcp` calls any tool of an MCP server configured in
+ * opencode.json. Templates can use {id}, {number}, {title}, {url}, {source},
+ * {session_id}, {result}, {duration}, {error} and {last_message} (the text of
+ * the session's last assistant reply).
+ *
+ * Each finished session is written back at most once; the time is stored as
+ * writtenBackAt in the item's processed metadata.
+ */
+
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { onEvent, emitEvent } from "./events.js";
+import { getLastAssistantText, expandTemplate } from "./actions.js";
+import { callMcpTool } from "./poller.js";
+import { parseGitHubItemUrl, formatDuration } from "./utils.js";
+
+export const DEFAULT_COMMENT =
+  "opencode-pilot worked on this in session `{session_id}` ({result} after {duration}).\n\n{last_message}";
+
+const SESSION_RESULTS = new Set(["idle", "error", "archived", "missing"]);
+
+// Timeout for each gh call
+const GH_TIMEOUT_MS = 30 * 1000;
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Normalize a string or list of strings
+ * @param {*} value - Configured value
+ * @returns {string[]} Non-empty strings
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value]).map(String).filter(Boolean);
+}
+
+/**
+ * Read a source's write_back config
+ * @param {object} source - Source config
+ * @returns {object|null} { on, comment, addLabels, removeLabels, mcp }, or null if nothing is configured
+ */
+export function getWriteBackConfig(source) {
+  const raw = source?.write_back;
+  if (!raw || typeof raw !== "object") return null;
+  const label = `source '${source.name || "unknown"}'`;
+
+  const on = toList(raw.on ?? "idle").filter((result) => {
+    if (SESSION_RESULTS.has(result)) return true;
+    console.warn(`[write-back] Unknown session result '${result}' in write_back.on for ${label}, ignoring it`);
+    return false;
+  });
+
+  let comment = null;
+  if (raw.comment === true) {
+    comment = DEFAULT_COMMENT;
+  } else if (typeof raw.comment === "string" && raw.comment.trim()) {
+    comment = raw.comment;
+  }
+
+  let mcp = null;
+  if (raw.mcp) {
+    if (raw.mcp.server && raw.mcp.tool) {
+      mcp = { server: raw.mcp.server, tool: raw.mcp.tool, args: raw.mcp.args || {} };
+    } else {
+      console.warn(`[write-back] write_back.mcp for ${label} needs server and tool, ignoring it`);
+    }
+  }
+
+  const config = {
+    on,
+    comment,
+    addLabels: toList(raw.add_labels),
+    removeLabels: toList(raw.remove_labels),
+    mcp,
+  };
+  const hasActions = config.comment || config.addLabels.length > 0 || config.removeLabels.length > 0 || config.mcp;
+  return hasActions && on.length > 0 ? config : null;
+}
+
+/**
+ * Expand templates in an MCP args object (strings only, nested objects and arrays included)
+ * @param {*} value - Args value
+ * @param {object} context - Template fields
+ * @returns {*} Expanded value
+ */
+function expandArgs(value, context) {
+  if (typeof value === "string") return expandTemplate(value, context);
+  if (Array.isArray(value)) return value.map((entry) => expandArgs(entry, context));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, expandArgs(entry, context)]));
+  }
+  return value;
+}
+
+/**
+ * Check whether a write-back config references {last_message}
+ * @param {object} config - Config from getWriteBackConfig
+ * @returns {boolean} True if the session's messages need to be read
+ */
+function needsLastMessage(config) {
+  return JSON.stringify([config.comment, config.mcp?.args]).includes("{last_message}");
+}
+
+/**
+ * Run gh with arguments (no shell, so comment bodies need no quoting)
+ * @param {string[]} args - gh arguments
+ * @returns {Promise<string>} stdout
+ */
+async function runGh(args) {
+  const { stdout } = await execFileAsync("gh", args, { timeout: GH_TIMEOUT_MS });
+  return stdout;
+}
+
+/**
+ * Run the write-back actions for a finished session
+ * Actions run in order: comment, add labels, remove labels, MCP tool. Every
+ * action is attempted even if an earlier one fails.
+ * @param {object} config - Config from getWriteBackConfig
+ * @param {object} context - Template fields (see module docs)
+ * @param {object} [options] - Options
+ * @param {function} [options.gh] - Run gh with an argument list (for testing)
+ * @param {function} [options.callTool] - Call an MCP tool (for testing)
+ * @returns {Promise<{done: string[], errors: string[]}>} Actions done and error messages
+ */
+export async function runWriteBack(config, context, options = {}) {
+  const gh = options.gh || runGh;
+  const callTool = options.callTool || callMcpTool;
+  const done = [];
+  const errors = [];
+
+  const attempt = async (name, fn) => {
+    try {
+      await fn();
+      done.push(name);
+    } catch (err) {
+      errors.push(`${name}: ${err.message}`);
+    }
+  };
+
+  const githubActions = config.comment || config.addLabels.length > 0 || config.removeLabels.length > 0;
+  const target = parseGitHubItemUrl(context.url);
+  if (githubActions && !target) {
+    errors.push(`comment/labels: ${context.url || "item has no URL"} is not a GitHub issue or PR`);
+  } else if (target) {
+    const issuePath = `repos/${target.owner}/${target.repo}/issues/${target.number}`;
+
+    if (config.comment) {
+      await attempt("comment", () =>
+        gh(["api", `${issuePath}/comments`, "-f", `body=${expandTemplate(config.comment, context).trim()}`]));
+    }
+    if (config.addLabels.length > 0) {
+      await attempt("add_labels", () =>
+        gh(["api", `${issuePath}/labels`, ...config.addLabels.flatMap((name) => ["-f", `labels[]=${name}`])]));
+    }
+    if (config.removeLabels.length > 0) {
+      await attempt("remove_labels", async () => {
+        for (const name of config.removeLabels) {
+          try {
+            await gh(["api", "-X", "DELETE", `${issuePath}/labels/${encodeURIComponent(name)}`]);
+          } catch (err) {
+            // Removing a label the item doesn't have is fine
+            if (!/HTTP 404/.test(`${err.message}${err.stderr || ""}`)) throw err;
+          }
+        }
+      });
+    }
+  }
+
+  if (config.mcp) {
+    const { server, tool, args } = config.mcp;
+    await attempt(`mcp:${server}/${tool}`, () => callTool(server, tool, expandArgs(args, context)));
+  }
+
+  return { done, errors };
+}
+
+/**
+ * Write back to source items when their sessions finish
+ * @param {object} options - Options
+ * @param {object} options.poller - Poller holding processed state
+ * @param {function} options.getSource - Look up a source config by name
+ * @param {function} [options.fetch] - Custom fetch function (for testing)
+ * @param {function} [options.gh] - Run gh with an argument list (for testing)
+ * @param {function} [options.callTool] - Call an MCP tool (for testing)
+ * @returns {object} Writer with handle(event) and stop()
+ */
+export function createWriteBack(options) {
+  const { poller, getSource, fetch: fetchFn, gh, callTool } = options;
+
+  async function handle(event) {
+    if (event.type !== "session.finished" || !event.source) return;
+    const config = getWriteBackConfig(getSource(event.source));
+    if (!config || !config.on.includes(event.result)) return;
+
+    const meta = poller.getProcessedMeta(event.itemId);
+    if (!meta || meta.writtenBackAt || meta.sessionId !== event.sessionId) return;
+
+    const lastMessage = needsLastMessage(config) && meta.serverUrl
+      ? await getLastAssistantText(meta.serverUrl, event.sessionId, { fetch: fetchFn })
+      : null;
+    const context = {
+      id: event.itemId,
+      number: meta.number ?? "",
+      title: meta.title ?? "",
+      url: meta.url ?? "",
+      source: event.source,
+      session_id: event.sessionId,
+      result: event.result,
+      duration: formatDuration(event.durationMs),
+      error: event.error ?? "",
+      last_message: lastMessage ?? "",
+    };
+
+    const { done, errors } = await runWriteBack(config, context, { gh, callTool });
+    if (done.length > 0) {
+      poller.updateProcessedMeta(event.itemId, { writtenBackAt: new Date().toISOString() });
+      console.log(`[write-back] ${event.itemId}: ${done.join(", ")}`);
+      emitEvent("item.written_back", {
+        source: event.source,
+        itemId: event.itemId,
+        sessionId: event.sessionId,
+        actions: done,
+      });
+    }
+    for (const message of errors) {
+      console.error(`[write-back] ${event.itemId}: ${message}`);
+      emitEvent("error", { source: event.source, itemId: event.itemId, stage: "write_back", message });
+    }
+  }
+
+  const unsubscribe = onEvent((event) => {
+    if (event.type !== "session.finished") return;
+    handle(event).catch((err) => console.error(`[write-back] Failed for ${event.itemId}: ${err.message}`));
+  });
+
+  return {
+    handle,
+
+    /**
+     * Stop writing back (unsubscribe from the event bus)
+     */
+    stop() {
+      unsubscribe();
+    },
+  };
+}
@@ -1128,6 +1128,195 @@ Check for bugs and security issues.`;
         'Result should include worktree directory');
     });
 
+    describe('checkout: pr_head', () => {
+      const item = { number: 123, title: 'Review PR #123', _headRefName: 'feature/login' };
+      const config = {
+        path: '/data/proj',
+        prompt: 'review',
+        worktree_name: 'pr-{number}',
+        checkout: 'pr_head',
+      };
+
+      function createFetch(calls) {
+        return async (url, opts) => {
+          const urlObj = new URL(url);
+          if (urlObj.pathname === '/experimental/worktree') {
+            if (opts?.method === 'POST') {
+              calls.push('create worktree');
+              return { ok: true, json: async () => ({ name: 'pr-123', directory: '/data/worktree/pr-123' }) };
+            }
+            return { ok: true, json: async () => [] };
+          }
+          if (urlObj.pathname === '/session' && opts?.method === 'POST') {
+            calls.push('create session');
+            return { ok: true, json: async () => ({ id: 'ses_test' }) };
+          }
+          if (urlObj.pathname === '/session/status') {
+            return { ok: true, json: async () => ({}) };
+          }
+          return { ok: true, json: async () => ({}) };
+        };
+      }
+
+      test('checks out the PR head in a new worktree before starting the session', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        const calls = [];
+
+        const result = await executeAction(item, config, {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch(calls),
+          checkoutPrHead: async (directory, checkedOut) => {
+            calls.push(`checkout #${checkedOut.number} in ${directory}`);
+            return { success: true, branch: `pilot/pr-${checkedOut.number}`, updated: true };
+          },
+        });
+
+        assert.ok(result.success);
+        assert.deepStrictEqual(calls, [
+          'create worktree',
+          'checkout #123 in /data/worktree/pr-123',
+          'create session',
+        ]);
+      });
+
+      test('does not start a session when the checkout fails', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        const calls = [];
+
+        const result = await executeAction(item, config, {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch(calls),
+          checkoutPrHead: async () => ({ success: false, error: "couldn't find remote ref pull/123/head" }),
+        });
+
+        assert.strictEqual(result.success, false);
+        assert.match(result.error, /Failed to check out PR head: couldn't find remote ref/);
+        // Still reported so the worktree can be cleaned up
+        assert.strictEqual(result.worktreeCreated, true);
+        assert.strictEqual(result.directory, '/data/worktree/pr-123');
+        assert.deepStrictEqual(calls, ['create worktree']);
+      });
+
+      test('leaves a stack sibling\'s worktree on its own branch', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        let checkedOut = false;
+
+        const result = await executeAction(item, {
+          ...config,
+          existing_directory: '/data/worktree/pr-122',
+          reuse_stack_session: 'ses_sibling',
+        }, {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch([]),
+          checkoutPrHead: async () => { checkedOut = true; return { success: true }; },
+        });
+
+        assert.ok(result.success);
+        assert.strictEqual(checkedOut, false);
+      });
+    });
+
+    describe('worktree_setup', () => {
+      const item = { id: 'issue-5', number: 5, title: 'Fix bug' };
+      const config = {
+        path: '/data/proj',
+        prompt: 'default',
+        worktree_name: 'issue-{number}',
+        worktree_setup: ['npm ci', 'cp "$PILOT_PROJECT_DIR/.env" .env'],
+      };
+
+      function createFetch(calls, existing = []) {
+        return async (url, opts) => {
+          const urlObj = new URL(url);
+          if (urlObj.pathname === '/experimental/worktree') {
+            if (opts?.method === 'POST') {
+              calls.push('create worktree');
+              return { ok: true, json: async () => ({ name: 'issue-5', directory: '/data/worktree/issue-5' }) };
+            }
+            return { ok: true, json: async () => existing };
+          }
+          if (urlObj.pathname === '/session' && opts?.method === 'POST') {
+            calls.push('create session');
+            return { ok: true, json: async () => ({ id: 'ses_test' }) };
+          }
+          if (urlObj.pathname === '/session/status') {
+            return { ok: true, json: async () => ({}) };
+          }
+          return { ok: true, json: async () => ({}) };
+        };
+      }
+
+      test('runs setup in a new worktree before starting the session', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        const calls = [];
+
+        const result = await executeAction(item, config, {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch(calls),
+          runWorktreeSetup: async (directory, setup, opts) => {
+            calls.push(`setup ${setup.join(' && ')} in ${directory} for ${opts.projectDirectory}`);
+            return { success: true, exitCode: 0, output: '', durationMs: 10 };
+          },
+        });
+
+        assert.ok(result.success);
+        assert.deepStrictEqual(calls, [
+          'create worktree',
+          'setup npm ci && cp "$PILOT_PROJECT_DIR/.env" .env in /data/worktree/issue-5 for /data/proj',
+          'create session',
+        ]);
+        assert.strictEqual(result.worktreeSetup.exitCode, 0);
+      });
+
+      test('does not start a session when setup fails', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        const { onEvent } = await import('../../service/events.js');
+        const events = [];
+        const unsubscribe = onEvent((event) => {
+          if (event.type === 'worktree.setup') events.push(event);
+        });
+        const calls = [];
+
+        const result = await executeAction(item, config, {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch(calls),
+          runWorktreeSetup: async () => ({
+            success: false, exitCode: 1, output: '$ npm ci\nnpm ERR! missing lockfile', durationMs: 10, error: 'npm ci exited with 1',
+          }),
+        });
+        unsubscribe();
+
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.error, 'Worktree setup failed in /data/worktree/issue-5: npm ci exited with 1');
+        assert.strictEqual(result.worktreeCreated, true);
+        assert.strictEqual(result.worktreeSetup.exitCode, 1);
+        assert.deepStrictEqual(calls, ['create worktree']);
+        assert.strictEqual(events.length, 1);
+        assert.strictEqual(events[0].itemId, 'issue-5');
+        assert.match(events[0].output, /missing lockfile/);
+      });
+
+      test('only sets up a reused sandbox again after a failed setup', async () => {
+        const { executeAction } = await import('../../service/actions.js');
+        let setups = 0;
+        const options = {
+          discoverServer: async () => 'http://localhost:4096',
+          fetch: createFetch([], ['/data/worktree/issue-5']),
+          runWorktreeSetup: async () => {
+            setups++;
+            return { success: true, exitCode: 0, output: '', durationMs: 10 };
+          },
+        };
+
+        await executeAction(item, config, options);
+        assert.strictEqual(setups, 0);
+
+        const result = await executeAction(item, { ...config, retry_worktree_setup: true }, options);
+        assert.ok(result.success);
+        assert.strictEqual(setups, 1);
+      });
+    });
+
     test('uses target dir opencode config model when no pilot model set (dry run)', async () => {
       const { executeAction } = await import('../../service/actions.js');
 
@@ -2276,6 +2465,67 @@ Check for bugs and security issues.`;
     });
   });
 
+  describe('getLastAssistantText', () => {
+    test('joins the text parts of the last assistant message', async () => {
+      const { getLastAssistantText } = await import('../../service/actions.js');
+      let fetchedUrl = null;
+
+      const mockFetch = async (url) => {
+        fetchedUrl = url;
+        return {
+          ok: true,
+          json: async () => ([
+            { info: { role: 'assistant' }, parts: [{ type: 'text', text: 'First reply' }] },
+            { info: { role: 'user' }, parts: [{ type: 'text', text: 'Thanks' }] },
+            { info: { role: 'assistant' }, parts: [
+              { type: 'text', text: 'Fixed the bug. ' },
+              { type: 'tool', tool: 'bash' },
+              { type: 'text', text: 'context', synthetic: true },
+              { type: 'text', text: 'Tests pass.' },
+            ] },
+          ]),
+        };
+      };
+
+      const result = await getLastAssistantText('http://localhost:4096', 'ses_1', { fetch: mockFetch });
+
+      assert.strictEqual(fetchedUrl, 'http://localhost:4096/session/ses_1/message');
+      assert.strictEqual(result, 'Fixed the bug.\n\nTests pass.');
+    });
+
+    test('returns null without an assistant reply or on errors', async () => {
+      const { getLastAssistantText } = await import('../../service/actions.js');
+
+      const noReply = async () => ({ ok: true, json: async () => ([{ info: { role: 'user' }, parts: [] }]) });
+      const failing = async () => { throw new Error('Connection refused'); };
+
+      assert.strictEqual(await getLastAssistantText('http://localhost:4096', 'ses_1', { fetch: noReply }), null);
+      assert.strictEqual(await getLastAssistantText('http://localhost:4096', 'ses_1', { fetch: failing }), null);
+    });
+  });
+
+  describe('fetchSessionStatuses', () => {
+    test('returns statuses from the server', async () => {
+      const { fetchSessionStatuses } = await import('../../service/actions.js');
+      let fetchedUrl = null;
+      
+      const result = await fetchSessionStatuses('http://localhost:4096', {
+        fetch: async (url) => { fetchedUrl = url; return { ok: true, json: async () => ({ 'ses_1': { type: 'busy' } }) }; },
+      });
+      
+      assert.strictEqual(fetchedUrl, 'http://localhost:4096/session/status');
+      assert.deepStrictEqual(result, { 'ses_1': { type: 'busy' } });
+    });
+
+    test('throws when statuses cannot be read', async () => {
+      const { fetchSessionStatuses, getSessionStatuses } = await import('../../service/actions.js');
+      const failing = async () => ({ ok: false, status: 503 });
+      
+      await assert.rejects(fetchSessionStatuses('http://localhost:4096', { fetch: failing }), /returned 503/);
+      assert.deepStrictEqual(await getSessionStatuses('http://localhost:4096', { fetch: failing }), {});
+    });
+  });
+
   describe('findReusableSession', () => {
     test('finds best idle session from list', async () => {
       const { findReusableSession } = await import('../../service/actions.js');
@@ -0,0 +1,103 @@
+/**
+ * Tests for active-hours.js - working-hours windows for session creation
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+describe('active-hours.js', () => {
+  describe('parseActiveHours', () => {
+    test('parses a single range', async () => {
+      const { parseActiveHours } = await import('../../service/active-hours.js');
+      assert.deepStrictEqual(parseActiveHours('09:00-18:30'), [{ start: 540, end: 1110 }]);
+    });
+
+    test('parses a list of ranges', async () => {
+      const { parseActiveHours } = await import('../../service/active-hours.js');
+      assert.deepStrictEqual(parseActiveHours(['9:00-12:00', '13:00-24:00']), [
+        { start: 540, end: 720 },
+        { start: 780, end: 1440 },
+      ]);
+    });
+
+    test('throws for malformed ranges', async () => {
+      const { parseActiveHours } = await import('../../service/active-hours.js');
+      assert.throws(() => parseActiveHours('9am-5pm'), /expected HH:MM/);
+      assert.throws(() => parseActiveHours('09:00'), /expected HH:MM-HH:MM/);
+      assert.throws(() => parseActiveHours('09:00-09:00'), /start equals end/);
+      assert.throws(() => parseActiveHours('09:60-10:00'), /Invalid time/);
+    });
+  });
+
+  describe('parseActiveDays', () => {
+    test('parses ranges, lists and full names', async () => {
+      const { parseActiveDays } = await import('../../service/active-hours.js');
+      assert.deepStrictEqual([...parseActiveDays('mon-fri')], [1, 2, 3, 4, 5]);
+      assert.deepStrictEqual([...parseActiveDays(['Monday', 'wed'])], [1, 3]);
+      assert.deepStrictEqual([...parseActiveDays('sat,sun')], [6, 0]);
+    });
+
+    test('supports ranges that wrap the week', async () => {
+      const { parseActiveDays } = await import('../../service/active-hours.js');
+      assert.deepStrictEqual([...parseActiveDays('fri-mon')], [5, 6, 0, 1]);
+    });
+
+    test('throws for unknown days', async () => {
+      const { parseActiveDays } = await import('../../service/active-hours.js');
+      assert.throws(() => parseActiveDays('mon-funday'), /Invalid day/);
+    });
+  });
+
+  describe('getZonedTime', () => {
+    test('converts to the configured timezone', async () => {
+      const { getZonedTime } = await import('../../service/active-hours.js');
+      // Mon 2025-01-06 02:30 UTC is Sun 2025-01-05 21:30 in New York
+      const result = getZonedTime(new Date('2025-01-06T02:30:00Z'), 'America/New_York');
+      assert.deepStrictEqual(result, { day: 0, minutes: 21 * 60 + 30 });
+    });
+
+    test('throws for unknown timezones', async () => {
+      const { getZonedTime } = await import('../../service/active-hours.js');
+      assert.throws(() => getZonedTime(new Date(), 'Mars/Olympus_Mons'), RangeError);
+    });
+  });
+
+  describe('checkActiveWindow', () => {
+    test('sources without a window are always active', async () => {
+      const { checkActiveWindow } = await import('../../service/active-hours.js');
+      assert.deepStrictEqual(checkActiveWindow({ name: 'a' }), { active: true });
+    });
+
+    test('respects active_hours and active_days in a timezone', async () => {
+      const { checkActiveWindow } = await import('../../service/active-hours.js');
+      const source = { active_hours: '09:00-18:00', active_days: 'mon-fri', timezone: 'UTC' };
+
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-06T10:00:00Z')).active, true);
+
+      const evening = checkActiveWindow(source, new Date('2025-01-06T18:00:00Z'));
+      assert.strictEqual(evening.active, false);
+      assert.match(evening.reason, /active_hours/);
+
+      const saturday = checkActiveWindow(source, new Date('2025-01-11T10:00:00Z'));
+      assert.strictEqual(saturday.active, false);
+      assert.match(saturday.reason, /sat is outside active_days/);
+    });
+
+    test('supports overnight ranges', async () => {
+      const { checkActiveWindow } = await import('../../service/active-hours.js');
+      const source = { active_hours: '22:00-02:00', timezone: 'UTC' };
+
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-06T23:00:00Z')).active, true);
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-06T01:59:00Z')).active, true);
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-06T03:00:00Z')).active, false);
+    });
+
+    test('active_days alone allows the whole day', async () => {
+      const { checkActiveWindow } = await import('../../service/active-hours.js');
+      const source = { active_days: ['sat', 'sun'], timezone: 'UTC' };
+
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-11T03:00:00Z')).active, true);
+      assert.strictEqual(checkActiveWindow(source, new Date('2025-01-10T12:00:00Z')).active, false);
+    });
+  });
+});
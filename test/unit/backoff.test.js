@@ -0,0 +1,159 @@
+/**
+ * Tests for backoff.js - exponential backoff and circuit breaker for sources
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+describe('backoff.js', () => {
+  describe('getBackoffConfig', () => {
+    test('uses defaults when not configured', async () => {
+      const { getBackoffConfig, DEFAULT_BACKOFF } = await import('../../service/backoff.js');
+      assert.deepStrictEqual(getBackoffConfig({ name: 'a' }), DEFAULT_BACKOFF);
+    });
+
+    test('parses durations and threshold', async () => {
+      const { getBackoffConfig } = await import('../../service/backoff.js');
+      const config = getBackoffConfig({
+        name: 'a',
+        backoff: { base: '10s', max: '5m', threshold: 3, cooldown: '2h' },
+      });
+
+      assert.deepStrictEqual(config, { base: 10000, max: 300000, threshold: 3, cooldown: 7200000 });
+    });
+
+    test('falls back to defaults for invalid values', async (t) => {
+      const { getBackoffConfig, DEFAULT_BACKOFF } = await import('../../service/backoff.js');
+      t.mock.method(console, 'warn', () => {});
+      const config = getBackoffConfig({ name: 'a', backoff: { base: 'soon', threshold: 0 } });
+
+      assert.strictEqual(config.base, DEFAULT_BACKOFF.base);
+      assert.strictEqual(config.threshold, DEFAULT_BACKOFF.threshold);
+    });
+  });
+
+  describe('computeBackoffDelay', () => {
+    const config = { base: 1000, max: 10000, threshold: 5, cooldown: 60000 };
+
+    test('doubles per failure with jitter in [delay/2, delay]', async () => {
+      const { computeBackoffDelay } = await import('../../service/backoff.js');
+
+      assert.strictEqual(computeBackoffDelay(1, config, () => 0), 500);
+      assert.strictEqual(computeBackoffDelay(1, config, () => 0.999999), 1000);
+      assert.strictEqual(computeBackoffDelay(3, config, () => 0), 2000);
+      assert.strictEqual(computeBackoffDelay(3, config, () => 0.5), 3000);
+    });
+
+    test('caps delay at max', async () => {
+      const { computeBackoffDelay } = await import('../../service/backoff.js');
+      assert.strictEqual(computeBackoffDelay(20, config, () => 0.999999), 10000);
+    });
+  });
+
+  describe('recordFailure and recordSuccess', () => {
+    const config = { base: 1000, max: 10000, threshold: 3, cooldown: 60000 };
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    test('counts consecutive failures and schedules a retry', async () => {
+      const { recordFailure } = await import('../../service/backoff.js');
+      const state = recordFailure(null, new Error('gh not authenticated'), config, { now, random: () => 0 });
+
+      assert.strictEqual(state.failures, 1);
+      assert.strictEqual(state.lastError, 'gh not authenticated');
+      assert.strictEqual(state.circuitOpen, false);
+      assert.strictEqual(state.nextRetryAt, '2025-01-01T00:00:00.500Z');
+    });
+
+    test('opens the circuit at the threshold and pauses for the cooldown', async () => {
+      const { recordFailure } = await import('../../service/backoff.js');
+      const state = recordFailure({ failures: 2 }, 'MCP down', config, { now });
+
+      assert.strictEqual(state.failures, 3);
+      assert.strictEqual(state.circuitOpen, true);
+      assert.strictEqual(state.nextRetryAt, '2025-01-01T00:01:00.000Z');
+    });
+
+    test('recordSuccess closes the circuit', async () => {
+      const { recordSuccess } = await import('../../service/backoff.js');
+      assert.deepStrictEqual(recordSuccess(), {
+        failures: 0,
+        lastError: null,
+        nextRetryAt: null,
+        circuitOpen: false,
+      });
+    });
+  });
+
+  describe('checkBackoff', () => {
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    test('does not skip sources without failures', async () => {
+      const { checkBackoff } = await import('../../service/backoff.js');
+      assert.strictEqual(checkBackoff(null, now).skip, false);
+      assert.strictEqual(checkBackoff({ failures: 0, nextRetryAt: null }, now).skip, false);
+    });
+
+    test('skips until nextRetryAt', async () => {
+      const { checkBackoff } = await import('../../service/backoff.js');
+      const state = { failures: 5, circuitOpen: true, nextRetryAt: '2025-01-01T00:10:00Z' };
+
+      const result = checkBackoff(state, now);
+      assert.strictEqual(result.skip, true);
+      assert.strictEqual(result.reason, 'circuit open');
+
+      // After the cooldown, one probe attempt is allowed
+      assert.strictEqual(checkBackoff(state, new Date('2025-01-01T00:10:00Z')).skip, false);
+    });
+  });
+
+  describe('item retries', () => {
+    const config = { base: 1000, max: 10000, threshold: 5, cooldown: 60000, maxAttempts: 3 };
+    const now = new Date('2025-01-01T00:00:00Z');
+
+    test('getMaxAttempts defaults and validates', async (t) => {
+      const { getMaxAttempts, DEFAULT_MAX_ATTEMPTS } = await import('../../service/backoff.js');
+      t.mock.method(console, 'warn', () => {});
+
+      assert.strictEqual(getMaxAttempts({ name: 'a' }), DEFAULT_MAX_ATTEMPTS);
+      assert.strictEqual(getMaxAttempts({ name: 'a', max_attempts: 5 }), 5);
+      assert.strictEqual(getMaxAttempts({ name: 'a', max_attempts: 0 }), DEFAULT_MAX_ATTEMPTS);
+      assert.strictEqual(console.warn.mock.callCount(), 1);
+    });
+
+    test('schedules the next attempt with backoff until max attempts', async () => {
+      const { recordAttemptFailure } = await import('../../service/backoff.js');
+      const first = recordAttemptFailure(null, new Error('opencode not reachable'), config, { now, random: () => 0 });
+
+      assert.strictEqual(first.attempts, 1);
+      assert.strictEqual(first.failed, false);
+      assert.strictEqual(first.lastError, 'opencode not reachable');
+      assert.strictEqual(first.nextAttemptAt, '2025-01-01T00:00:00.500Z');
+
+      const second = recordAttemptFailure(first, 'still down', config, { now, random: () => 0 });
+      assert.strictEqual(second.attempts, 2);
+      assert.strictEqual(second.nextAttemptAt, '2025-01-01T00:00:01.000Z');
+
+      const third = recordAttemptFailure(second, 'still down', config, { now, random: () => 0 });
+      assert.strictEqual(third.attempts, 3);
+      assert.strictEqual(third.failed, true);
+      assert.strictEqual(third.nextAttemptAt, null);
+    });
+
+    test('checkRetry waits for nextAttemptAt and skips parked items', async () => {
+      const { checkRetry } = await import('../../service/backoff.js');
+
+      assert.strictEqual(checkRetry(null, now).skip, false);
+
+      const waiting = { attempts: 1, nextAttemptAt: '2025-01-01T00:01:00Z', failed: false };
+      assert.strictEqual(checkRetry(waiting, now).skip, true);
+      assert.match(checkRetry(waiting, now).reason, /next attempt/);
+      assert.strictEqual(checkRetry(waiting, new Date('2025-01-01T00:01:00Z')).skip, false);
+
+      const parked = { attempts: 3, nextAttemptAt: null, failed: true };
+      assert.deepStrictEqual(checkRetry(parked, new Date('2030-01-01T00:00:00Z')), {
+        skip: true,
+        reason: 'failed after 3 attempt(s)',
+      });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Tests for closed-items.js - cleaning up sessions and worktrees of items that left their source
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+const SERVER = 'http://localhost:4096';
+
+/**
+ * Fake OpenCode API recording every request
+ */
+function createFakeServer(statuses = {}) {
+  const server = { requests: [], failing: new Set() };
+  server.fetch = async (url, opts = {}) => {
+    const { pathname, searchParams } = new URL(url);
+    const method = opts.method || 'GET';
+    server.requests.push({ method, pathname, directory: searchParams.get('directory'), body: opts.body ? JSON.parse(opts.body) : null });
+    const status = server.failing.has(`${method} ${pathname}`) ? 500 : 200;
+    return {
+      ok: status < 400,
+      status,
+      json: async () => (pathname === '/session/status' ? statuses : true),
+      text: async () => 'boom',
+    };
+  };
+  server.calls = () => server.requests.filter((r) => r.method !== 'GET').map((r) => `${r.method} ${r.pathname}`);
+  return server;
+}
+
+// The item is merged upstream and its worktree is clean
+const closedUpstream = {
+  getGitHubState: async () => 'closed',
+  getUncommittedChanges: async () => [],
+};
+
+const worktreeEntry = {
+  id: 'https://github.com/myorg/backend/pull/7',
+  sessionId: 'ses_1',
+  serverUrl: SERVER,
+  directory: '/worktrees/pr-7',
+  projectDirectory: '/code/backend',
+};
+
+describe('closed-items.js', () => {
+  describe('getClosedItemPolicy', () => {
+    test('returns known actions in run order', async () => {
+      const { getClosedItemPolicy } = await import('../../service/closed-items.js');
+
+      assert.deepStrictEqual(getClosedItemPolicy({ name: 's' }), []);
+      assert.deepStrictEqual(getClosedItemPolicy({ name: 's', on_item_closed: 'archive' }), ['archive']);
+      assert.deepStrictEqual(
+        getClosedItemPolicy({ name: 's', on_item_closed: ['remove_worktree', 'archive', 'abort'] }),
+        ['abort', 'archive', 'remove_worktree'],
+      );
+    });
+
+    test('warns about unknown actions', async (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      const { getClosedItemPolicy } = await import('../../service/closed-items.js');
+
+      assert.deepStrictEqual(getClosedItemPolicy({ name: 's', on_item_closed: ['archive', 'delete'] }), ['archive']);
+      assert.strictEqual(warn.mock.callCount(), 1);
+    });
+  });
+
+  describe('closeItem', () => {
+    test('aborts a busy session, archives it and removes its worktree', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({ ses_1: { type: 'busy' } });
+
+      const result = await closeItem(worktreeEntry, ['abort', 'archive', 'remove_worktree'], { ...closedUpstream, fetch: server.fetch });
+
+      assert.deepStrictEqual(result, { done: ['abort', 'archive', 'remove_worktree'], errors: [] });
+      assert.deepStrictEqual(server.calls(), [
+        'POST /session/ses_1/abort',
+        'PATCH /session/ses_1',
+        'DELETE /experimental/worktree',
+      ]);
+      const archive = server.requests.find((r) => r.method === 'PATCH');
+      assert.strictEqual(typeof archive.body.time.archived, 'number');
+      assert.strictEqual(archive.directory, '/worktrees/pr-7');
+      const remove = server.requests.find((r) => r.method === 'DELETE');
+      assert.deepStrictEqual(remove.body, { directory: '/worktrees/pr-7' });
+      assert.strictEqual(remove.directory, '/code/backend');
+    });
+
+    test('does not abort idle sessions', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+
+      const result = await closeItem(worktreeEntry, ['abort'], { ...closedUpstream, fetch: server.fetch });
+
+      assert.deepStrictEqual(result, { done: [], errors: [] });
+      assert.deepStrictEqual(server.calls(), []);
+    });
+
+    test('leaves the worktree of a busy session it may not abort', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({ ses_1: { type: 'busy' } });
+
+      const result = await closeItem(worktreeEntry, ['remove_worktree'], { ...closedUpstream, fetch: server.fetch });
+
+      assert.deepStrictEqual(result.done, []);
+      assert.match(result.errors[0], /still busy/);
+      assert.deepStrictEqual(server.calls(), []);
+    });
+
+    test('never removes the main checkout', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+
+      const entry = { ...worktreeEntry, directory: '/code/backend' };
+      const result = await closeItem(entry, ['archive', 'remove_worktree'], { ...closedUpstream, fetch: server.fetch });
+
+      assert.deepStrictEqual(result.done, ['archive']);
+      assert.deepStrictEqual(server.calls(), ['PATCH /session/ses_1']);
+    });
+
+    test('leaves sessions and worktrees shared with open items alone', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({ ses_1: { type: 'busy' } });
+      const openEntries = [{ id: 'https://github.com/myorg/backend/pull/8', sessionId: 'ses_1', directory: '/worktrees/pr-7' }];
+
+      const result = await closeItem(worktreeEntry, ['abort', 'archive', 'remove_worktree'], { ...closedUpstream, fetch: server.fetch, openEntries });
+
+      assert.deepStrictEqual(result, { done: [], errors: [] });
+      assert.deepStrictEqual(server.calls(), []);
+    });
+
+    test('reports failures and keeps going', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+      server.failing.add('PATCH /session/ses_1');
+
+      const result = await closeItem(worktreeEntry, ['archive', 'remove_worktree'], { ...closedUpstream, fetch: server.fetch });
+
+      assert.deepStrictEqual(result.done, ['remove_worktree']);
+      assert.deepStrictEqual(result.errors, ['archive: PATCH /session/ses_1 returned 500']);
+    });
+
+    test('does nothing while the GitHub item is still open', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({ ses_1: { type: 'busy' } });
+      const checked = [];
+
+      const result = await closeItem(worktreeEntry, ['abort', 'archive', 'remove_worktree'], {
+        ...closedUpstream,
+        fetch: server.fetch,
+        getGitHubState: async (target) => {
+          checked.push(target);
+          return 'open';
+        },
+      });
+
+      assert.deepStrictEqual(result, { done: [], errors: [], open: true });
+      assert.deepStrictEqual(checked, [{ owner: 'myorg', repo: 'backend', number: 7 }]);
+      assert.deepStrictEqual(server.requests, []);
+    });
+
+    test('does nothing when the GitHub state cannot be read', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+
+      const result = await closeItem(worktreeEntry, ['archive', 'remove_worktree'], {
+        ...closedUpstream,
+        fetch: server.fetch,
+        getGitHubState: async () => { throw new Error('gh: not logged in'); },
+      });
+
+      assert.deepStrictEqual(result.done, []);
+      assert.strictEqual(result.retry, true);
+      assert.match(result.errors[0], /could not check whether .*pull\/7 is closed: gh: not logged in/);
+      assert.deepStrictEqual(server.requests, []);
+    });
+
+    test('does nothing when the session status cannot be read', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+      server.failing.add('GET /session/status');
+
+      const result = await closeItem(worktreeEntry, ['abort', 'archive', 'remove_worktree'], {
+        ...closedUpstream,
+        fetch: server.fetch,
+      });
+
+      assert.deepStrictEqual(result, {
+        done: [],
+        errors: [`could not read session status from ${SERVER}: GET /session/status returned 500`],
+        retry: true,
+      });
+      assert.deepStrictEqual(server.calls(), []);
+    });
+
+    test('acts on non-GitHub items once they leave their source', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+      const entry = { ...worktreeEntry, id: 'linear:ENG-42', url: 'https://linear.app/acme/issue/ENG-42' };
+
+      const result = await closeItem(entry, ['archive'], {
+        ...closedUpstream,
+        fetch: server.fetch,
+        getGitHubState: async () => assert.fail('not a GitHub item'),
+      });
+
+      assert.deepStrictEqual(result.done, ['archive']);
+    });
+
+    test('keeps worktrees with uncommitted changes', async () => {
+      const { closeItem } = await import('../../service/closed-items.js');
+      const server = createFakeServer({});
+
+      const result = await closeItem(worktreeEntry, ['archive', 'remove_worktree'], {
+        ...closedUpstream,
+        fetch: server.fetch,
+        getUncommittedChanges: async () => [' M src/app.js', '?? notes.md'],
+      });
+
+      assert.deepStrictEqual(result.done, ['archive']);
+      assert.deepStrictEqual(result.errors, ['remove_worktree: 2 uncommitted change(s), leaving /worktrees/pr-7']);
+      assert.deepStrictEqual(server.calls(), ['PATCH /session/ses_1']);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for discovery.js - finding running OpenCode servers
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, symlinkSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const TCP_HEADER = '  sl  local_address rem_address   st tx_queue rx_queue tr tm->when retrnsmt   uid  timeout inode';
+
+/**
+ * Format a /proc/net/tcp line
+ */
+function tcpLine(sl, address, port, state, inode) {
+  const local = `${address}:${port.toString(16).toUpperCase().padStart(4, '0')}`;
+  return `   ${sl}: ${local} 00000000:0000 ${state} 00000000:00000000 00:00000000 00000000  1000        0 ${inode} 1 0000000000000000 100 0 0 10 0`;
+}
+
+const PROJECT = { id: 'proj', worktree: '/code/backend', sandboxes: [], time: { created: 1 } };
+
+describe('discovery.js', () => {
+  describe('parseListeningSockets', () => {
+    test('maps inodes of listening sockets to ports', async () => {
+      const { parseListeningSockets } = await import('../../service/discovery.js');
+
+      const sockets = parseListeningSockets([
+        TCP_HEADER,
+        tcpLine(0, '0100007F', 4096, '0A', 1111),
+        tcpLine(1, '0100007F', 51234, '01', 2222),
+        tcpLine(2, '00000000', 8080, '0A', 3333),
+        '',
+      ].join('\n'));
+
+      assert.deepStrictEqual([...sockets], [['1111', 4096], ['3333', 8080]]);
+    });
+  });
+
+  describe('isOpencodeCommand', () => {
+    test('matches opencode under any runtime but not opencode-pilot', async () => {
+      const { isOpencodeCommand } = await import('../../service/discovery.js');
+
+      assert.strictEqual(isOpencodeCommand(['/usr/local/bin/opencode', 'serve', '--port', '4096']), true);
+      assert.strictEqual(isOpencodeCommand(['node', '/home/me/.npm/bin/opencode']), true);
+      assert.strictEqual(isOpencodeCommand(['/opt/.opencode/bin/.opencode-linux-x64']), true);
+      assert.strictEqual(isOpencodeCommand(['node', '/usr/lib/node_modules/opencode-pilot/bin/opencode-pilot']), false);
+      assert.strictEqual(isOpencodeCommand(['python3', '-m', 'http.server', 'opencode']), false);
+    });
+  });
+
+  describe('getProcPorts', () => {
+    let procDir;
+
+    beforeEach(() => {
+      procDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-proc-test-'));
+      mkdirSync(join(procDir, 'net'));
+      writeFileSync(join(procDir, 'net', 'tcp'), [
+        TCP_HEADER,
+        tcpLine(0, '0100007F', 4096, '0A', 1111),
+        tcpLine(1, '0100007F', 8080, '0A', 2222),
+        tcpLine(2, '0100007F', 4096, '01', 4444),
+      ].join('\n'));
+      writeFileSync(join(procDir, 'net', 'tcp6'), [
+        TCP_HEADER,
+        tcpLine(0, '00000000000000000000000001000000', 4097, '0A', 3333),
+      ].join('\n'));
+    });
+
+    afterEach(() => {
+      rmSync(procDir, { recursive: true, force: true });
+    });
+
+    function addProcess(pid, argv, inodes) {
+      mkdirSync(join(procDir, String(pid), 'fd'), { recursive: true });
+      writeFileSync(join(procDir, String(pid), 'cmdline'), argv.join('\0') + '\0');
+      inodes.forEach((inode, fd) => symlinkSync(`socket:[${inode}]`, join(procDir, String(pid), 'fd', String(fd + 3))));
+    }
+
+    test('finds ports opencode processes listen on', async () => {
+      const { getProcPorts, getOpencodePorts } = await import('../../service/discovery.js');
+      addProcess(100, ['/usr/local/bin/opencode', 'serve'], [1111, 4444]);
+      addProcess(200, ['node', '/home/me/bin/opencode'], [3333]);
+      addProcess(300, ['python3', '-m', 'http.server', '8080'], [2222]);
+      mkdirSync(join(procDir, 'self'));
+
+      assert.deepStrictEqual(getProcPorts({ procDir }).sort(), [4096, 4097]);
+      assert.deepStrictEqual((await getOpencodePorts({ procDir })).sort(), [4096, 4097]);
+    });
+
+    test('skips processes it cannot read', async () => {
+      const { getProcPorts } = await import('../../service/discovery.js');
+      mkdirSync(join(procDir, '100'));
+      addProcess(200, ['opencode'], [1111]);
+
+      assert.deepStrictEqual(getProcPorts({ procDir }), [4096]);
+    });
+  });
+
+  describe('probeServers', () => {
+    test('probes servers concurrently and keeps healthy ones in order', async () => {
+      const { probeServers } = await import('../../service/discovery.js');
+      const fetch = async (url) => {
+        if (url.startsWith('http://localhost:1')) {
+          return new Promise(() => {}); // Hung server
+        }
+        if (url.startsWith('http://localhost:2')) {
+          return { ok: true, json: async () => ({ id: 'stale' }) };
+        }
+        if (url.startsWith('http://localhost:3')) {
+          return { ok: false, status: 502 };
+        }
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return { ok: true, json: async () => PROJECT };
+      };
+
+      const startedAt = Date.now();
+      const healthy = await probeServers(
+        ['http://localhost:1', 'http://localhost:2', 'http://localhost:3', 'http://localhost:4', 'http://devbox:4096'],
+        { fetch, timeout: 300 },
+      );
+
+      assert.deepStrictEqual(healthy.map((s) => s.url), ['http://localhost:4', 'http://devbox:4096']);
+      assert.deepStrictEqual(healthy[0].project, PROJECT);
+      assert.ok(Date.now() - startedAt < 600, 'probes should not run one after another');
+    });
+
+    test('times out servers that send headers and stall the body', async () => {
+      const { probeServers } = await import('../../service/discovery.js');
+      let aborted = false;
+      const fetch = async (url, { signal }) => {
+        signal.addEventListener('abort', () => { aborted = true; });
+        return { ok: true, json: () => new Promise(() => {}) };
+      };
+
+      const healthy = await probeServers(['http://localhost:1'], { fetch, timeout: 100 });
+
+      assert.deepStrictEqual(healthy, []);
+      assert.strictEqual(aborted, true);
+    });
+  });
+
+  describe('discoverOpencodeServer with configured servers', () => {
+    test('matches configured server URLs alongside discovered ports', async () => {
+      const { discoverOpencodeServer } = await import('../../service/actions.js');
+      const fetch = async (url) => {
+        if (url === 'http://devbox:4096/project/current') {
+          return { ok: true, json: async () => PROJECT };
+        }
+        if (url === 'http://localhost:3000/project/current') {
+          return { ok: true, json: async () => ({ ...PROJECT, worktree: '/code/frontend' }) };
+        }
+        return { ok: false };
+      };
+
+      const result = await discoverOpencodeServer('/code/backend', {
+        getPorts: async () => [3000],
+        servers: ['http://devbox:4096'],
+        preferredPort: null,
+        fetch,
+      });
+
+      assert.strictEqual(result, 'http://devbox:4096');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for events.js - in-process event bus
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+describe('events.js', () => {
+  test('emitEvent delivers events with id, type and timestamp', async () => {
+    const { emitEvent, onEvent } = await import('../../service/events.js');
+    const received = [];
+    const unsubscribe = onEvent((event) => received.push(event));
+
+    const event = emitEvent('poll.started', { source: 'my-issues' });
+    unsubscribe();
+
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0], event);
+    assert.strictEqual(event.type, 'poll.started');
+    assert.strictEqual(event.source, 'my-issues');
+    assert.ok(Number.isInteger(event.id));
+    assert.ok(!isNaN(Date.parse(event.timestamp)));
+  });
+
+  test('unsubscribe stops delivery', async () => {
+    const { emitEvent, onEvent } = await import('../../service/events.js');
+    const received = [];
+    const unsubscribe = onEvent((event) => received.push(event));
+    unsubscribe();
+
+    emitEvent('poll.started', { source: 'a' });
+    assert.strictEqual(received.length, 0);
+  });
+
+  test('a throwing listener does not affect other listeners or the emitter', async (t) => {
+    const { emitEvent, onEvent } = await import('../../service/events.js');
+    t.mock.method(console, 'error', () => {});
+    const received = [];
+    const offBad = onEvent(() => { throw new Error('boom'); });
+    const offGood = onEvent((event) => received.push(event));
+
+    assert.doesNotThrow(() => emitEvent('error', { message: 'x' }));
+    offBad();
+    offGood();
+
+    assert.strictEqual(received.length, 1);
+  });
+
+  test('getRecentEvents returns buffered events after an id', async () => {
+    const { emitEvent, getRecentEvents } = await import('../../service/events.js');
+    const first = emitEvent('item.fetched', { itemId: '1' });
+    const second = emitEvent('item.fetched', { itemId: '2' });
+
+    const recent = getRecentEvents(first.id);
+    assert.deepStrictEqual(recent.map((event) => event.id), [second.id]);
+  });
+});
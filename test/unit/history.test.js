@@ -0,0 +1,158 @@
+/**
+ * Tests for history.js - append-only audit log of per-item decisions
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, existsSync, readFileSync, appendFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+describe('history.js', () => {
+  let tempDir;
+  let historyFile;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-history-test-'));
+    historyFile = join(tempDir, 'history.jsonl');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('appendHistory / readItemHistory', () => {
+    test('returns entries for one item in order', async () => {
+      const { appendHistory, readItemHistory } = await import('../../service/history.js');
+
+      appendHistory(historyFile, { itemId: 'a', action: 'fetched' });
+      appendHistory(historyFile, { itemId: 'b', action: 'fetched' });
+      appendHistory(historyFile, { itemId: 'a', action: 'session_created', sessionId: 'ses_1' });
+
+      const entries = readItemHistory(historyFile, 'a');
+      assert.deepStrictEqual(entries.map((e) => e.action), ['fetched', 'session_created']);
+      assert.ok(entries[0].at);
+      assert.deepStrictEqual(readItemHistory(historyFile, 'missing'), []);
+    });
+
+    test('skips torn lines', async () => {
+      const { appendHistory, readItemHistory } = await import('../../service/history.js');
+
+      appendHistory(historyFile, { itemId: 'a', action: 'fetched' });
+      appendFileSync(historyFile, '{"itemId":"a","act');
+
+      assert.strictEqual(readItemHistory(historyFile, 'a').length, 1);
+    });
+
+    test('rotates when the log exceeds maxBytes and still reads rotated entries', async () => {
+      const { appendHistory, readItemHistory } = await import('../../service/history.js');
+
+      for (let i = 0; i < 5; i++) {
+        appendHistory(historyFile, { itemId: 'a', action: 'failed', error: `attempt ${i}` }, { maxBytes: 50, keep: 2 });
+      }
+
+      assert.ok(existsSync(`${historyFile}.1`));
+      assert.ok(existsSync(`${historyFile}.2`));
+      assert.strictEqual(existsSync(`${historyFile}.3`), false);
+      const errors = readItemHistory(historyFile, 'a', { keep: 2 }).map((e) => e.error);
+      assert.deepStrictEqual(errors, ['attempt 2', 'attempt 3', 'attempt 4']);
+    });
+  });
+
+  describe('createHistoryRecorder', () => {
+    test('records item events and ignores events without an item', async () => {
+      const { createHistoryRecorder, readItemHistory } = await import('../../service/history.js');
+      const { emitEvent } = await import('../../service/events.js');
+      const recorder = createHistoryRecorder({ path: historyFile });
+
+      emitEvent('poll.started', { source: 's' });
+      emitEvent('item.fetched', { source: 's', itemId: 'x' });
+      emitEvent('item.evaluated', { source: 's', itemId: 'x', ready: false, reason: 'missing label' });
+      emitEvent('item.deduped', { source: 's', itemId: 'x', duplicateOf: 'y' });
+      emitEvent('item.reprocessed', { source: 's', itemId: 'x', trigger: 'state', detail: 'closed -> open' });
+      emitEvent('session.created', { source: 's', itemId: 'x', sessionId: 'ses_1', directory: '/w' });
+      emitEvent('error', { source: 's', itemId: 'x', stage: 'session', message: 'boom' });
+      emitEvent('session.finished', { source: 's', itemId: 'x', sessionId: 'ses_1', result: 'idle', durationMs: 90000, error: null });
+      emitEvent('item.written_back', { source: 's', itemId: 'x', sessionId: 'ses_1', actions: ['comment'] });
+      recorder.stop();
+      emitEvent('item.cleared', { itemId: 'x', via: 'api' });
+
+      const entries = readItemHistory(historyFile, 'x');
+      assert.deepStrictEqual(entries.map((e) => e.action), [
+        'fetched', 'not_ready', 'deduped', 'reprocessed', 'session_created', 'failed', 'session_finished',
+        'written_back',
+      ]);
+      assert.strictEqual(entries[1].reason, 'missing label');
+      assert.strictEqual(entries[2].duplicateOf, 'y');
+      assert.strictEqual(entries[3].trigger, 'state');
+      assert.strictEqual(entries[4].sessionId, 'ses_1');
+      assert.strictEqual(entries[5].error, 'boom');
+      assert.strictEqual(entries[6].result, 'idle');
+      assert.strictEqual(entries[6].durationMs, 90000);
+      assert.strictEqual('error' in entries[6], false);
+      assert.deepStrictEqual(entries[7].actions, ['comment']);
+      assert.strictEqual(entries[0].source, 's');
+      assert.strictEqual(readFileSync(historyFile, 'utf-8').includes('poll.started'), false);
+    });
+
+    test('records worktree setup results', async () => {
+      const { createHistoryRecorder, readItemHistory } = await import('../../service/history.js');
+      const { emitEvent } = await import('../../service/events.js');
+      const recorder = createHistoryRecorder({ path: historyFile });
+
+      emitEvent('worktree.setup', {
+        itemId: 'x', directory: '/w', success: false, exitCode: 1, durationMs: 2000, output: '$ npm ci\nnpm ERR!',
+      });
+      recorder.stop();
+
+      const [entry] = readItemHistory(historyFile, 'x');
+      assert.strictEqual(entry.action, 'worktree_setup');
+      assert.strictEqual(entry.success, false);
+      assert.strictEqual(entry.exitCode, 1);
+      assert.strictEqual(entry.output, '$ npm ci\nnpm ERR!');
+    });
+
+    test('writes repeated observations only when they change', async () => {
+      const { createHistoryRecorder, readItemHistory } = await import('../../service/history.js');
+      const { emitEvent } = await import('../../service/events.js');
+      const recorder = createHistoryRecorder({ path: historyFile });
+
+      for (let poll = 0; poll < 3; poll++) {
+        emitEvent('item.fetched', { source: 's', itemId: 'x' });
+        emitEvent('item.evaluated', { source: 's', itemId: 'x', ready: false, reason: 'blocked' });
+      }
+      emitEvent('item.evaluated', { source: 's', itemId: 'x', ready: true });
+      emitEvent('session.created', { source: 's', itemId: 'x', sessionId: 'ses_1' });
+      emitEvent('item.fetched', { source: 's', itemId: 'x' });
+      emitEvent('item.evaluated', { source: 's', itemId: 'x', ready: true });
+      recorder.stop();
+
+      assert.deepStrictEqual(readItemHistory(historyFile, 'x').map((e) => e.action), [
+        'fetched', 'not_ready', 'ready', 'session_created', 'ready',
+      ]);
+    });
+
+    test('forgets observations of items that left their source or were closed', async () => {
+      const { createHistoryRecorder, readItemHistory } = await import('../../service/history.js');
+      const { emitEvent } = await import('../../service/events.js');
+      const recorder = createHistoryRecorder({ path: historyFile });
+      const poll = (itemIds) => {
+        emitEvent('poll.started', { source: 's' });
+        for (const itemId of itemIds) emitEvent('item.fetched', { source: 's', itemId });
+        emitEvent('source.fetched', { source: 's', itemCount: itemIds.length });
+      };
+
+      poll(['x', 'y']);
+      poll(['y']);
+      emitEvent('item.closed', { source: 's', itemId: 'y', actions: ['archive'] });
+      // A failed fetch (no source.fetched) forgets nothing
+      emitEvent('poll.started', { source: 's' });
+      poll(['x', 'y']);
+      poll(['x', 'y']);
+      recorder.stop();
+
+      assert.deepStrictEqual(readItemHistory(historyFile, 'x').map((e) => e.action), ['fetched', 'fetched']);
+      assert.deepStrictEqual(readItemHistory(historyFile, 'y').map((e) => e.action), ['fetched', 'closed', 'fetched']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for limits.js - max_active_sessions concurrency limits
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+
+describe('limits.js', () => {
+  describe('getSessionLimits', () => {
+    test('collects global, source and repo limits', async () => {
+      const { getSessionLimits } = await import('../../service/limits.js');
+      const limits = getSessionLimits(6, { name: 'a', max_active_sessions: 3 }, { max_active_sessions: 1 }, 'org/repo');
+
+      assert.deepStrictEqual(limits, { global: 6, source: 3, repo: 1 });
+    });
+
+    test('treats unset limits as unlimited and ignores invalid ones', async (t) => {
+      const { getSessionLimits, hasSessionLimits } = await import('../../service/limits.js');
+      t.mock.method(console, 'warn', () => {});
+
+      const unset = getSessionLimits(null, { name: 'a' }, {}, 'org/repo');
+      assert.deepStrictEqual(unset, { global: null, source: null, repo: null });
+      assert.strictEqual(hasSessionLimits(unset), false);
+
+      const invalid = getSessionLimits(0, { name: 'a', max_active_sessions: 'two' }, {}, 'org/repo');
+      assert.strictEqual(hasSessionLimits(invalid), false);
+      assert.strictEqual(console.warn.mock.callCount(), 2);
+    });
+  });
+
+  describe('countActiveSessions', () => {
+    test('counts busy and retrying pilot sessions by source and repo', async () => {
+      const { countActiveSessions } = await import('../../service/limits.js');
+      const statuses = {
+        ses_1: { type: 'busy' },
+        ses_2: { type: 'retry' },
+        ses_3: { type: 'idle' },
+        ses_mine: { type: 'busy' },
+      };
+      const sessions = [
+        { id: 'i1', sessionId: 'ses_1', source: 'a', repoKey: 'org/one' },
+        { id: 'i2', sessionId: 'ses_2', source: 'b', repoKey: 'org/one' },
+        { id: 'i3', sessionId: 'ses_3', source: 'a', repoKey: 'org/two' },
+        { id: 'i4', sessionId: 'ses_gone', source: 'a', repoKey: 'org/two' },
+        // Stacked PR sharing ses_1
+        { id: 'i5', sessionId: 'ses_1', source: 'a', repoKey: 'org/one' },
+        { id: 'i6', source: 'a' },
+      ];
+
+      assert.deepStrictEqual(countActiveSessions(statuses, sessions), {
+        total: 2,
+        bySource: { a: 1, b: 1 },
+        byRepo: { 'org/one': 2 },
+      });
+    });
+  });
+
+  describe('createSessionSlots', () => {
+    test('holds items once any limit is reached', async () => {
+      const { createSessionSlots } = await import('../../service/limits.js');
+      const slots = createSessionSlots({ total: 1, bySource: { a: 1 }, byRepo: { 'org/one': 1 } });
+      const key = { source: 'a', repo: 'org/one' };
+
+      assert.strictEqual(slots.check({ global: 2, source: null, repo: null }, key), null);
+      assert.match(slots.check({ global: 1, source: null, repo: null }, key), /max_active_sessions reached \(1\/1 active\)/);
+      assert.match(slots.check({ global: null, source: 1, repo: null }, key), /source a \(1\/1/);
+      assert.match(slots.check({ global: null, source: null, repo: 1 }, key), /repo org\/one \(1\/1/);
+      // Other repos still have room
+      assert.strictEqual(slots.check({ global: null, source: null, repo: 1 }, { source: 'a', repo: 'org/two' }), null);
+    });
+
+    test('take() counts sessions started during the poll', async () => {
+      const { createSessionSlots } = await import('../../service/limits.js');
+      const slots = createSessionSlots({ total: 0, bySource: {}, byRepo: {} });
+      const limits = { global: null, source: 2, repo: null };
+      const key = { source: 'a', repo: 'org/one' };
+
+      slots.take(key);
+      assert.strictEqual(slots.check(limits, key), null);
+      slots.take(key);
+      assert.match(slots.check(limits, key), /2\/2 active/);
+    });
+  });
+
+  describe('session rate buckets', () => {
+    const now = new Date('2025-01-01T12:00:00Z');
+
+    test('getRateLimits reads global and per-source limits', async () => {
+      const { getRateLimits } = await import('../../service/limits.js');
+      assert.deepStrictEqual(getRateLimits(20, { name: 'a', max_sessions_per_hour: 5 }), { global: 20, source: 5 });
+      assert.deepStrictEqual(getRateLimits(null, { name: 'a' }), { global: null, source: null });
+    });
+
+    test('a new bucket starts full and allows a burst up to the limit', async () => {
+      const { refillBucket, checkBucket, takeToken } = await import('../../service/limits.js');
+      let bucket = refillBucket(null, 3, now);
+
+      for (let i = 0; i < 3; i++) {
+        assert.strictEqual(checkBucket(bucket, 3).allowed, true);
+        bucket = takeToken(bucket);
+      }
+
+      const check = checkBucket(bucket, 3);
+      assert.strictEqual(check.allowed, false);
+      // One token refills every 20 minutes at 3/hour
+      assert.strictEqual(check.nextAt, '2025-01-01T12:20:00.000Z');
+    });
+
+    test('refills over time up to the limit', async () => {
+      const { refillBucket } = await import('../../service/limits.js');
+      const empty = { tokens: 0, updatedAt: '2025-01-01T11:30:00.000Z' };
+
+      assert.strictEqual(refillBucket(empty, 4, now).tokens, 2);
+      assert.strictEqual(refillBucket(empty, 4, new Date('2025-01-01T20:00:00Z')).tokens, 4);
+      assert.strictEqual(refillBucket(empty, 4, now).updatedAt, now.toISOString());
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Tests for lock.js - exclusive lease on the state directory
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, writeFileSync, existsSync, rmSync, utimesSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { join } from 'path';
+import { tmpdir, hostname } from 'os';
+
+describe('lock.js', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-lock-test-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function writeHolder(holder) {
+    writeFileSync(join(tempDir, 'pilot.lock'), JSON.stringify({ owner: 'other', ...holder }));
+  }
+
+  test('acquires the lock and records the holder', async () => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+
+    const lock = acquireLock({ dir: tempDir });
+    const holder = readLock(tempDir);
+
+    assert.strictEqual(holder.owner, lock.owner);
+    assert.strictEqual(holder.pid, process.pid);
+    assert.strictEqual(holder.hostname, hostname());
+    assert.ok(Date.parse(holder.expiresAt) > Date.now());
+    lock.release();
+  });
+
+  test('refuses a second acquire while held', async () => {
+    const { acquireLock, LockHeldError } = await import('../../service/lock.js');
+
+    const lock = acquireLock({ dir: tempDir });
+    assert.throws(() => acquireLock({ dir: tempDir }), (err) => {
+      assert.ok(err instanceof LockHeldError);
+      assert.strictEqual(err.code, 'LOCK_HELD');
+      assert.strictEqual(err.holder.pid, process.pid);
+      return true;
+    });
+    lock.release();
+  });
+
+  test('release allows the lock to be acquired again', async () => {
+    const { acquireLock } = await import('../../service/lock.js');
+
+    acquireLock({ dir: tempDir }).release();
+
+    assert.strictEqual(existsSync(join(tempDir, 'pilot.lock')), false);
+    acquireLock({ dir: tempDir }).release();
+  });
+
+  test('respects an unexpired lease held on another host', async () => {
+    const { acquireLock } = await import('../../service/lock.js');
+    writeHolder({ pid: 1, hostname: 'other-host', expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    assert.throws(() => acquireLock({ dir: tempDir }), /locked by pid 1 on other-host/);
+  });
+
+  test('takes over an expired lease', async (t) => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+    t.mock.method(console, 'warn', () => {});
+    writeHolder({ pid: 1, hostname: 'other-host', expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const lock = acquireLock({ dir: tempDir });
+
+    assert.strictEqual(readLock(tempDir).owner, lock.owner);
+    lock.release();
+  });
+
+  test('takes over immediately from a dead process on this host', async (t) => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+    t.mock.method(console, 'warn', () => {});
+    const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+    writeHolder({ pid: deadPid, hostname: hostname(), expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    const lock = acquireLock({ dir: tempDir });
+
+    assert.strictEqual(readLock(tempDir).owner, lock.owner);
+    lock.release();
+  });
+
+  test('refuses to take over a stale lock while another process is taking it over', async () => {
+    const { acquireLock, LockHeldError, readLock } = await import('../../service/lock.js');
+    writeHolder({ pid: 1, hostname: 'other-host', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    writeFileSync(join(tempDir, 'pilot.lock.takeover'), '1');
+
+    assert.throws(() => acquireLock({ dir: tempDir }), (err) => {
+      assert.ok(err instanceof LockHeldError);
+      assert.match(err.message, /being taken over by another process/);
+      return true;
+    });
+    assert.strictEqual(readLock(tempDir).owner, 'other', 'the stale lock is left to the other taker');
+  });
+
+  test('removes a takeover guard abandoned for longer than a lease', async (t) => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+    t.mock.method(console, 'warn', () => {});
+    writeHolder({ pid: 1, hostname: 'other-host', expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const guard = join(tempDir, 'pilot.lock.takeover');
+    writeFileSync(guard, '1');
+    const old = new Date(Date.now() - 120000);
+    utimesSync(guard, old, old);
+
+    const lock = acquireLock({ dir: tempDir });
+
+    assert.strictEqual(readLock(tempDir).owner, lock.owner);
+    assert.strictEqual(existsSync(guard), false);
+    lock.release();
+  });
+
+  test('renew extends the lease', async () => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+    const lock = acquireLock({ dir: tempDir, leaseMs: 5000 });
+    writeHolder({ ...readLock(tempDir), owner: lock.owner, expiresAt: new Date(Date.now() + 10).toISOString() });
+
+    assert.strictEqual(lock.renew(), true);
+    assert.ok(Date.parse(readLock(tempDir).expiresAt) > Date.now() + 1000);
+    lock.release();
+  });
+
+  test('renew reports a lost lock and release leaves the new holder alone', async (t) => {
+    const { acquireLock, readLock } = await import('../../service/lock.js');
+    t.mock.method(console, 'error', () => {});
+    const lost = [];
+    const lock = acquireLock({ dir: tempDir, onLost: (holder) => lost.push(holder) });
+    writeHolder({ pid: 1, hostname: 'other-host', expiresAt: new Date(Date.now() + 60000).toISOString() });
+
+    assert.strictEqual(lock.renew(), false);
+    assert.strictEqual(lost.length, 1);
+    assert.strictEqual(lost[0].hostname, 'other-host');
+
+    lock.release();
+    assert.strictEqual(readLock(tempDir).owner, 'other');
+  });
+
+  test('renew reports the lock as lost when the lease cannot be written', async (t) => {
+    const { acquireLock } = await import('../../service/lock.js');
+    t.mock.method(console, 'error', () => {});
+    const lost = [];
+    const lock = acquireLock({ dir: tempDir, onLost: (holder) => lost.push(holder) });
+    // writeFileAtomic writes a temp file first; a directory in its place makes that fail
+    mkdirSync(join(tempDir, `pilot.lock.tmp-${process.pid}`));
+
+    assert.strictEqual(lock.renew(), false);
+    assert.deepStrictEqual(lost, [null]);
+    assert.match(console.error.mock.calls[0].arguments[0], /Could not renew lock/);
+    assert.strictEqual(lock.renew(), false, 'stays lost');
+  });
+});
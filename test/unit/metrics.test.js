@@ -0,0 +1,99 @@
+/**
+ * Tests for metrics.js - Prometheus metrics fed by the event bus
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+describe('metrics.js', () => {
+  let metrics = null;
+
+  afterEach(() => {
+    if (metrics) {
+      metrics.stop();
+      metrics = null;
+    }
+  });
+
+  test('counts events per source', async () => {
+    const { createMetrics } = await import('../../service/metrics.js');
+    const { emitEvent } = await import('../../service/events.js');
+    metrics = createMetrics();
+
+    emitEvent('item.fetched', { source: 'reviews', itemId: '1' });
+    emitEvent('item.fetched', { source: 'reviews', itemId: '2' });
+    emitEvent('item.evaluated', { source: 'reviews', itemId: '1', ready: true });
+    emitEvent('item.evaluated', { source: 'reviews', itemId: '2', ready: false });
+    emitEvent('session.created', { source: 'reviews', itemId: '1' });
+    emitEvent('session.reused', { source: 'issues', itemId: '3' });
+    emitEvent('error', { source: 'issues', stage: 'fetch', message: 'down' });
+
+    const text = metrics.render();
+    assert.match(text, /^pilot_items_fetched_total\{source="reviews"\} 2$/m);
+    assert.match(text, /^pilot_items_ready_total\{source="reviews"\} 1$/m);
+    assert.match(text, /^pilot_sessions_created_total\{source="reviews"\} 1$/m);
+    assert.match(text, /^pilot_sessions_reused_total\{source="issues"\} 1$/m);
+    assert.match(text, /^pilot_failures_total\{source="issues",stage="fetch"\} 1$/m);
+    assert.match(text, /^pilot_last_session_timestamp_seconds\{source="reviews"\} \d+/m);
+    assert.match(text, /^# TYPE pilot_items_fetched_total counter$/m);
+  });
+
+  test('renders cumulative histogram buckets', async () => {
+    const { createMetrics } = await import('../../service/metrics.js');
+    const { emitEvent } = await import('../../service/events.js');
+    metrics = createMetrics();
+
+    emitEvent('poll.finished', { source: 'reviews', durationMs: 700 });
+    emitEvent('poll.finished', { source: 'reviews', durationMs: 45000 });
+
+    const text = metrics.render();
+    assert.match(text, /^# TYPE pilot_poll_duration_seconds histogram$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_bucket\{source="reviews",le="0.5"\} 0$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_bucket\{source="reviews",le="1"\} 1$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_bucket\{source="reviews",le="60"\} 2$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_bucket\{source="reviews",le="\+Inf"\} 2$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_sum\{source="reviews"\} 45.7$/m);
+    assert.match(text, /^pilot_poll_duration_seconds_count\{source="reviews"\} 2$/m);
+  });
+
+  test('records session outcomes and durations', async () => {
+    const { createMetrics } = await import('../../service/metrics.js');
+    const { emitEvent } = await import('../../service/events.js');
+    metrics = createMetrics();
+
+    emitEvent('session.finished', { source: 'issues', itemId: '1', result: 'idle', durationMs: 240000 });
+    emitEvent('session.finished', { source: 'issues', itemId: '2', result: 'error', durationMs: 20000 });
+
+    const text = metrics.render();
+    assert.match(text, /^pilot_sessions_finished_total\{source="issues",result="idle"\} 1$/m);
+    assert.match(text, /^pilot_sessions_finished_total\{source="issues",result="error"\} 1$/m);
+    assert.match(text, /^pilot_session_duration_seconds_bucket\{source="issues",le="30"\} 1$/m);
+    assert.match(text, /^pilot_session_duration_seconds_bucket\{source="issues",le="300"\} 2$/m);
+    assert.match(text, /^pilot_session_duration_seconds_sum\{source="issues"\} 260$/m);
+  });
+
+  test('renders state gauges from source status', async () => {
+    const { createMetrics } = await import('../../service/metrics.js');
+    metrics = createMetrics();
+
+    const text = metrics.render([
+      { name: 'reviews', processedCount: 12, circuitOpen: false, paused: false, lastPollAt: '2025-01-01T00:00:00Z' },
+      { name: 'linear "mine"', processedCount: 3, circuitOpen: true, paused: true, lastPollAt: null },
+    ]);
+
+    assert.match(text, /^pilot_processed_items\{source="reviews"\} 12$/m);
+    assert.match(text, /^pilot_circuit_breaker_open\{source="linear \\"mine\\""\} 1$/m);
+    assert.match(text, /^pilot_source_paused\{source="reviews"\} 0$/m);
+    assert.match(text, /^pilot_last_poll_timestamp_seconds\{source="reviews"\} 1735689600$/m);
+  });
+
+  test('stop unsubscribes from events', async () => {
+    const { createMetrics } = await import('../../service/metrics.js');
+    const { emitEvent } = await import('../../service/events.js');
+    metrics = createMetrics();
+    metrics.stop();
+
+    emitEvent('item.fetched', { source: 'after-stop' });
+    assert.doesNotMatch(metrics.render(), /after-stop/);
+  });
+});
@@ -4,10 +4,60 @@
 
 import { test, describe, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
-import { mkdtempSync, writeFileSync, mkdirSync, rmSync, existsSync } from 'fs';
+import { createServer } from 'node:http';
+import { mkdtempSync, writeFileSync, mkdirSync, rmSync, existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 
+/**
+ * Mock OpenCode server recording every request (see test/integration/poll-once.test.js)
+ * Answers discovery as a global server and creates sessions ses_1, ses_2, ...
+ * Session statuses can be changed between polls through `statuses`.
+ */
+function createMockServer() {
+  const mock = { requests: [], statuses: {}, sessionCount: 0, failStatus: false, failCreate: false };
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const request = { method: req.method, path: url.pathname, directory: url.searchParams.get('directory') };
+      mock.requests.push(request);
+      const key = `${req.method} ${url.pathname}`;
+      let status = 200;
+      let result;
+      if (key === 'GET /project/current') {
+        result = { id: 'global', worktree: '/', sandboxes: [], time: { created: 1 } };
+      } else if (key === 'GET /project') {
+        result = [];
+      } else if (key === 'GET /session') {
+        result = [];
+      } else if (key === 'GET /session/status') {
+        [status, result] = mock.failStatus ? [500, { error: 'boom' }] : [200, mock.statuses];
+      } else if (key === 'POST /session') {
+        [status, result] = mock.failCreate
+          ? [500, { error: 'boom' }]
+          : [200, { id: `ses_${++mock.sessionCount}`, directory: request.directory }];
+      } else if (req.method === 'PATCH' || /^POST \/session\/[^/]+\/message$/.test(key)) {
+        result = {};
+      } else {
+        status = 404;
+        result = { error: `No handler for ${key}` };
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    });
+  });
+  mock.created = () => mock.requests.filter((r) => r.method === 'POST' && r.path === '/session');
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      mock.url = `http://127.0.0.1:${server.address().port}`;
+      mock.close = () => new Promise((r) => server.close(r));
+      resolve(mock);
+    });
+  });
+}
+
 describe('poll-service.js', () => {
   let tempDir;
   let configPath;
@@ -170,6 +220,14 @@ sources:
       assert.strictEqual(config.worktree_name, 'pr-{number}');
     });
 
+    test('includes checkout from source config', async () => {
+      const { buildActionConfigFromSource } = await import('../../service/poll-service.js');
+
+      const config = buildActionConfigFromSource({ name: 'test-source', checkout: 'pr_head' }, { path: '~/code/default' });
+
+      assert.strictEqual(config.checkout, 'pr_head');
+    });
+
     test('worktree_name from source overrides repoConfig', async () => {
       const { buildActionConfigFromSource } = await import('../../service/poll-service.js');
       
@@ -481,4 +539,340 @@ sources:
         'defaults model should be used when neither source nor repo sets model');
     });
   });
+
+  describe('triggerPoll', () => {
+    test('rejects unknown source names with UNKNOWN_SOURCE', async () => {
+      writeFileSync(configPath, `
+sources:
+  - name: my-issues
+    tool:
+      command: ["echo", "[]"]
+`);
+
+      const { triggerPoll } = await import('../../service/poll-service.js');
+
+      await assert.rejects(
+        triggerPoll({ configPath, sourceName: 'nope' }),
+        (err) => err.code === 'UNKNOWN_SOURCE' && /nope/.test(err.message)
+      );
+    });
+  });
+
+  describe('status getters', () => {
+    test('getItemStatus returns null for unknown items', async () => {
+      const { getItemStatus } = await import('../../service/poll-service.js');
+      assert.strictEqual(getItemStatus('https://example.com/never-seen'), null);
+    });
+
+    test('requeueFailed is a no-op when polling is not running', async () => {
+      const { requeueFailed } = await import('../../service/poll-service.js');
+      assert.deepStrictEqual(requeueFailed(), []);
+    });
+  });
+
+  describe('pollOnce', () => {
+    let server;
+    let projectDir;
+    let itemsFile;
+    let stateDir;
+
+    beforeEach(async () => {
+      server = await createMockServer();
+      projectDir = join(tempDir, 'project');
+      mkdirSync(projectDir);
+      itemsFile = join(tempDir, 'items.json');
+      stateDir = join(tempDir, 'state');
+      setItems([]);
+      mock.method(console, 'log', () => {});
+      mock.method(console, 'warn', () => {});
+      mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+      const { stopPolling } = await import('../../service/poll-service.js');
+      stopPolling();
+      mock.restoreAll();
+      await server.close();
+    });
+
+    function setItems(items) {
+      writeFileSync(itemsFile, JSON.stringify(items));
+    }
+
+    function item(n, extra = {}) {
+      return { id: `https://github.com/myorg/backend/issues/${n}`, number: n, title: `Issue ${n}`, state: 'open', ...extra };
+    }
+
+    /**
+     * Write config with one source reading items.json and start polling
+     * (long startup_delay, so only the pollOnce calls in the test run)
+     * @param {string} [sourceYaml] - Extra source settings, indented by four spaces
+     * @param {string} [topYaml] - Extra top-level settings
+     */
+    async function start(sourceYaml = '', topYaml = '') {
+      writeFileSync(configPath, `
+startup_delay: 3600000
+servers: ["${server.url}"]
+state:
+  dir: ${stateDir}
+${topYaml}
+sources:
+  - name: issues
+    interval: 1h
+    tool:
+      command: "cat ${itemsFile}"
+    working_dir: ${projectDir}
+${sourceYaml}
+`);
+      const { startPolling } = await import('../../service/poll-service.js');
+      return startPolling({ configPath });
+    }
+
+    async function poll(options = {}) {
+      const { pollOnce } = await import('../../service/poll-service.js');
+      return pollOnce({ configPath, ...options });
+    }
+
+    async function sourceStatus() {
+      const { getSourcesStatus } = await import('../../service/poll-service.js');
+      return getSourcesStatus().find((source) => source.name === 'issues');
+    }
+
+    test('starts a session for each ready item once', async () => {
+      await start();
+      setItems([item(1), item(2)]);
+
+      const first = await poll();
+      const second = await poll();
+
+      assert.deepStrictEqual(first.map((r) => r.success), [true, true]);
+      assert.deepStrictEqual(second, []);
+      assert.strictEqual(server.created().length, 2);
+      assert.ok(server.created().every((r) => r.directory === projectDir));
+    });
+
+    test('backs off a failing source and opens the circuit after threshold failures', async () => {
+      const calls = join(tempDir, 'calls.log');
+      await start(`    backoff: { base: 1h, max: 2h, threshold: 2, cooldown: 2h }`);
+      writeFileSync(configPath, readFileSync(configPath, 'utf-8')
+        .replace(`command: "cat ${itemsFile}"`, `command: "echo x >> ${calls}; exit 1"`));
+      const callCount = () => (existsSync(calls) ? readFileSync(calls, 'utf-8').split('\n').filter(Boolean).length : 0);
+
+      await poll();
+      let status = await sourceStatus();
+      assert.strictEqual(status.failures, 1);
+      assert.strictEqual(status.circuitOpen, false);
+      assert.ok(new Date(status.nextRetryAt) > new Date(Date.now() + 20 * 60 * 1000));
+
+      await poll();
+      assert.strictEqual(callCount(), 1, 'skipped while backing off');
+
+      await poll({ force: true });
+      status = await sourceStatus();
+      assert.strictEqual(callCount(), 2);
+      assert.strictEqual(status.failures, 2);
+      assert.strictEqual(status.circuitOpen, true);
+      assert.ok(new Date(status.nextRetryAt) > new Date(Date.now() + 110 * 60 * 1000));
+      assert.match(status.lastError, /CLI command failed/);
+
+      writeFileSync(configPath, readFileSync(configPath, 'utf-8')
+        .replace(`command: "echo x >> ${calls}; exit 1"`, `command: "cat ${itemsFile}"`));
+      setItems([item(1)]);
+      const results = await poll({ force: true });
+      status = await sourceStatus();
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(status.failures, 0);
+      assert.strictEqual(status.circuitOpen, false);
+    });
+
+    test('holds sessions outside the active window but still records evaluations', async () => {
+      const tomorrow = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'][(new Date().getUTCDay() + 1) % 7];
+      await start(`    active_days: ${tomorrow}\n    timezone: UTC`);
+      setItems([item(1)]);
+
+      const results = await poll();
+
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].held, true);
+      assert.match(results[0].reason, /outside active_days/);
+      assert.strictEqual(server.created().length, 0);
+      const { getReadinessStatus, getItemsStatus } = await import('../../service/poll-service.js');
+      assert.deepStrictEqual(getReadinessStatus('issues').map((e) => [e.itemId, e.ready]), [[item(1).id, true]]);
+      assert.deepStrictEqual(getItemsStatus('issues'), []);
+
+      writeFileSync(configPath, readFileSync(configPath, 'utf-8').replace(`active_days: ${tomorrow}`, ''));
+      const later = await poll();
+      assert.strictEqual(later[0].success, true);
+      assert.strictEqual(server.created().length, 1);
+    });
+
+    test('holds sessions when the active window is invalid', async () => {
+      await start(`    active_hours: "9am-5pm"`);
+      setItems([item(1)]);
+
+      const results = await poll();
+
+      assert.strictEqual(results[0].held, true);
+      assert.match(results[0].reason, /invalid active window: Invalid time '9am'/);
+      assert.strictEqual(server.created().length, 0);
+    });
+
+    test('writes item history to the state directory', async () => {
+      await start();
+      setItems([item(1)]);
+
+      await poll();
+      await poll({ force: true });
+
+      const { readItemHistory } = await import('../../service/history.js');
+      const history = readItemHistory(join(stateDir, 'history.jsonl'), item(1).id);
+      assert.deepStrictEqual(history.map((e) => e.action), ['fetched', 'ready', 'session_created', 'ready']);
+      assert.strictEqual(history[2].sessionId, 'ses_1');
+    });
+
+    test('retries a failed session start and parks the item after max_attempts', async () => {
+      await start(`    max_attempts: 2\n    backoff: { base: 1h, max: 2h }`);
+      setItems([item(1)]);
+      server.failCreate = true;
+      const { getItemStatus, getPoller, requeueFailed } = await import('../../service/poll-service.js');
+
+      await poll();
+      let { retry } = getItemStatus(item(1).id);
+      assert.strictEqual(retry.attempts, 1);
+      assert.strictEqual(retry.failed, false);
+      assert.ok(new Date(retry.nextAttemptAt) > new Date());
+
+      await poll({ force: true });
+      assert.strictEqual(server.created().length, 1, 'waits for the next attempt');
+
+      // Make the retry due now
+      getPoller().setRetry(item(1).id, { ...retry, nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+      await poll({ force: true });
+      ({ retry } = getItemStatus(item(1).id));
+      assert.strictEqual(server.created().length, 2);
+      assert.strictEqual(retry.attempts, 2);
+      assert.strictEqual(retry.failed, true);
+
+      await poll({ force: true });
+      assert.strictEqual(server.created().length, 2, 'parked items are not retried');
+      assert.strictEqual((await sourceStatus()).failedCount, 1);
+
+      server.failCreate = false;
+      assert.deepStrictEqual(requeueFailed(), [item(1).id]);
+      const results = await poll({ force: true });
+      assert.strictEqual(results[0].success, true);
+      assert.strictEqual(getItemStatus(item(1).id).retry, null);
+    });
+
+    test('holds items while max_active_sessions are busy, counting unreadable statuses as busy', async () => {
+      await start('', 'max_active_sessions: 1');
+      setItems([item(1)]);
+      await poll();
+
+      server.statuses = { ses_1: { type: 'busy' } };
+      setItems([item(1), item(2)]);
+      let results = await poll({ force: true });
+      assert.strictEqual(results.length, 1);
+      assert.strictEqual(results[0].held, true);
+      assert.match(results[0].reason, /max_active_sessions reached \(1\/1 active\)/);
+      assert.strictEqual(server.created().length, 1);
+
+      server.statuses = { ses_1: { type: 'idle' } };
+      results = await poll({ force: true });
+      assert.strictEqual(results[0].success, true);
+      assert.strictEqual(server.created().length, 2);
+
+      server.failStatus = true;
+      setItems([item(1), item(2), item(3)]);
+      results = await poll({ force: true });
+      assert.strictEqual(results[0].held, true);
+      assert.match(results[0].reason, /max_active_sessions reached/);
+      assert.strictEqual(server.created().length, 2);
+    });
+
+    test('defers items over max_sessions_per_hour and reports when the next session may start', async () => {
+      await start(`    max_sessions_per_hour: 1`);
+      setItems([item(1), item(2)]);
+
+      const results = await poll();
+
+      assert.strictEqual(results[0].success, true);
+      assert.strictEqual(results[1].held, true);
+      assert.strictEqual(results[1].deferred, true);
+      assert.match(results[1].reason, /max_sessions_per_hour reached for source issues \(1\/hour\)/);
+      assert.strictEqual(server.created().length, 1);
+      const status = await sourceStatus();
+      assert.strictEqual(status.deferredCount, 1);
+      assert.ok(new Date(status.nextSessionAt) > new Date(Date.now() + 50 * 60 * 1000));
+
+      const later = await poll({ force: true });
+      assert.strictEqual(later[0].deferred, true);
+      assert.strictEqual(server.created().length, 1, 'still deferred within the hour');
+    });
+
+    test('applies on_item_closed once an item leaves its source, but not when the fetch fails', async () => {
+      await start(`    on_item_closed: [archive]`);
+      const ticket = { id: 'linear:ENG-1', title: 'Ticket', state: 'open' };
+      setItems([ticket]);
+      await poll();
+      const { onEvent } = await import('../../service/events.js');
+      const closed = [];
+      const unsubscribe = onEvent((event) => event.type === 'item.closed' && closed.push(event));
+      // Session creation also PATCHes the session, so count from here
+      const patched = server.requests.filter((r) => r.method === 'PATCH').length;
+      const archives = () => server.requests.filter((r) => r.method === 'PATCH' && r.path === '/session/ses_1').length - patched;
+
+      try {
+        const config = readFileSync(configPath, 'utf-8');
+        writeFileSync(configPath, config.replace(`command: "cat ${itemsFile}"`, 'command: "exit 1"'));
+        await poll({ force: true });
+        writeFileSync(configPath, config);
+        assert.strictEqual(archives(), 0, 'a failed fetch closes nothing');
+
+        setItems([]);
+        await poll({ force: true });
+        assert.strictEqual(archives(), 1);
+        assert.deepStrictEqual(closed.map((e) => [e.itemId, e.sessionId, e.actions]), [[ticket.id, 'ses_1', ['archive']]]);
+      } finally {
+        unsubscribe();
+      }
+    });
+
+    test('retries on_item_closed on the next poll when the session status cannot be read', async () => {
+      await start(`    on_item_closed: [abort, archive]`);
+      setItems([{ id: 'linear:ENG-1', title: 'Ticket', state: 'open' }]);
+      await poll();
+      const patched = server.requests.filter((r) => r.method === 'PATCH').length;
+      const archives = () => server.requests.filter((r) => r.method === 'PATCH' && r.path === '/session/ses_1').length - patched;
+
+      setItems([]);
+      server.failStatus = true;
+      await poll({ force: true });
+      assert.strictEqual(archives(), 0, 'nothing is done on an unknown session status');
+
+      server.failStatus = false;
+      await poll({ force: true });
+      assert.strictEqual(archives(), 1);
+
+      await poll({ force: true });
+      assert.strictEqual(archives(), 1, 'not retried once done');
+    });
+
+    test('does not reuse a removed directory when an item comes back', async () => {
+      await start();
+      setItems([item(1)]);
+      await poll();
+      const { getPoller } = await import('../../service/poll-service.js');
+      getPoller().updateProcessedMeta(item(1).id, { directory: join(tempDir, 'removed-worktree') });
+
+      setItems([]);
+      await poll({ force: true });
+      setItems([item(1)]);
+      const results = await poll({ force: true });
+
+      assert.strictEqual(results[0].success, true);
+      assert.strictEqual(server.created().length, 2);
+      assert.strictEqual(server.created()[1].directory, projectDir);
+    });
+  });
 });
@@ -4,7 +4,7 @@
 
 import { test, describe, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert';
-import { mkdtempSync, writeFileSync, mkdirSync, rmSync } from 'fs';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, mkdirSync, rmSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 
@@ -192,10 +192,238 @@ describe('poller.js', () => {
       poller.markProcessed('item-2', { source: 'test' });
       
       poller.clearProcessed('item-1');
-      
+
       assert.strictEqual(poller.isProcessed('item-1'), false);
       assert.strictEqual(poller.isProcessed('item-2'), true);
     });
+
+    test('refuses to start fresh when state is corrupted', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+
+      writeFileSync(stateFile, '{"processed": {"item-1": ');
+
+      assert.throws(() => createPoller({ stateFile }), { code: 'STATE_CORRUPTED' });
+    });
+
+    test('recovers processed items from backup', async (t) => {
+      const { createPoller } = await import('../../service/poller.js');
+      t.mock.method(console, 'error', () => {});
+
+      const poller1 = createPoller({ stateFile });
+      poller1.markProcessed('item-1');
+      poller1.markProcessed('item-2');
+      writeFileSync(stateFile, 'garbage');
+
+      const poller2 = createPoller({ stateFile });
+      assert.strictEqual(poller2.isProcessed('item-1'), true);
+    });
+
+    test('opens state read-only without migrating or moving files', async (t) => {
+      const { createPoller } = await import('../../service/poller.js');
+      t.mock.method(console, 'error', () => {});
+      t.mock.method(console, 'warn', () => {});
+
+      // Unversioned state from before schema migrations
+      const legacy = JSON.stringify({ processed: { 'item-1': { processedAt: '2026-01-01T00:00:00.000Z' } } });
+      writeFileSync(stateFile, legacy);
+      const poller = createPoller({ stateFile, readOnly: true });
+      assert.strictEqual(poller.isProcessed('item-1'), true);
+      assert.strictEqual(readFileSync(stateFile, 'utf-8'), legacy);
+      assert.throws(() => poller.markProcessed('item-2'), /opened read-only/);
+
+      // Corrupt main file with a good backup: read the backup, leave both in place
+      writeFileSync(`${stateFile}.bak`, legacy);
+      writeFileSync(stateFile, 'garbage');
+      assert.strictEqual(createPoller({ stateFile, readOnly: true }).isProcessed('item-1'), true);
+      assert.strictEqual(readFileSync(stateFile, 'utf-8'), 'garbage');
+      assert.deepStrictEqual(readdirSync(tempDir).sort(), ['poll-state.json', 'poll-state.json.bak']);
+    });
+
+    test('supports the jsonl backend', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const journal = join(tempDir, 'poll-state.jsonl');
+
+      createPoller({ stateFile: journal, stateBackend: 'jsonl' }).markProcessed('item-1');
+
+      const poller = createPoller({ stateFile: journal, stateBackend: 'jsonl' });
+      assert.strictEqual(poller.isProcessed('item-1'), true);
+      assert.strictEqual(poller.getStateFile(), journal);
+    });
+  });
+
+  describe('source state', () => {
+    test('updateSourceState merges fields and persists', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+
+      const poller1 = createPoller({ stateFile });
+      poller1.updateSourceState('my-issues', { schedule: 'every 5m', nextRunAt: '2025-01-01T00:05:00.000Z' });
+      poller1.updateSourceState('my-issues', { lastRunAt: '2025-01-01T00:00:00.000Z' });
+
+      const poller2 = createPoller({ stateFile });
+      assert.deepStrictEqual(poller2.getSourceState('my-issues'), {
+        schedule: 'every 5m',
+        nextRunAt: '2025-01-01T00:05:00.000Z',
+        lastRunAt: '2025-01-01T00:00:00.000Z',
+      });
+    });
+
+    test('getSourceState returns null for unknown source', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+
+      const poller = createPoller({ stateFile });
+      assert.strictEqual(poller.getSourceState('nope'), null);
+      assert.deepStrictEqual(poller.getSourceStates(), {});
+    });
+
+    test('clearState keeps source state', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+
+      const poller = createPoller({ stateFile });
+      poller.updateSourceState('a', { schedule: 'every 5m' });
+      poller.markProcessed('item-1', { source: 'a' });
+      poller.clearState();
+
+      assert.strictEqual(poller.getProcessedCount(), 0);
+      assert.deepStrictEqual(poller.getSourceState('a'), { schedule: 'every 5m' });
+    });
+  });
+
+  describe('exportState / importState', () => {
+    test('round-trips processed items and dedup keys', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const source = createPoller({ stateFile });
+      source.markProcessed('item-1', { source: 'a', dedupKeys: ['linear:ENG-1'] });
+      source.updateSourceState('a', { paused: true });
+
+      const exported = JSON.parse(JSON.stringify(source.exportState()));
+      const target = createPoller({ stateFile: join(tempDir, 'other.json') });
+      const counts = target.importState(exported);
+
+      assert.deepStrictEqual(counts, { added: 1, updated: 0, unchanged: 0 });
+      assert.strictEqual(target.isProcessed('item-1'), true);
+      assert.strictEqual(target.findProcessedByDedupKey(['linear:ENG-1']), 'item-1');
+      assert.strictEqual(target.getSourceState('a'), null);
+    });
+
+    test('merge keeps newer local entries', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const exported = {
+        format: 'opencode-pilot-state/1',
+        processed: {
+          old: { source: 'a', processedAt: '2025-01-01T00:00:00.000Z', sessionId: 'imported' },
+          newer: { source: 'a', processedAt: '2099-01-01T00:00:00.000Z', sessionId: 'imported' },
+        },
+        dedupKeys: {},
+      };
+      const poller = createPoller({ stateFile });
+      poller.markProcessed('old', { sessionId: 'local' });
+      poller.markProcessed('newer', { sessionId: 'local' });
+      poller.markProcessed('local-only');
+
+      const counts = poller.importState(exported);
+
+      assert.deepStrictEqual(counts, { added: 0, updated: 1, unchanged: 1 });
+      assert.strictEqual(poller.getProcessedMeta('old').sessionId, 'local');
+      assert.strictEqual(poller.getProcessedMeta('newer').sessionId, 'imported');
+      assert.strictEqual(poller.isProcessed('local-only'), true);
+    });
+
+    test('replace drops local entries and persists', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.markProcessed('local-only', { dedupKeys: ['k'] });
+
+      poller.importState({ format: 'opencode-pilot-state/1', processed: { imported: { source: 'a' } } }, { replace: true });
+
+      const reloaded = createPoller({ stateFile });
+      assert.deepStrictEqual(reloaded.getProcessedIds(), ['imported']);
+      assert.strictEqual(reloaded.findProcessedByDedupKey(['k']), null);
+    });
+
+    test('rejects data that is not an export', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+
+      assert.throws(() => poller.importState({ processed: {} }), { code: 'INVALID_STATE_EXPORT' });
+      assert.throws(() => poller.importState(null), { code: 'INVALID_STATE_EXPORT' });
+    });
+  });
+
+  describe('retry queue', () => {
+    test('persists retry entries and filters them by source', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.setRetry('item-1', { source: 'a', attempts: 1, lastError: 'boom', nextAttemptAt: '2099-01-01T00:00:00.000Z', failed: false });
+      poller.setRetry('item-2', { source: 'b', attempts: 3, lastError: 'boom', nextAttemptAt: null, failed: true });
+
+      const reloaded = createPoller({ stateFile });
+      assert.strictEqual(reloaded.getRetry('item-1').attempts, 1);
+      assert.deepStrictEqual(reloaded.getRetries('b').map((r) => r.id), ['item-2']);
+      assert.strictEqual(reloaded.getRetries().length, 2);
+    });
+
+    test('clearRetry and markProcessed drop the entry', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.setRetry('item-1', { source: 'a', attempts: 1, failed: false });
+      poller.setRetry('item-2', { source: 'a', attempts: 3, failed: true });
+
+      assert.strictEqual(poller.clearRetry('item-2'), true);
+      assert.strictEqual(poller.clearRetry('item-2'), false);
+      poller.markProcessed('item-1', { source: 'a' });
+
+      assert.deepStrictEqual(createPoller({ stateFile }).getRetries(), []);
+    });
+
+    test('clearBySource removes retries for the source', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.setRetry('item-1', { source: 'a', attempts: 3, failed: true });
+      poller.setRetry('item-2', { source: 'b', attempts: 3, failed: true });
+
+      poller.clearBySource('a');
+
+      assert.deepStrictEqual(poller.getRetries().map((r) => r.id), ['item-2']);
+    });
+  });
+
+  describe('worktree registry', () => {
+    test('persists worktrees with their setup outcome', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.recordWorktree('/w/issue-1', { itemId: 'item-1', source: 'a', name: 'issue-1' });
+
+      assert.strictEqual(poller.recordWorktreeSetup('/w/issue-1', {
+        success: false, exitCode: 1, durationMs: 500, output: 'npm ERR!', error: 'npm ci exited with 1',
+      }), true);
+      assert.strictEqual(poller.recordWorktreeSetup('/w/other', { success: true }), false);
+
+      const [worktree] = createPoller({ stateFile }).getWorktrees();
+      assert.strictEqual(worktree.directory, '/w/issue-1');
+      assert.strictEqual(worktree.setup.success, false);
+      assert.strictEqual(worktree.setup.exitCode, 1);
+      assert.strictEqual(worktree.setup.error, 'npm ci exited with 1');
+      assert.ok(worktree.setup.at);
+    });
+  });
+
+  describe('getProcessedItems', () => {
+    test('returns entries with metadata, optionally filtered by source', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+
+      const poller = createPoller({ stateFile });
+      poller.markProcessed('item-1', { source: 'a', sessionId: 'ses_1' });
+      poller.markProcessed('item-2', { source: 'b' });
+
+      const all = poller.getProcessedItems();
+      assert.deepStrictEqual(all.map((entry) => entry.id).sort(), ['item-1', 'item-2']);
+
+      const fromA = poller.getProcessedItems('a');
+      assert.strictEqual(fromA.length, 1);
+      assert.strictEqual(fromA[0].id, 'item-1');
+      assert.strictEqual(fromA[0].sessionId, 'ses_1');
+      assert.ok(fromA[0].processedAt, 'should include processedAt');
+    });
   });
 
   describe('cleanup methods', () => {
@@ -688,6 +916,22 @@ describe('poller.js', () => {
       );
     });
 
+    test('getReprocessReason reports which trigger fired', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      const poller = createPoller({ stateFile });
+      poller.markProcessed('issue-1', { itemState: 'closed', itemUpdatedAt: '2025-01-01T00:00:00Z' });
+
+      assert.deepStrictEqual(
+        poller.getReprocessReason({ id: 'issue-1', state: 'open' }),
+        { trigger: 'state', detail: 'closed -> open' }
+      );
+      assert.strictEqual(
+        poller.getReprocessReason({ id: 'issue-1', state: 'closed', updated_at: '2025-01-02T00:00:00Z' }, { reprocessOn: ['updated_at'] }).trigger,
+        'updated_at'
+      );
+      assert.strictEqual(poller.getReprocessReason({ id: 'issue-1', state: 'closed' }), null);
+    });
+
     test('shouldReprocess respects reprocessOn config', async () => {
       const { createPoller } = await import('../../service/poller.js');
       
@@ -812,6 +1056,20 @@ describe('poller.js', () => {
       // (The flag gets cleared when shouldReprocess triggers reprocessing)
     });
 
+    test('markUnseen returns items that just went missing', async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      
+      const poller = createPoller({ stateFile });
+      poller.markProcessed('item-1', { source: 'test' });
+      poller.markProcessed('item-2', { source: 'test' });
+      poller.markProcessed('other-1', { source: 'other' });
+      
+      assert.deepStrictEqual(poller.markUnseen('test', ['item-1', 'item-2']), []);
+      assert.deepStrictEqual(poller.markUnseen('test', ['item-1']), ['item-2']);
+      // Still missing: reported only once
+      assert.deepStrictEqual(poller.markUnseen('test', ['item-1']), []);
+    });
+
     test('shouldReprocess returns true when attention changes from false to true', async () => {
       const { createPoller } = await import('../../service/poller.js');
       
@@ -1031,6 +1289,17 @@ describe('poller.js', () => {
       
       assert.throws(() => getToolConfig(source), /tool configuration/);
     });
+
+    test('rejects when CLI command fails', async () => {
+      const { pollGenericSource } = await import('../../service/poller.js');
+      
+      const source = {
+        name: 'failing-cli',
+        tool: { command: ['sh', '-c', 'echo "not logged in" >&2; exit 1'] }
+      };
+      
+      await assert.rejects(pollGenericSource(source), /CLI command failed/);
+    });
   });
 
   describe('transformItems', () => {
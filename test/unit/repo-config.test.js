@@ -1148,4 +1148,59 @@ sources: []
       assert.strictEqual(ttlDays, 30);
     });
   });
+
+  describe('servers config', () => {
+    test('getServers returns configured URLs without trailing slashes', async () => {
+      writeFileSync(configPath, `
+servers:
+  - http://localhost:4096/
+  - " http://devbox.internal:4096 "
+  - 4097
+
+sources: []
+`);
+
+      const { loadRepoConfig, getServers } = await import('../../service/repo-config.js');
+      loadRepoConfig(configPath);
+
+      assert.deepStrictEqual(getServers(), ['http://localhost:4096', 'http://devbox.internal:4096']);
+    });
+  });
+
+  describe('server autostart config', () => {
+    test('getServerAutostartConfig returns null unless autostart is on', async () => {
+      writeFileSync(configPath, `
+server:
+  port: 4097
+
+sources: []
+`);
+
+      const { loadRepoConfig, getServerAutostartConfig } = await import('../../service/repo-config.js');
+      loadRepoConfig(configPath);
+
+      assert.strictEqual(getServerAutostartConfig(), null);
+    });
+
+    test('getServerAutostartConfig defaults the port to server_port', async () => {
+      writeFileSync(configPath, `
+server_port: 4100
+server:
+  autostart: true
+  idle_timeout: 1h
+
+sources: []
+`);
+
+      const { loadRepoConfig, getServerAutostartConfig } = await import('../../service/repo-config.js');
+      loadRepoConfig(configPath);
+
+      assert.deepStrictEqual(getServerAutostartConfig(), {
+        port: 4100,
+        idleTimeout: '1h',
+        startupTimeout: null,
+        command: 'opencode',
+      });
+    });
+  });
 });
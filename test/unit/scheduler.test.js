@@ -0,0 +1,340 @@
+/**
+ * Tests for scheduler.js - per-source poll scheduling
+ */
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert';
+
+describe('scheduler.js', () => {
+  describe('parseDuration', () => {
+    test('treats numbers as milliseconds', async () => {
+      const { parseDuration } = await import('../../service/scheduler.js');
+      assert.strictEqual(parseDuration(30000), 30000);
+    });
+
+    test('parses unit suffixes', async () => {
+      const { parseDuration } = await import('../../service/scheduler.js');
+      assert.strictEqual(parseDuration('500ms'), 500);
+      assert.strictEqual(parseDuration('30s'), 30000);
+      assert.strictEqual(parseDuration('5m'), 300000);
+      assert.strictEqual(parseDuration('1h'), 3600000);
+      assert.strictEqual(parseDuration('1d'), 86400000);
+      assert.strictEqual(parseDuration('1.5m'), 90000);
+    });
+
+    test('returns null for invalid values', async () => {
+      const { parseDuration } = await import('../../service/scheduler.js');
+      assert.strictEqual(parseDuration('soon'), null);
+      assert.strictEqual(parseDuration('5 minutes'), null);
+      assert.strictEqual(parseDuration(-1), null);
+      assert.strictEqual(parseDuration(null), null);
+    });
+  });
+
+  describe('parseCron', () => {
+    test('parses wildcards, lists, ranges and steps', async () => {
+      const { parseCron } = await import('../../service/scheduler.js');
+      const cron = parseCron('*/15 9-17 1,15 * *');
+
+      assert.deepStrictEqual([...cron.minute], [0, 15, 30, 45]);
+      assert.deepStrictEqual([...cron.hour], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+      assert.deepStrictEqual([...cron.dayOfMonth], [1, 15]);
+      assert.strictEqual(cron.month.size, 12);
+    });
+
+    test('accepts day and month names and normalizes Sunday', async () => {
+      const { parseCron } = await import('../../service/scheduler.js');
+      const cron = parseCron('0 9 * jan-mar mon-fri,7');
+
+      assert.deepStrictEqual([...cron.month], [1, 2, 3]);
+      assert.ok(cron.dayOfWeek.has(0), 'Sunday (7) should normalize to 0');
+      assert.ok(!cron.dayOfWeek.has(7));
+      assert.ok(cron.dayOfWeek.has(1) && cron.dayOfWeek.has(5));
+    });
+
+    test('throws for wrong field count', async () => {
+      const { parseCron } = await import('../../service/scheduler.js');
+      assert.throws(() => parseCron('* * *'), /5 fields/);
+    });
+
+    test('throws for out-of-range values', async () => {
+      const { parseCron } = await import('../../service/scheduler.js');
+      assert.throws(() => parseCron('60 * * * *'), /out of range/);
+      assert.throws(() => parseCron('* 24 * * *'), /out of range/);
+    });
+  });
+
+  describe('getNextCronTime', () => {
+    test('finds next matching minute', async () => {
+      const { getNextCronTime } = await import('../../service/scheduler.js');
+      const from = new Date(2025, 0, 6, 10, 7, 30); // Mon Jan 6 2025 10:07:30
+      const next = getNextCronTime('*/15 * * * *', from);
+
+      assert.strictEqual(next.getHours(), 10);
+      assert.strictEqual(next.getMinutes(), 15);
+      assert.strictEqual(next.getSeconds(), 0);
+    });
+
+    test('is strictly after the reference time', async () => {
+      const { getNextCronTime } = await import('../../service/scheduler.js');
+      const from = new Date(2025, 0, 6, 10, 15, 0);
+      const next = getNextCronTime('*/15 * * * *', from);
+
+      assert.strictEqual(next.getMinutes(), 30);
+    });
+
+    test('skips to next weekday', async () => {
+      const { getNextCronTime } = await import('../../service/scheduler.js');
+      const from = new Date(2025, 0, 10, 18, 0, 0); // Fri Jan 10 2025 18:00
+      const next = getNextCronTime('0 9 * * mon-fri', from);
+
+      assert.strictEqual(next.getDate(), 13); // Mon Jan 13
+      assert.strictEqual(next.getHours(), 9);
+      assert.strictEqual(next.getMinutes(), 0);
+    });
+
+    test('matches day-of-month OR day-of-week when both are restricted', async () => {
+      const { getNextCronTime } = await import('../../service/scheduler.js');
+      const from = new Date(2025, 0, 1, 12, 0, 0); // Wed Jan 1 2025
+      // 15th of the month OR Fridays -> Fri Jan 3 comes first
+      const next = getNextCronTime('0 8 15 * fri', from);
+
+      assert.strictEqual(next.getDate(), 3);
+    });
+  });
+
+  describe('getSourceTiming', () => {
+    test('uses default interval when nothing configured', async () => {
+      const { getSourceTiming } = await import('../../service/scheduler.js');
+      const timing = getSourceTiming({ name: 'a' }, 60000);
+
+      assert.deepStrictEqual(timing, { type: 'interval', interval: 60000 });
+    });
+
+    test('parses interval strings', async () => {
+      const { getSourceTiming } = await import('../../service/scheduler.js');
+      const timing = getSourceTiming({ name: 'a', interval: '2m' });
+
+      assert.deepStrictEqual(timing, { type: 'interval', interval: 120000 });
+    });
+
+    test('clamps intervals below the minimum', async (t) => {
+      const { getSourceTiming, MIN_POLL_INTERVAL } = await import('../../service/scheduler.js');
+      t.mock.method(console, 'warn', () => {});
+      const timing = getSourceTiming({ name: 'a', interval: 60 });
+
+      assert.strictEqual(timing.interval, MIN_POLL_INTERVAL);
+    });
+
+    test('schedule takes precedence over interval', async () => {
+      const { getSourceTiming } = await import('../../service/scheduler.js');
+      const timing = getSourceTiming({ name: 'a', interval: '1m', schedule: '0 * * * *' });
+
+      assert.strictEqual(timing.type, 'schedule');
+      assert.strictEqual(timing.expression, '0 * * * *');
+    });
+
+    test('throws for invalid interval', async () => {
+      const { getSourceTiming } = await import('../../service/scheduler.js');
+      assert.throws(() => getSourceTiming({ name: 'a', interval: 'often' }), /Invalid interval/);
+    });
+  });
+
+  describe('describeTiming', () => {
+    test('describes intervals and schedules', async () => {
+      const { describeTiming } = await import('../../service/scheduler.js');
+
+      assert.strictEqual(describeTiming({ type: 'interval', interval: 300000 }), 'every 5m');
+      assert.strictEqual(describeTiming({ type: 'interval', interval: 7200000 }), 'every 2h');
+      assert.strictEqual(describeTiming({ type: 'interval', interval: 45000 }), 'every 45s');
+      assert.strictEqual(describeTiming({ type: 'schedule', expression: '0 9 * * *' }), 'schedule "0 9 * * *"');
+    });
+  });
+
+  describe('createScheduler', () => {
+    let scheduler = null;
+
+    afterEach(() => {
+      if (scheduler) {
+        scheduler.stop();
+        scheduler = null;
+      }
+    });
+
+    test('runs each source independently and re-arms after each run', async () => {
+      const { createScheduler } = await import('../../service/scheduler.js');
+      const runs = [];
+
+      scheduler = createScheduler({
+        sources: [{ name: 'fast' }, { name: 'slow', schedule: '0 0 1 1 *' }],
+        defaultInterval: 20,
+        runSource: async (name) => { runs.push(name); },
+      });
+      scheduler.start();
+
+      await new Promise((resolve) => setTimeout(resolve, 110));
+      scheduler.stop();
+
+      assert.ok(runs.filter((n) => n === 'fast').length >= 2, 'fast source should run repeatedly');
+      assert.ok(!runs.includes('slow'), 'scheduled source should wait for its cron time');
+    });
+
+    test('does not overlap runs of the same source', async () => {
+      const { createScheduler } = await import('../../service/scheduler.js');
+      let active = 0;
+      let maxActive = 0;
+
+      scheduler = createScheduler({
+        sources: [{ name: 'slow-fetch' }],
+        defaultInterval: 5,
+        runSource: async () => {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await new Promise((resolve) => setTimeout(resolve, 30));
+          active--;
+        },
+      });
+      scheduler.start();
+
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      scheduler.stop();
+
+      assert.strictEqual(maxActive, 1);
+    });
+
+    test('getSchedule reports next run time and calls onSchedule', async () => {
+      const { createScheduler } = await import('../../service/scheduler.js');
+      const scheduled = [];
+
+      scheduler = createScheduler({
+        sources: [{ name: 'a', interval: '10m' }],
+        initialDelay: 60000,
+        runSource: async () => {},
+        onSchedule: (name, entry) => scheduled.push({ name, entry }),
+      });
+      const before = Date.now();
+      scheduler.start();
+
+      const [entry] = scheduler.getSchedule();
+      assert.strictEqual(entry.name, 'a');
+      assert.strictEqual(entry.interval, 600000);
+      assert.strictEqual(entry.description, 'every 10m');
+      assert.ok(new Date(entry.nextRunAt).getTime() >= before + 60000);
+      assert.strictEqual(scheduled.length, 1);
+      assert.strictEqual(scheduled[0].name, 'a');
+    });
+
+    test('skips sources with invalid timing', async (t) => {
+      const { createScheduler } = await import('../../service/scheduler.js');
+      t.mock.method(console, 'error', () => {});
+
+      scheduler = createScheduler({
+        sources: [{ name: 'bad', schedule: 'not a cron' }, { name: 'good' }],
+        runSource: async () => {},
+      });
+
+      assert.deepStrictEqual(scheduler.getSchedule().map((e) => e.name), ['good']);
+    });
+
+    test('stop clears pending runs', async () => {
+      const { createScheduler } = await import('../../service/scheduler.js');
+      const runs = [];
+
+      scheduler = createScheduler({
+        sources: [{ name: 'a' }],
+        initialDelay: 20,
+        runSource: async (name) => { runs.push(name); },
+      });
+      scheduler.start();
+      scheduler.stop();
+
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.strictEqual(runs.length, 0);
+      assert.strictEqual(scheduler.getSchedule()[0].nextRunAt, null);
+    });
+  });
+
+  describe('createRunGuard', () => {
+    test('runs cycles one at a time', async () => {
+      const { createRunGuard } = await import('../../service/scheduler.js');
+      const guard = createRunGuard();
+      let active = 0;
+      let maxActive = 0;
+      const cycle = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        active--;
+      };
+
+      await Promise.all([guard.run('a', cycle), guard.run('b', cycle), guard.run('c', cycle)]);
+
+      assert.strictEqual(maxActive, 1);
+      assert.strictEqual(guard.isRunning(), false);
+    });
+
+    test('joins a cycle with the same key that is still queued', async () => {
+      const { createRunGuard } = await import('../../service/scheduler.js');
+      const guard = createRunGuard();
+      let runs = 0;
+      const cycle = async () => {
+        runs++;
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        return runs;
+      };
+
+      const first = guard.run('a', cycle);   // starts on next tick
+      const second = guard.run('a', cycle);  // still queued -> joins first
+      assert.strictEqual(first, second);
+      await first;
+
+      assert.strictEqual(runs, 1);
+    });
+
+    test('merges options of callers that join a queued cycle', async () => {
+      const { createRunGuard } = await import('../../service/scheduler.js');
+      const guard = createRunGuard();
+      const seen = [];
+      const cycle = async (options) => { seen.push(options); };
+
+      const first = guard.run('a', cycle, { force: false });
+      const second = guard.run('a', cycle, { force: true });
+      const third = guard.run('a', cycle, { force: false });
+      await Promise.all([first, second, third]);
+
+      assert.deepStrictEqual(seen, [{ force: true }]);
+    });
+
+    test('queues one follow-up behind a running cycle with the same key', async () => {
+      const { createRunGuard } = await import('../../service/scheduler.js');
+      const guard = createRunGuard();
+      let runs = 0;
+      const cycle = async () => {
+        runs++;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      };
+
+      const first = guard.run('a', cycle);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      assert.strictEqual(guard.getRunningKey(), 'a');
+
+      const second = guard.run('a', cycle);
+      const third = guard.run('a', cycle);
+      assert.strictEqual(second, third);
+      await Promise.all([first, second]);
+
+      assert.strictEqual(runs, 2);
+    });
+
+    test('keeps running later cycles after one fails', async () => {
+      const { createRunGuard } = await import('../../service/scheduler.js');
+      const guard = createRunGuard();
+
+      const failed = guard.run('a', async () => { throw new Error('boom'); });
+      const next = guard.run('b', async () => 'ok');
+
+      await assert.rejects(failed, /boom/);
+      assert.strictEqual(await next, 'ok');
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for server-autostart.js - starting a headless OpenCode server on demand
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { EventEmitter } from 'events';
+
+const PROJECT = { id: 'proj_1', worktree: '/code/backend', time: { created: 1 } };
+
+/**
+ * Fake `opencode serve`: becomes healthy after a number of health checks
+ */
+function createFakeServer({ healthyAfter = 1, exitWith = null, statuses = {} } = {}) {
+  const server = { spawned: [], killed: [], healthChecks: 0, statuses, running: false };
+  server.spawn = (command, args, options) => {
+    const proc = new EventEmitter();
+    proc.pid = 4242;
+    proc.stdout = new EventEmitter();
+    proc.stderr = new EventEmitter();
+    proc.kill = (signal) => {
+      server.killed.push(signal);
+      server.running = false;
+      setImmediate(() => proc.emit('exit', null, signal));
+    };
+    server.spawned.push({ command, args, cwd: options.cwd });
+    server.running = !exitWith;
+    if (exitWith) {
+      setImmediate(() => {
+        proc.stderr.emit('data', 'Error: listen EADDRINUSE 127.0.0.1:4096\n');
+        server.running = false;
+        proc.emit('exit', exitWith, null);
+      });
+    }
+    return proc;
+  };
+  server.fetch = async (url) => {
+    const { pathname } = new URL(url);
+    if (!server.running) throw new Error('ECONNREFUSED');
+    if (pathname === '/project/current') {
+      server.healthChecks++;
+      if (server.healthChecks < healthyAfter) throw new Error('ECONNREFUSED');
+      return { ok: true, json: async () => PROJECT };
+    }
+    if (pathname === '/session/status') {
+      return { ok: true, json: async () => server.statuses };
+    }
+    return { ok: false, status: 404 };
+  };
+  return server;
+}
+
+const config = { port: 4096, idleTimeout: '30m', startupTimeout: '5s', command: 'opencode' };
+
+describe('server-autostart.js', () => {
+  test('starts opencode serve in the project and waits until it is healthy', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { createServerAutostart } = await import('../../service/server-autostart.js');
+    const { onEvent } = await import('../../service/events.js');
+    const events = [];
+    const unsubscribe = onEvent((event) => {
+      if (event.type.startsWith('server.')) events.push(event);
+    });
+    const server = createFakeServer({ healthyAfter: 3 });
+    const autostart = createServerAutostart({ config, spawn: server.spawn, fetch: server.fetch });
+
+    const [first, second] = await Promise.all([
+      autostart.ensureServer('/code/backend'),
+      autostart.ensureServer('/code/frontend'),
+    ]);
+
+    assert.strictEqual(first, 'http://localhost:4096');
+    assert.strictEqual(second, 'http://localhost:4096');
+    assert.deepStrictEqual(server.spawned, [{
+      command: 'opencode',
+      args: ['serve', '--port', '4096', '--hostname', '127.0.0.1'],
+      cwd: '/code/backend',
+    }]);
+    assert.strictEqual(autostart.getStatus().running, true);
+    assert.strictEqual(autostart.getStatus().directory, '/code/backend');
+
+    autostart.stop();
+    unsubscribe();
+    assert.deepStrictEqual(server.killed, ['SIGTERM']);
+    assert.deepStrictEqual(events.map((e) => e.type), ['server.started', 'server.stopped']);
+    assert.strictEqual(events[1].reason, 'pilot stopped');
+  });
+
+  test('reports servers that exit during startup and waits before trying again', async (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+    const { createServerAutostart } = await import('../../service/server-autostart.js');
+    const server = createFakeServer({ exitWith: 1 });
+    let clock = 0;
+    const autostart = createServerAutostart({ config, spawn: server.spawn, fetch: server.fetch, now: () => clock });
+
+    assert.strictEqual(await autostart.ensureServer('/code/backend'), null);
+    assert.match(error.mock.calls[0].arguments[0], /exited with 1: Error: listen EADDRINUSE/);
+
+    clock += 30 * 1000;
+    assert.strictEqual(await autostart.ensureServer('/code/backend'), null);
+    assert.strictEqual(server.spawned.length, 1);
+
+    clock += 60 * 1000;
+    await autostart.ensureServer('/code/backend');
+    assert.strictEqual(server.spawned.length, 2);
+  });
+
+  test('stops servers that never become healthy', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { createServerAutostart } = await import('../../service/server-autostart.js');
+    const server = createFakeServer({ healthyAfter: Infinity });
+    const autostart = createServerAutostart({
+      config: { ...config, startupTimeout: 300 },
+      spawn: server.spawn,
+      fetch: server.fetch,
+    });
+
+    assert.strictEqual(await autostart.ensureServer('/code/backend'), null);
+    assert.deepStrictEqual(server.killed, ['SIGTERM']);
+    assert.strictEqual(autostart.getStatus().running, false);
+  });
+
+  test('uses a server already listening on the port without owning it', async () => {
+    const { createServerAutostart } = await import('../../service/server-autostart.js');
+    const server = createFakeServer();
+    server.running = true;
+    const autostart = createServerAutostart({ config, spawn: server.spawn, fetch: server.fetch });
+
+    assert.strictEqual(await autostart.ensureServer('/code/backend'), 'http://localhost:4096');
+    assert.deepStrictEqual(server.spawned, []);
+    autostart.stop();
+    assert.deepStrictEqual(server.killed, []);
+  });
+
+  test('stops the server after idle_timeout without busy sessions', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { createServerAutostart } = await import('../../service/server-autostart.js');
+    const server = createFakeServer({ statuses: { ses_1: { type: 'busy' } } });
+    let clock = 0;
+    const autostart = createServerAutostart({ config, spawn: server.spawn, fetch: server.fetch, now: () => clock });
+    await autostart.ensureServer('/code/backend');
+
+    clock += 60 * 60 * 1000;
+    assert.strictEqual(await autostart.checkIdle(), false, 'busy sessions keep it running');
+
+    server.statuses = { ses_1: { type: 'idle' } };
+    clock += 10 * 60 * 1000;
+    assert.strictEqual(await autostart.checkIdle(), false);
+
+    clock += 20 * 60 * 1000;
+    assert.strictEqual(await autostart.checkIdle(), true);
+    assert.deepStrictEqual(server.killed, ['SIGTERM']);
+    assert.strictEqual(autostart.getStatus().running, false);
+  });
+});
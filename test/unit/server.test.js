@@ -4,8 +4,9 @@
 
 import { test, describe, afterEach } from 'node:test';
 import assert from 'node:assert';
-import { readFileSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, mkdtempSync, rmSync } from 'fs';
 import { join, dirname } from 'path';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -105,6 +106,260 @@ describe('service/server.js', () => {
     });
   });
 
+  describe('poll trigger', () => {
+    test('POST /poll returns 503 when polling is disabled', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        reposConfig: '/nonexistent/config.yaml'
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/poll`, { method: 'POST' });
+      
+      assert.strictEqual(res.status, 503);
+      const data = await res.json();
+      assert.match(data.error, /not enabled/);
+    });
+
+    test('POST /retry returns 503 when polling is disabled', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        reposConfig: '/nonexistent/config.yaml'
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/retry`, { method: 'POST' });
+      
+      assert.strictEqual(res.status, 503);
+    });
+
+    test('POST /worktrees/gc returns 503 when polling is disabled', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        reposConfig: '/nonexistent/config.yaml'
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/worktrees/gc?dry_run=1`, { method: 'POST' });
+      
+      assert.strictEqual(res.status, 503);
+    });
+
+    test('GET /poll is not a route', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false 
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/poll`);
+      
+      assert.strictEqual(res.status, 404);
+    });
+  });
+
+  describe('control API auth', () => {
+    test('requires the bearer token when api_token is configured', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        apiToken: 'secret-token'
+      });
+      
+      const port = service.httpServer.address().port;
+      
+      const missing = await fetch(`http://localhost:${port}/poll`, { method: 'POST' });
+      assert.strictEqual(missing.status, 401);
+      assert.strictEqual(missing.headers.get('www-authenticate'), 'Bearer');
+      
+      const wrong = await fetch(`http://localhost:${port}/sources/a/pause`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer nope' }
+      });
+      assert.strictEqual(wrong.status, 401);
+      
+      // Authorized, but polling is disabled
+      const ok = await fetch(`http://localhost:${port}/items/abc`, {
+        method: 'DELETE',
+        headers: { Authorization: 'Bearer secret-token' }
+      });
+      assert.strictEqual(ok.status, 503);
+    });
+
+    test('without api_token, rejects requests from other origins', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        reposConfig: '/nonexistent/config.yaml'
+      });
+      
+      const port = service.httpServer.address().port;
+      
+      const foreign = await fetch(`http://localhost:${port}/poll`, {
+        method: 'POST',
+        headers: { Origin: 'http://evil.example' }
+      });
+      assert.strictEqual(foreign.status, 403);
+      
+      // Same-origin page and CLI (no Origin) are allowed through to the route
+      const sameOrigin = await fetch(`http://localhost:${port}/poll`, {
+        method: 'POST',
+        headers: { Origin: `http://localhost:${port}` }
+      });
+      assert.strictEqual(sameOrigin.status, 503);
+      
+      const cli = await fetch(`http://localhost:${port}/sources/a/resume`, { method: 'POST' });
+      assert.strictEqual(cli.status, 503);
+    });
+
+    test('requires the token for reads too when api_token is configured', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        apiToken: 'secret-token'
+      });
+      
+      const port = service.httpServer.address().port;
+      
+      for (const path of ['/sources', '/items', '/items/abc', '/readiness', '/worktrees', '/events', '/metrics']) {
+        const res = await fetch(`http://localhost:${port}${path}`);
+        assert.strictEqual(res.status, 401, `${path} should need the token`);
+      }
+      
+      // Authorized, but polling is disabled
+      const sources = await fetch(`http://localhost:${port}/sources`, {
+        headers: { Authorization: 'Bearer secret-token' }
+      });
+      assert.strictEqual(sources.status, 503);
+      
+      const metrics = await fetch(`http://localhost:${port}/metrics`, {
+        headers: { Authorization: 'Bearer secret-token' }
+      });
+      assert.strictEqual(metrics.status, 200);
+      
+      // EventSource can't send headers, so /events also takes ?token=
+      const controller = new AbortController();
+      const events = await fetch(`http://localhost:${port}/events?token=secret-token`, { signal: controller.signal });
+      assert.strictEqual(events.status, 200);
+      controller.abort();
+      
+      const wrongQuery = await fetch(`http://localhost:${port}/sources?token=secret-token`);
+      assert.strictEqual(wrongQuery.status, 401, 'only /events reads the token from the URL');
+      
+      // Health and the dashboard page stay open
+      assert.strictEqual((await fetch(`http://localhost:${port}/health`)).status, 200);
+      assert.strictEqual((await fetch(`http://localhost:${port}/`)).status, 200);
+    });
+  });
+
+  describe('events stream', () => {
+    test('streams published events as SSE and closes on stop', async () => {
+      const { startService, stopService } = await import('../../service/server.js');
+      const { emitEvent } = await import('../../service/events.js');
+      
+      const localService = await startService({ 
+        httpPort: 0,
+        enablePolling: false 
+      });
+      
+      const port = localService.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/events`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'text/event-stream');
+      
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let text = '';
+      
+      emitEvent('poll.started', { source: 'sse-test' });
+      while (!text.includes('sse-test')) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        text += decoder.decode(value);
+      }
+      
+      const dataLine = text.split('\n').find((line) => line.startsWith('data: ') && line.includes('sse-test'));
+      const event = JSON.parse(dataLine.slice('data: '.length));
+      assert.strictEqual(event.type, 'poll.started');
+      assert.strictEqual(event.source, 'sse-test');
+      
+      // Stopping must not hang on the open stream
+      await stopService(localService);
+    });
+  });
+
+  describe('dashboard', () => {
+    test('serves the dashboard page at /', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false 
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/`);
+      
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.headers.get('content-type').startsWith('text/html'));
+      const html = await res.text();
+      assert.ok(html.includes('<title>opencode-pilot</title>'));
+    });
+  });
+
+  describe('metrics endpoint', () => {
+    test('returns Prometheus text format', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false 
+      });
+      
+      const port = service.httpServer.address().port;
+      const res = await fetch(`http://localhost:${port}/metrics`);
+      
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.headers.get('content-type').startsWith('text/plain'));
+      const text = await res.text();
+      assert.match(text, /# TYPE pilot_sessions_created_total counter/);
+    });
+  });
+
+  describe('status API', () => {
+    test('returns 503 for status routes when polling is disabled', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false 
+      });
+      
+      const port = service.httpServer.address().port;
+      for (const path of ['/sources', '/items', '/readiness', '/worktrees', '/items/abc']) {
+        const res = await fetch(`http://localhost:${port}${path}`);
+        assert.strictEqual(res.status, 503, `${path} should be unavailable`);
+      }
+    });
+  });
+
   describe('startService and stopService', () => {
     test('starts and stops cleanly', async () => {
       const { startService, stopService } = await import('../../service/server.js');
@@ -132,6 +387,37 @@ describe('service/server.js', () => {
       }
     });
 
+    test('listens on loopback only by default', async () => {
+      const { startService } = await import('../../service/server.js');
+      
+      service = await startService({ 
+        httpPort: 0,
+        enablePolling: false,
+        reposConfig: '/nonexistent/config.yaml'
+      });
+      
+      assert.strictEqual(service.httpServer.address().address, '127.0.0.1');
+    });
+
+    test('listens on the host from config.yaml', async () => {
+      const { startService } = await import('../../service/server.js');
+      const tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-server-host-'));
+      const reposConfig = join(tempDir, 'config.yaml');
+      writeFileSync(reposConfig, 'host: 0.0.0.0\n');
+      
+      try {
+        service = await startService({ 
+          httpPort: 0,
+          enablePolling: false,
+          reposConfig
+        });
+        
+        assert.strictEqual(service.httpServer.address().address, '0.0.0.0');
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
     test('handles stopService on already stopped service', async () => {
       const { startService, stopService } = await import('../../service/server.js');
       
@@ -160,6 +446,49 @@ describe('service/server.js', () => {
       
       await stopService(localService);
     });
+
+    test('refuses to start a second daemon on the same state directory', async () => {
+      const { startService, stopService } = await import('../../service/server.js');
+      const tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-server-lock-'));
+      const stateDir = join(tempDir, 'state');
+      const reposConfig = join(tempDir, 'config.yaml');
+      writeFileSync(reposConfig, `state:\n  dir: ${stateDir}\nsources: []\n`);
+
+      try {
+        const first = await startService({ httpPort: 0, reposConfig });
+        assert.ok(existsSync(join(stateDir, 'pilot.lock')));
+
+        await assert.rejects(startService({ httpPort: 0, reposConfig }), { code: 'LOCK_HELD' });
+
+        await stopService(first);
+        assert.strictEqual(existsSync(join(stateDir, 'pilot.lock')), false);
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    test('fails and releases the lock when polling cannot start', async (t) => {
+      const { startService } = await import('../../service/server.js');
+      t.mock.method(console, 'log', () => {});
+      t.mock.method(console, 'error', () => {});
+      const tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-server-corrupt-'));
+      const stateDir = join(tempDir, 'state');
+      const reposConfig = join(tempDir, 'config.yaml');
+      writeFileSync(reposConfig, `state:\n  dir: ${stateDir}\nsources: []\n`);
+      mkdirSync(stateDir);
+      writeFileSync(join(stateDir, 'poll-state.json'), 'not json');
+
+      try {
+        await assert.rejects(startService({ httpPort: 0, reposConfig }), (err) => {
+          assert.match(err.message, /Could not start polling: Poll state at .* is unreadable/);
+          assert.strictEqual(err.cause.name, 'StateCorruptedError');
+          return true;
+        });
+        assert.strictEqual(existsSync(join(stateDir, 'pilot.lock')), false);
+      } finally {
+        rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('CORS headers', () => {
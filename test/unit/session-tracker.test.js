@@ -0,0 +1,149 @@
+/**
+ * Tests for session-tracker.js - following sessions pilot started until they finish
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const SERVER = 'http://localhost:4096';
+
+/**
+ * Fake OpenCode API: statuses, sessions and messages keyed by session ID
+ */
+function createFakeServer() {
+  const server = { statuses: {}, sessions: {}, messages: {}, down: false };
+  server.fetch = async (url) => {
+    if (server.down) throw new Error('ECONNREFUSED');
+    const { pathname } = new URL(url);
+    const json = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+    if (pathname === '/session/status') return json(server.statuses);
+    const match = pathname.match(/^\/session\/([^/]+)(\/message)?$/);
+    if (match && match[2]) return json(server.messages[match[1]] || []);
+    if (match) return server.sessions[match[1]] ? json(server.sessions[match[1]]) : json({ error: 'not found' }, 404);
+    return json({}, 404);
+  };
+  return server;
+}
+
+describe('session-tracker.js', () => {
+  let tempDir;
+  let poller;
+  let server;
+  let clock;
+
+  beforeEach(async () => {
+    const { createPoller } = await import('../../service/poller.js');
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-tracker-test-'));
+    poller = createPoller({ stateFile: join(tempDir, 'poll-state.json') });
+    server = createFakeServer();
+    clock = Date.parse('2025-01-01T12:00:00Z');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function startSession(itemId, sessionId) {
+    poller.markProcessed(itemId, { source: 'issues', sessionId, serverUrl: SERVER });
+    poller.updateProcessedMeta(itemId, { processedAt: new Date(clock).toISOString() });
+    server.sessions[sessionId] = { id: sessionId, time: { created: clock, updated: clock } };
+  }
+
+  async function createTracker() {
+    const { createSessionTracker } = await import('../../service/session-tracker.js');
+    return createSessionTracker({ poller, interval: 0, fetch: server.fetch, now: () => clock });
+  }
+
+  test('records idle outcome and duration once a busy session stops', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { onEvent } = await import('../../service/events.js');
+    const events = [];
+    const unsubscribe = onEvent((event) => {
+      if (event.type === 'session.finished') events.push(event);
+    });
+    const tracker = await createTracker();
+    startSession('item-1', 'ses_1');
+
+    server.statuses.ses_1 = { type: 'busy' };
+    await tracker.check();
+    assert.strictEqual(poller.getProcessedMeta('item-1').outcome, undefined);
+
+    delete server.statuses.ses_1;
+    server.sessions.ses_1.time.updated = clock + 5 * 60 * 1000;
+    clock += 6 * 60 * 1000;
+    await tracker.check();
+    unsubscribe();
+
+    assert.deepStrictEqual(poller.getProcessedMeta('item-1').outcome, {
+      result: 'idle',
+      finishedAt: '2025-01-01T12:05:00.000Z',
+      durationMs: 5 * 60 * 1000,
+      error: null,
+    });
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].itemId, 'item-1');
+    assert.strictEqual(events[0].source, 'issues');
+    assert.strictEqual(events[0].result, 'idle');
+  });
+
+  test('waits out the start grace period for sessions never seen busy', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const tracker = await createTracker();
+    startSession('item-1', 'ses_1');
+
+    clock += 10 * 1000;
+    await tracker.check();
+    assert.strictEqual(poller.getProcessedMeta('item-1').outcome, undefined);
+
+    clock += 2 * 60 * 1000;
+    await tracker.check();
+    assert.strictEqual(poller.getProcessedMeta('item-1').outcome.result, 'idle');
+  });
+
+  test('detects errored, archived and deleted sessions', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const tracker = await createTracker();
+    startSession('errored', 'ses_err');
+    startSession('archived', 'ses_arch');
+    startSession('deleted', 'ses_gone');
+    server.messages.ses_err = [
+      { info: { role: 'user' } },
+      { info: { role: 'assistant', error: { name: 'ProviderAuthError', data: { message: 'invalid API key' } } } },
+    ];
+    server.sessions.ses_arch.time.archived = clock;
+    delete server.sessions.ses_gone;
+
+    clock += 2 * 60 * 1000;
+    await tracker.check();
+
+    assert.strictEqual(poller.getProcessedMeta('errored').outcome.result, 'error');
+    assert.strictEqual(poller.getProcessedMeta('errored').outcome.error, 'invalid API key');
+    assert.strictEqual(poller.getProcessedMeta('archived').outcome.result, 'archived');
+    assert.strictEqual(poller.getProcessedMeta('deleted').outcome.result, 'missing');
+  });
+
+  test('records nothing while the server is unreachable', async () => {
+    const tracker = await createTracker();
+    startSession('item-1', 'ses_1');
+    server.down = true;
+
+    clock += 2 * 60 * 1000;
+    await tracker.check();
+
+    assert.strictEqual(poller.getProcessedMeta('item-1').outcome, undefined);
+  });
+
+  test('ignores sessions started without a recorded server', async () => {
+    const tracker = await createTracker();
+    poller.markProcessed('legacy', { source: 'issues', sessionId: 'ses_old' });
+
+    clock += 2 * 60 * 1000;
+    await tracker.check();
+
+    assert.strictEqual(poller.getProcessedMeta('legacy').outcome, undefined);
+  });
+});
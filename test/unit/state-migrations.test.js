@@ -0,0 +1,128 @@
+/**
+ * Tests for state-migrations.js - versioned poll state schema
+ *
+ * Every past state format has a fixture in test/fixtures/state/. Each one is
+ * loaded through createPoller to check that upgrades keep every entry.
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, readdirSync, readFileSync, copyFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+
+const FIXTURES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'state');
+const fixtures = readdirSync(FIXTURES_DIR).filter((name) => name.endsWith('.json')).sort();
+
+function readFixture(name) {
+  return JSON.parse(readFileSync(join(FIXTURES_DIR, name), 'utf-8'));
+}
+
+describe('state-migrations.js', () => {
+  let tempDir;
+  let stateFile;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-migrations-test-'));
+    stateFile = join(tempDir, 'poll-state.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('has a fixture for every schema version', async () => {
+    const { CURRENT_SCHEMA_VERSION } = await import('../../service/state-migrations.js');
+    const versions = new Set(fixtures.map((name) => readFixture(name).schemaVersion ?? 0));
+
+    for (let version = 0; version <= CURRENT_SCHEMA_VERSION; version++) {
+      assert.ok(versions.has(version), `missing fixture for schema version ${version}`);
+    }
+  });
+
+  test('migrations are numbered consecutively from 1', async () => {
+    const { MIGRATIONS } = await import('../../service/state-migrations.js');
+    assert.deepStrictEqual(MIGRATIONS.map((m) => m.version), MIGRATIONS.map((_, i) => i + 1));
+  });
+
+  for (const name of fixtures) {
+    describe(`fixture ${name}`, () => {
+      test('loads every processed entry, dedup key and source', async (t) => {
+        const { createPoller } = await import('../../service/poller.js');
+        t.mock.method(console, 'warn', () => {});
+        const original = readFixture(name);
+        copyFileSync(join(FIXTURES_DIR, name), stateFile);
+
+        const poller = createPoller({ stateFile });
+
+        assert.deepStrictEqual(poller.getProcessedIds().sort(), Object.keys(original.processed).sort());
+        for (const [itemId, meta] of Object.entries(original.processed)) {
+          const loaded = poller.getProcessedMeta(itemId);
+          for (const [field, value] of Object.entries(meta)) {
+            assert.deepStrictEqual(loaded[field], value, `${itemId}.${field} changed`);
+          }
+          assert.ok(loaded.lastSeenAt, `${itemId} has no lastSeenAt`);
+          for (const key of meta.dedupKeys || []) {
+            assert.strictEqual(poller.findProcessedByDedupKey([key]), itemId);
+          }
+        }
+        assert.deepStrictEqual(poller.getSourceStates(), original.sources || {});
+        assert.deepStrictEqual(
+          Object.fromEntries(poller.getRetries().map(({ id, ...retry }) => [id, retry])),
+          original.retries || {}
+        );
+        assert.deepStrictEqual(poller.getRateBucket(), original.rateBucket ?? null);
+        assert.deepStrictEqual(
+          Object.fromEntries(poller.getWorktrees().map(({ directory, ...info }) => [directory, info])),
+          original.worktrees || {}
+        );
+      });
+
+      test('is saved at the current schema version with the original kept as backup', async (t) => {
+        const { createPoller } = await import('../../service/poller.js');
+        const { CURRENT_SCHEMA_VERSION } = await import('../../service/state-migrations.js');
+        t.mock.method(console, 'warn', () => {});
+        copyFileSync(join(FIXTURES_DIR, name), stateFile);
+
+        const poller = createPoller({ stateFile });
+        if ((readFixture(name).schemaVersion ?? 0) < CURRENT_SCHEMA_VERSION) {
+          assert.deepStrictEqual(JSON.parse(readFileSync(`${stateFile}.bak`, 'utf-8')), readFixture(name));
+        }
+        poller.markProcessed('new-item');
+
+        const saved = JSON.parse(readFileSync(stateFile, 'utf-8'));
+        assert.strictEqual(saved.schemaVersion, CURRENT_SCHEMA_VERSION);
+      });
+    });
+  }
+
+  describe('migrateState', () => {
+    test('reports the version state was loaded at', async () => {
+      const { migrateState, CURRENT_SCHEMA_VERSION } = await import('../../service/state-migrations.js');
+
+      const { state, fromVersion } = migrateState({ processed: {} });
+
+      assert.strictEqual(fromVersion, 0);
+      assert.strictEqual(state.schemaVersion, CURRENT_SCHEMA_VERSION);
+      assert.deepStrictEqual(state.dedupKeys, {});
+      assert.deepStrictEqual(state.sources, {});
+    });
+
+    test('leaves current state untouched', async () => {
+      const { migrateState, CURRENT_SCHEMA_VERSION } = await import('../../service/state-migrations.js');
+      const current = readFixture(fixtures.find((name) => readFixture(name).schemaVersion === CURRENT_SCHEMA_VERSION));
+
+      assert.deepStrictEqual(migrateState(structuredClone(current)).state, current);
+    });
+
+    test('refuses state from a newer pilot', async () => {
+      const { migrateState, CURRENT_SCHEMA_VERSION } = await import('../../service/state-migrations.js');
+
+      assert.throws(
+        () => migrateState({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, processed: {} }),
+        { code: 'STATE_TOO_NEW' }
+      );
+    });
+  });
+});
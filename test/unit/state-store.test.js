@@ -0,0 +1,206 @@
+/**
+ * Tests for state-store.js - crash-safe poll state persistence
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, existsSync, appendFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+describe('state-store.js', () => {
+  let tempDir;
+  let stateFile;
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-state-store-test-'));
+    stateFile = join(tempDir, 'poll-state.json');
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('rejects unknown backends', async () => {
+    const { createStateStore } = await import('../../service/state-store.js');
+    assert.throws(() => createStateStore({ path: stateFile, backend: 'sqlite' }), /Unknown state backend: sqlite/);
+  });
+
+  describe('json backend', () => {
+    test('returns null when no state exists', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      assert.strictEqual(createStateStore({ path: stateFile }).load(), null);
+    });
+
+    test('saves atomically and keeps the previous version as .bak', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const store = createStateStore({ path: stateFile });
+
+      store.save({ version: 1 });
+      store.save({ version: 2 });
+
+      assert.deepStrictEqual(store.load(), { version: 2 });
+      assert.deepStrictEqual(JSON.parse(readFileSync(`${stateFile}.bak`, 'utf-8')), { version: 1 });
+      assert.deepStrictEqual(readdirSync(tempDir).sort(), ['poll-state.json', 'poll-state.json.bak']);
+    });
+
+    test('creates the state directory', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const nested = join(tempDir, 'a', 'b', 'state.json');
+
+      createStateStore({ path: nested }).save({ ok: true });
+
+      assert.deepStrictEqual(createStateStore({ path: nested }).load(), { ok: true });
+    });
+
+    test('recovers from backup and quarantines a corrupted file', async (t) => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const errors = [];
+      t.mock.method(console, 'error', (msg) => errors.push(msg));
+      const store = createStateStore({ path: stateFile });
+      store.save({ version: 1 });
+      store.save({ version: 2 });
+      writeFileSync(stateFile, '{"version": 2, "proc');
+
+      assert.deepStrictEqual(store.load(), { version: 1 });
+      assert.ok(errors.some((msg) => msg.includes('Recovered poll state from backup')));
+      const quarantined = readdirSync(tempDir).filter((name) => name.startsWith('poll-state.json.corrupt-'));
+      assert.strictEqual(quarantined.length, 1);
+      assert.strictEqual(existsSync(stateFile), false);
+    });
+
+    test('recovers from backup when the main file is missing', async (t) => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      t.mock.method(console, 'error', () => {});
+      writeFileSync(`${stateFile}.bak`, JSON.stringify({ version: 1 }));
+
+      assert.deepStrictEqual(createStateStore({ path: stateFile }).load(), { version: 1 });
+    });
+
+    test('throws StateCorruptedError when no readable copy exists', async () => {
+      const { createStateStore, StateCorruptedError } = await import('../../service/state-store.js');
+      writeFileSync(stateFile, 'not json');
+
+      assert.throws(() => createStateStore({ path: stateFile }).load(), (err) => {
+        assert.ok(err instanceof StateCorruptedError);
+        assert.strictEqual(err.code, 'STATE_CORRUPTED');
+        assert.strictEqual(err.path, stateFile);
+        assert.match(err.message, /clear --all/);
+        return true;
+      });
+
+      writeFileSync(`${stateFile}.bak`, '[]');
+      assert.throws(() => createStateStore({ path: stateFile }).load(), { code: 'STATE_CORRUPTED' });
+    });
+  });
+
+  describe('jsonl backend', () => {
+    let journal;
+
+    beforeEach(() => {
+      journal = join(tempDir, 'poll-state.jsonl');
+    });
+
+    test('loads the latest snapshot', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const store = createStateStore({ path: journal, backend: 'jsonl' });
+
+      store.save({ version: 1 });
+      store.save({ version: 2 });
+
+      assert.deepStrictEqual(createStateStore({ path: journal, backend: 'jsonl' }).load(), { version: 2 });
+      assert.strictEqual(readFileSync(journal, 'utf-8').trim().split('\n').length, 2);
+    });
+
+    test('skips a torn last line and keeps saving after it', async (t) => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      t.mock.method(console, 'error', () => {});
+      createStateStore({ path: journal, backend: 'jsonl' }).save({ version: 1 });
+      appendFileSync(journal, '{"savedAt":"x","state":{"vers');
+
+      const store = createStateStore({ path: journal, backend: 'jsonl' });
+      assert.deepStrictEqual(store.load(), { version: 1 });
+
+      store.save({ version: 2 });
+      assert.deepStrictEqual(createStateStore({ path: journal, backend: 'jsonl' }).load(), { version: 2 });
+    });
+
+    test('compacts the journal once it grows', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const store = createStateStore({ path: journal, backend: 'jsonl' });
+
+      for (let i = 0; i < 101; i++) {
+        store.save({ version: i });
+      }
+
+      assert.strictEqual(readFileSync(journal, 'utf-8').trim().split('\n').length, 1);
+      assert.deepStrictEqual(store.load(), { version: 100 });
+    });
+
+    test('appends only what changed and replays it on load', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      const store = createStateStore({ path: journal, backend: 'jsonl' });
+      const big = 'x'.repeat(1000);
+
+      store.save({ processed: { a: { big }, b: { big } }, rateBucket: null, version: 1 });
+      store.save({ processed: { a: { big }, c: { n: 1 } }, rateBucket: { tokens: 2 }, version: 1 });
+      store.save({ processed: { a: { big }, c: { n: 2 } }, rateBucket: { tokens: 2 } });
+
+      const [, ...deltas] = readFileSync(journal, 'utf-8').trim().split('\n');
+      assert.strictEqual(deltas.length, 2);
+      assert.ok(deltas.every((line) => !line.includes(big)), 'unchanged entries are not rewritten');
+      assert.deepStrictEqual(createStateStore({ path: journal, backend: 'jsonl' }).load(), {
+        processed: { a: { big }, c: { n: 2 } },
+        rateBucket: { tokens: 2 },
+      });
+    });
+
+    test('writes a fresh snapshot after skipping an unreadable line', async (t) => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      t.mock.method(console, 'error', () => {});
+      const first = createStateStore({ path: journal, backend: 'jsonl' });
+      first.save({ processed: { a: 1 } });
+      first.save({ processed: { a: 1, b: 2 } });
+      appendFileSync(journal, '{"savedAt":"x","delta":{"se');
+
+      const store = createStateStore({ path: journal, backend: 'jsonl' });
+      assert.deepStrictEqual(store.load(), { processed: { a: 1, b: 2 } });
+      store.save({ processed: { a: 1, b: 2, c: 3 } });
+
+      const lines = readFileSync(journal, 'utf-8').trim().split('\n');
+      assert.strictEqual(lines.length, 1);
+      assert.deepStrictEqual(JSON.parse(lines[0]).state, { processed: { a: 1, b: 2, c: 3 } });
+    });
+
+    test('loads journals of full snapshots written by earlier versions', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      writeFileSync(journal, [
+        JSON.stringify({ savedAt: 'a', state: { version: 1 } }),
+        JSON.stringify({ savedAt: 'b', state: { version: 2 } }),
+      ].join('\n') + '\n');
+
+      assert.deepStrictEqual(createStateStore({ path: journal, backend: 'jsonl' }).load(), { version: 2 });
+    });
+
+    test('throws StateCorruptedError when no snapshot is readable', async () => {
+      const { createStateStore } = await import('../../service/state-store.js');
+      writeFileSync(journal, 'nope\nstill nope\n');
+
+      assert.throws(() => createStateStore({ path: journal, backend: 'jsonl' }).load(), { code: 'STATE_CORRUPTED' });
+    });
+  });
+
+  describe('quarantineState', () => {
+    test('moves the state file and backup aside', async () => {
+      const { createStateStore, quarantineState } = await import('../../service/state-store.js');
+      const store = createStateStore({ path: stateFile });
+      store.save({ version: 1 });
+      store.save({ version: 2 });
+
+      const moved = quarantineState(stateFile);
+
+      assert.strictEqual(moved.length, 2);
+      assert.strictEqual(store.load(), null);
+    });
+  });
+});
@@ -507,4 +507,28 @@ describe('utils.js', () => {
       assert.strictEqual(getNestedValue(obj, 'empty.inner.deep'), undefined);
     });
   });
+
+  describe('parseGitHubItemUrl', () => {
+    test('parses issue and PR URLs', async () => {
+      const { parseGitHubItemUrl } = await import('../../service/utils.js');
+
+      assert.deepStrictEqual(parseGitHubItemUrl('https://github.com/myorg/backend/issues/42'), { owner: 'myorg', repo: 'backend', number: 42 });
+      assert.deepStrictEqual(
+        parseGitHubItemUrl('https://github.com/myorg/frontend/pull/7'),
+        { owner: 'myorg', repo: 'frontend', number: 7 },
+      );
+      assert.strictEqual(parseGitHubItemUrl('https://linear.app/team/issue/ENG-1'), null);
+      assert.strictEqual(parseGitHubItemUrl(null), null);
+    });
+  });
+
+  describe('formatDuration', () => {
+    test('formats seconds, minutes and hours', async () => {
+      const { formatDuration } = await import('../../service/utils.js');
+
+      assert.strictEqual(formatDuration(45 * 1000), '45s');
+      assert.strictEqual(formatDuration((12 * 60 + 5) * 1000), '12m 5s');
+      assert.strictEqual(formatDuration((2 * 3600 + 3 * 60) * 1000), '2h 3m');
+    });
+  });
 });
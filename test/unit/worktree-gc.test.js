@@ -0,0 +1,173 @@
+/**
+ * Tests for worktree-gc.js - removing worktrees of items that are done
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const SERVER = 'http://localhost:4096';
+const ISSUE_URL = 'https://github.com/myorg/backend/issues/42';
+
+describe('worktree-gc.js', () => {
+  let tempDir;
+  let poller;
+  let removed;
+  let states;
+  let changes;
+  let statuses;
+
+  beforeEach(async () => {
+    const { createPoller } = await import('../../service/poller.js');
+    tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-worktree-gc-test-'));
+    poller = createPoller({ stateFile: join(tempDir, 'poll-state.json') });
+    removed = [];
+    states = {};
+    changes = {};
+    statuses = {};
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function addWorktree(name, itemId, meta) {
+    const directory = join(tempDir, name);
+    mkdirSync(directory);
+    poller.recordWorktree(directory, {
+      itemId,
+      source: 'issues',
+      name,
+      projectDirectory: '/code/backend',
+      serverUrl: SERVER,
+    });
+    if (meta) {
+      poller.markProcessed(itemId, { source: 'issues', url: itemId, directory, sessionId: `ses_${name}`, serverUrl: SERVER, ...meta });
+    }
+    return directory;
+  }
+
+  async function collect(options = {}) {
+    const { collectWorktreeGarbage } = await import('../../service/worktree-gc.js');
+    return collectWorktreeGarbage({
+      poller,
+      fetch: async (url, opts = {}) => {
+        if (opts.method === 'DELETE') {
+          removed.push(JSON.parse(opts.body).directory);
+          return { ok: true, json: async () => true };
+        }
+        return { ok: true, json: async () => statuses };
+      },
+      getGitHubState: async ({ number }) => states[number] ?? 'open',
+      getUncommittedChanges: async (directory) => changes[directory] ?? [],
+      ...options,
+    });
+  }
+
+  test('removes worktrees of items no longer tracked or closed upstream', async () => {
+    const untracked = addWorktree('issue-1', 'https://github.com/myorg/backend/issues/1');
+    const closed = addWorktree('issue-42', ISSUE_URL, {});
+    const open = addWorktree('issue-43', 'https://github.com/myorg/backend/issues/43', {});
+    states[42] = 'closed';
+
+    const report = await collect();
+
+    assert.deepStrictEqual(report.map(({ directory, action, reason }) => [directory, action, reason]), [
+      [untracked, 'removed', 'item no longer tracked'],
+      [closed, 'removed', 'closed upstream'],
+      [open, 'kept', 'item still open'],
+    ]);
+    assert.deepStrictEqual(removed, [untracked, closed]);
+    assert.deepStrictEqual(poller.getWorktrees().map((w) => w.directory), [open]);
+  });
+
+  test('removes worktrees of non-GitHub items that left their source', async () => {
+    const done = addWorktree('ENG-1', 'linear:abc', { url: 'https://linear.app/team/issue/ENG-1' });
+    addWorktree('ENG-2', 'linear:def', { url: 'https://linear.app/team/issue/ENG-2' });
+    poller.markUnseen('issues', ['linear:def']);
+
+    const report = await collect();
+
+    assert.deepStrictEqual(report.map((entry) => entry.action), ['removed', 'kept']);
+    assert.strictEqual(report[0].reason, 'item left its source');
+    assert.deepStrictEqual(removed, [done]);
+  });
+
+  test('clears the removed directory from the item so reprocessing does not reuse it', async () => {
+    addWorktree('ENG-1', 'linear:abc', { url: 'https://linear.app/team/issue/ENG-1' });
+    poller.markUnseen('issues', []);
+
+    await collect();
+
+    assert.strictEqual(poller.getProcessedMeta('linear:abc').directory, null);
+    assert.strictEqual(poller.getProcessedMeta('linear:abc').sessionId, 'ses_ENG-1');
+  });
+
+  test('keeps worktrees with uncommitted changes, busy sessions or other users', async () => {
+    const dirty = addWorktree('issue-1', 'https://github.com/myorg/backend/issues/1');
+    changes[dirty] = [' M src/index.js', '?? notes.txt'];
+    addWorktree('issue-42', ISSUE_URL, {});
+    states[42] = 'closed';
+    statuses['ses_issue-42'] = { type: 'busy' };
+    const shared = addWorktree('pr-7', 'https://github.com/myorg/backend/pull/7');
+    poller.markProcessed('https://github.com/myorg/backend/pull/8', { source: 'issues', directory: shared });
+
+    const report = await collect();
+
+    assert.deepStrictEqual(report.map((entry) => [entry.action, entry.reason]), [
+      ['kept', '2 uncommitted change(s)'],
+      ['kept', 'session ses_issue-42 is busy'],
+      ['kept', 'in use by https://github.com/myorg/backend/pull/8'],
+    ]);
+    assert.deepStrictEqual(removed, []);
+  });
+
+  test('keeps worktrees whose session status cannot be read', async () => {
+    addWorktree('issue-42', ISSUE_URL, {});
+    states[42] = 'closed';
+
+    const report = await collect({
+      fetch: async (url, opts = {}) => {
+        if (opts.method === 'DELETE') removed.push(JSON.parse(opts.body).directory);
+        return { ok: false, status: 503, json: async () => ({}) };
+      },
+    });
+
+    assert.deepStrictEqual(report.map((entry) => [entry.action, entry.reason]), [
+      ['kept', `could not read session status from ${SERVER}: GET /session/status returned 503`],
+    ]);
+    assert.deepStrictEqual(removed, []);
+  });
+
+  test('dry run reports without removing anything', async () => {
+    const directory = addWorktree('issue-1', 'https://github.com/myorg/backend/issues/1');
+
+    const report = await collect({ dryRun: true });
+
+    assert.deepStrictEqual(report.map((entry) => entry.action), ['would_remove']);
+    assert.deepStrictEqual(removed, []);
+    assert.deepStrictEqual(poller.getWorktrees().map((w) => w.directory), [directory]);
+  });
+
+  test('forgets worktrees already gone from disk', async () => {
+    const directory = addWorktree('issue-1', 'https://github.com/myorg/backend/issues/1');
+    rmSync(directory, { recursive: true });
+
+    const report = await collect();
+
+    assert.deepStrictEqual(report.map((entry) => entry.action), ['forgotten']);
+    assert.deepStrictEqual(poller.getWorktrees(), []);
+  });
+
+  test('keeps worktrees whose item state cannot be checked', async () => {
+    addWorktree('issue-42', ISSUE_URL, {});
+
+    const report = await collect({ getGitHubState: async () => { throw new Error('gh: not logged in'); } });
+
+    assert.deepStrictEqual(report.map((entry) => [entry.action, entry.reason]), [
+      ['kept', 'could not check item: gh: not logged in'],
+    ]);
+  });
+});
@@ -1,8 +1,15 @@
-import { describe, it, mock } from "node:test";
+import { describe, it, mock, beforeEach, afterEach } from "node:test";
 import assert from "node:assert";
+import { execFileSync } from "child_process";
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, readFileSync, existsSync, chmodSync } from "fs";
+import { join } from "path";
+import { tmpdir } from "os";
 import {
   listWorktrees,
   createWorktree,
+  removeWorktree,
+  checkoutPrHead,
+  runWorktreeSetup,
   getProjectInfo,
   resolveWorktreeDirectory,
 } from "../../service/worktree.js";
@@ -132,6 +139,261 @@ describe("worktree", () => {
     });
   });
 
+  describe("removeWorktree", () => {
+    it("deletes the worktree through the project's server", async () => {
+      const mockFetch = mock.fn(async () => ({ ok: true, json: async () => true }));
+
+      const result = await removeWorktree("http://localhost:4096", "/data/worktree/abc123/pr-7", {
+        fetch: mockFetch,
+        directory: "/path/to/project",
+      });
+
+      assert.deepStrictEqual(result, { success: true });
+      const [url, opts] = mockFetch.mock.calls[0].arguments;
+      assert.strictEqual(url, "http://localhost:4096/experimental/worktree?directory=%2Fpath%2Fto%2Fproject");
+      assert.strictEqual(opts.method, "DELETE");
+      assert.deepStrictEqual(JSON.parse(opts.body), { directory: "/data/worktree/abc123/pr-7" });
+    });
+
+    it("returns error when the server rejects the request", async () => {
+      const mockFetch = mock.fn(async () => ({
+        ok: false,
+        status: 400,
+        text: async () => "Not a worktree",
+      }));
+
+      const result = await removeWorktree("http://localhost:4096", "/path/to/project", { fetch: mockFetch });
+
+      assert.strictEqual(result.success, false);
+      assert.ok(result.error.includes("400"));
+    });
+  });
+
+  describe("checkoutPrHead", () => {
+    let tempDir;
+    let origin;
+    let worktree;
+    let prHead;
+
+    const git = (dir, ...args) => execFileSync("git", ["-C", dir, ...args], {
+      encoding: "utf8",
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: "Test",
+        GIT_AUTHOR_EMAIL: "test@example.com",
+        GIT_COMMITTER_NAME: "Test",
+        GIT_COMMITTER_EMAIL: "test@example.com",
+      },
+    }).trim();
+
+    function commit(dir, file) {
+      writeFileSync(join(dir, file), file);
+      git(dir, "add", file);
+      git(dir, "commit", "-q", "-m", file);
+      return git(dir, "rev-parse", "HEAD");
+    }
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), "opencode-pilot-checkout-test-"));
+      origin = join(tempDir, "origin");
+      worktree = join(tempDir, "worktree");
+      git(tempDir, "init", "-q", "-b", "main", origin);
+      commit(origin, "README.md");
+      // A PR from a fork only exists upstream as refs/pull/<n>/head
+      git(origin, "checkout", "-q", "-b", "fork-branch");
+      prHead = commit(origin, "fix.js");
+      git(origin, "update-ref", "refs/pull/7/head", prHead);
+      git(origin, "checkout", "-q", "main");
+      git(origin, "branch", "-q", "-D", "fork-branch");
+      git(tempDir, "clone", "-q", origin, worktree);
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("checks out the PR head on a pilot/pr-<number> branch", async () => {
+      const result = await checkoutPrHead(worktree, { number: 7, _headRefName: "feature/login" });
+
+      assert.deepStrictEqual(result, { success: true, branch: "pilot/pr-7", updated: true });
+      assert.strictEqual(git(worktree, "rev-parse", "HEAD"), prHead);
+      assert.strictEqual(git(worktree, "branch", "--show-current"), "pilot/pr-7");
+    });
+
+    it("never moves a branch named like the PR head that is checked out elsewhere", async () => {
+      // Review worktree next to the user's checkout, which has main checked out
+      const reviewWorktree = join(tempDir, "review");
+      git(worktree, "worktree", "add", "-q", "--detach", reviewWorktree);
+      const mainBefore = git(worktree, "rev-parse", "refs/heads/main");
+
+      const result = await checkoutPrHead(reviewWorktree, { number: 7, _headRefName: "main" });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.branch, "pilot/pr-7");
+      assert.strictEqual(git(reviewWorktree, "rev-parse", "HEAD"), prHead);
+      assert.strictEqual(git(worktree, "rev-parse", "refs/heads/main"), mainBefore);
+      assert.strictEqual(git(worktree, "branch", "--show-current"), "main");
+      assert.strictEqual(git(worktree, "status", "--porcelain"), "");
+    });
+
+    it("moves an existing branch forward to new PR commits", async () => {
+      await checkoutPrHead(worktree, { number: 7 });
+      git(origin, "checkout", "-q", prHead);
+      const newHead = commit(origin, "more.js");
+      git(origin, "update-ref", "refs/pull/7/head", newHead);
+      git(origin, "checkout", "-q", "main");
+
+      const result = await checkoutPrHead(worktree, { number: 7 });
+
+      assert.strictEqual(result.updated, true);
+      assert.strictEqual(git(worktree, "rev-parse", "HEAD"), newHead);
+    });
+
+    it("reports an unchanged PR head as not updated", async () => {
+      await checkoutPrHead(worktree, { number: 7 });
+      git(worktree, "checkout", "-q", "main");
+
+      const result = await checkoutPrHead(worktree, { number: 7 });
+
+      assert.deepStrictEqual(result, { success: true, branch: "pilot/pr-7", updated: false });
+      assert.strictEqual(git(worktree, "branch", "--show-current"), "pilot/pr-7");
+    });
+
+    it("keeps local commits on top of the PR head", async () => {
+      await checkoutPrHead(worktree, { number: 7 });
+      const localCommit = commit(worktree, "local.js");
+      git(worktree, "checkout", "-q", "main");
+
+      const result = await checkoutPrHead(worktree, { number: 7 });
+
+      assert.deepStrictEqual(result, { success: true, branch: "pilot/pr-7", updated: false });
+      assert.strictEqual(git(worktree, "rev-parse", "HEAD"), localCommit);
+    });
+
+    it("checks out the PR head on a new branch when the local branch has diverged", async () => {
+      await checkoutPrHead(worktree, { number: 7 });
+      const localCommit = commit(worktree, "local.js");
+      git(origin, "checkout", "-q", prHead);
+      const newHead = commit(origin, "more.js");
+      git(origin, "update-ref", "refs/pull/7/head", newHead);
+      git(origin, "checkout", "-q", "main");
+
+      const result = await checkoutPrHead(worktree, { number: 7 });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.branch, `pilot/pr-7-${newHead.slice(0, 7)}`);
+      assert.match(result.warning, /pilot\/pr-7 has commits that are not in PR #7/);
+      assert.strictEqual(git(worktree, "rev-parse", "HEAD"), newHead);
+      assert.strictEqual(git(worktree, "rev-parse", "refs/heads/pilot/pr-7"), localCommit);
+    });
+
+    it("checks out the PR's own branch tracking origin when it is in the repository", async () => {
+      git(origin, "branch", "feature/login", prHead);
+
+      const result = await checkoutPrHead(worktree, { number: 7, _headRefName: "feature/login" });
+
+      assert.deepStrictEqual(result, {
+        success: true,
+        branch: "feature/login",
+        updated: true,
+        upstream: "origin/feature/login",
+      });
+      assert.strictEqual(git(worktree, "rev-parse", "HEAD"), prHead);
+      assert.strictEqual(git(worktree, "rev-parse", "--abbrev-ref", "@{upstream}"), "origin/feature/login");
+    });
+
+    it("falls back to pilot/pr-<number> when the PR's branch is checked out elsewhere", async () => {
+      git(origin, "branch", "feature/login", prHead);
+      git(worktree, "fetch", "-q", "origin");
+      git(worktree, "checkout", "-q", "-b", "feature/login", prHead);
+      const reviewWorktree = join(tempDir, "review");
+      git(worktree, "worktree", "add", "-q", "--detach", reviewWorktree, "main");
+
+      const result = await checkoutPrHead(reviewWorktree, { number: 7, _headRefName: "feature/login" });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.branch, "pilot/pr-7");
+      assert.match(result.warning, /feature\/login is checked out in another worktree/);
+      assert.strictEqual(git(reviewWorktree, "rev-parse", "HEAD"), prHead);
+    });
+
+    it("returns error when the PR does not exist", async () => {
+      const result = await checkoutPrHead(worktree, { number: 8 });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /pull\/8\/head/);
+    });
+
+    it("returns error for items without a number", async () => {
+      const result = await checkoutPrHead(worktree, { title: "Not a PR" });
+
+      assert.strictEqual(result.success, false);
+      assert.match(result.error, /PR number/);
+    });
+  });
+
+  describe("runWorktreeSetup", () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), "opencode-pilot-setup-test-"));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it("runs commands in order in the worktree", async () => {
+      const result = await runWorktreeSetup(tempDir, [
+        "echo installing",
+        "echo \"$PILOT_PROJECT_DIR\" > .env",
+        "pwd",
+      ], { projectDirectory: "/code/backend" });
+
+      assert.strictEqual(result.success, true);
+      assert.strictEqual(result.exitCode, 0);
+      assert.match(result.output, /^\$ echo installing\ninstalling\n/);
+      assert.ok(result.output.includes(`$ pwd\n${tempDir}`));
+      assert.strictEqual(readFileSync(join(tempDir, ".env"), "utf8"), "/code/backend\n");
+    });
+
+    it("stops at the first failing command", async () => {
+      const result = await runWorktreeSetup(tempDir, ["echo one", "echo broken >&2; exit 3", "touch ran"]);
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.exitCode, 3);
+      assert.strictEqual(result.error, "echo broken >&2; exit 3 exited with 3");
+      assert.ok(result.output.includes("broken"));
+      assert.strictEqual(existsSync(join(tempDir, "ran")), false);
+    });
+
+    it("runs a script relative to the worktree", async () => {
+      mkdirSync(join(tempDir, "scripts"));
+      writeFileSync(join(tempDir, "scripts", "setup.sh"), "#!/bin/sh\necho \"setting up $PILOT_WORKTREE_DIR\"\n");
+      chmodSync(join(tempDir, "scripts", "setup.sh"), 0o755);
+
+      const result = await runWorktreeSetup(tempDir, "scripts/setup.sh");
+
+      assert.strictEqual(result.success, true);
+      assert.ok(result.output.includes(`setting up ${tempDir}`));
+    });
+
+    it("reports scripts that cannot run", async () => {
+      const result = await runWorktreeSetup(tempDir, "scripts/missing.sh");
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.exitCode, null);
+      assert.match(result.error, /scripts\/missing\.sh: .*ENOENT/);
+    });
+
+    it("stops commands that run too long", async () => {
+      const result = await runWorktreeSetup(tempDir, ["sleep 5"], { timeout: 200 });
+
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.error, "timed out: sleep 5");
+    });
+  });
+
   describe("getProjectInfo", () => {
     it("returns project info", async () => {
       const projectInfo = {
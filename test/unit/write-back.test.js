@@ -0,0 +1,219 @@
+/**
+ * Tests for write-back.js - reporting finished sessions back to source items
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+
+const SERVER = 'http://localhost:4096';
+const ISSUE_URL = 'https://github.com/myorg/backend/issues/42';
+
+describe('write-back.js', () => {
+  describe('getWriteBackConfig', () => {
+    test('returns null without write_back actions', async () => {
+      const { getWriteBackConfig } = await import('../../service/write-back.js');
+
+      assert.strictEqual(getWriteBackConfig({ name: 'issues' }), null);
+      assert.strictEqual(getWriteBackConfig({ name: 'issues', write_back: { on: ['idle'] } }), null);
+    });
+
+    test('defaults to idle sessions and the default comment', async () => {
+      const { getWriteBackConfig, DEFAULT_COMMENT } = await import('../../service/write-back.js');
+
+      const config = getWriteBackConfig({ name: 'issues', write_back: { comment: true, add_labels: 'agent-worked' } });
+
+      assert.deepStrictEqual(config, {
+        on: ['idle'],
+        comment: DEFAULT_COMMENT,
+        addLabels: ['agent-worked'],
+        removeLabels: [],
+        mcp: null,
+      });
+    });
+
+    test('ignores unknown results and incomplete mcp config', async (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      const { getWriteBackConfig } = await import('../../service/write-back.js');
+
+      const config = getWriteBackConfig({
+        name: 'issues',
+        write_back: { on: ['idle', 'done'], comment: 'Done', mcp: { server: 'linear' } },
+      });
+
+      assert.deepStrictEqual(config.on, ['idle']);
+      assert.strictEqual(config.mcp, null);
+      assert.strictEqual(warn.mock.callCount(), 2);
+    });
+  });
+
+  describe('runWriteBack', () => {
+    const context = {
+      id: ISSUE_URL,
+      number: 42,
+      url: ISSUE_URL,
+      session_id: 'ses_1',
+      result: 'idle',
+      duration: '4m 0s',
+      last_message: 'Fixed it {not a field}',
+    };
+
+    test('comments and updates labels through gh', async () => {
+      const { runWriteBack } = await import('../../service/write-back.js');
+      const calls = [];
+      const gh = async (args) => { calls.push(args); return ''; };
+
+      const result = await runWriteBack({
+        on: ['idle'],
+        comment: 'Done in {duration}\n\n{last_message}',
+        addLabels: ['agent-worked', 'needs review'],
+        removeLabels: ['agent-queue'],
+        mcp: null,
+      }, context, { gh });
+
+      assert.deepStrictEqual(result, { done: ['comment', 'add_labels', 'remove_labels'], errors: [] });
+      assert.deepStrictEqual(calls, [
+        ['api', 'repos/myorg/backend/issues/42/comments', '-f', 'body=Done in 4m 0s\n\nFixed it {not a field}'],
+        ['api', 'repos/myorg/backend/issues/42/labels', '-f', 'labels[]=agent-worked', '-f', 'labels[]=needs review'],
+        ['api', '-X', 'DELETE', 'repos/myorg/backend/issues/42/labels/agent-queue'],
+      ]);
+    });
+
+    test('ignores labels that are already gone and keeps going after failures', async () => {
+      const { runWriteBack } = await import('../../service/write-back.js');
+      const gh = async (args) => {
+        if (args.includes('DELETE')) throw new Error('gh: Label does not exist (HTTP 404)');
+        throw new Error('gh: Resource not accessible (HTTP 403)');
+      };
+      const tools = [];
+
+      const result = await runWriteBack({
+        on: ['idle'],
+        comment: 'Done',
+        addLabels: [],
+        removeLabels: ['agent-queue'],
+        mcp: { server: 'linear', tool: 'update_issue', args: { id: '{number}', state: 'In Review' } },
+      }, context, { gh, callTool: async (...args) => tools.push(args) });
+
+      assert.deepStrictEqual(result.done, ['remove_labels', 'mcp:linear/update_issue']);
+      assert.deepStrictEqual(result.errors, ['comment: gh: Resource not accessible (HTTP 403)']);
+      assert.deepStrictEqual(tools, [['linear', 'update_issue', { id: '42', state: 'In Review' }]]);
+    });
+
+    test('reports GitHub actions on items without a GitHub URL', async () => {
+      const { runWriteBack } = await import('../../service/write-back.js');
+      let ghCalled = false;
+
+      const result = await runWriteBack(
+        { on: ['idle'], comment: 'Done', addLabels: [], removeLabels: [], mcp: null },
+        { ...context, url: 'https://linear.app/team/issue/ENG-1' },
+        { gh: async () => { ghCalled = true; } },
+      );
+
+      assert.strictEqual(ghCalled, false);
+      assert.deepStrictEqual(result.done, []);
+      assert.match(result.errors[0], /not a GitHub issue or PR/);
+    });
+  });
+
+  describe('createWriteBack', () => {
+    let tempDir;
+    let poller;
+    let writeBack;
+    let calls;
+    let source;
+
+    beforeEach(async () => {
+      const { createPoller } = await import('../../service/poller.js');
+      tempDir = mkdtempSync(join(tmpdir(), 'opencode-pilot-write-back-test-'));
+      poller = createPoller({ stateFile: join(tempDir, 'poll-state.json') });
+      poller.markProcessed(ISSUE_URL, { source: 'issues', url: ISSUE_URL, number: 42, sessionId: 'ses_1', serverUrl: SERVER });
+      calls = [];
+      source = { name: 'issues', write_back: { comment: 'Summary: {last_message}' } };
+    });
+
+    afterEach(() => {
+      writeBack?.stop();
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    async function create() {
+      const { createWriteBack } = await import('../../service/write-back.js');
+      const fetch = async () => ({
+        ok: true,
+        json: async () => ([{ info: { role: 'assistant' }, parts: [{ type: 'text', text: 'All done' }] }]),
+      });
+      writeBack = createWriteBack({
+        poller,
+        getSource: (name) => (name === source.name ? source : undefined),
+        fetch,
+        gh: async (args) => { calls.push(args); return ''; },
+      });
+      return writeBack;
+    }
+
+    const finished = (result = 'idle') => ({
+      type: 'session.finished',
+      source: 'issues',
+      itemId: ISSUE_URL,
+      sessionId: 'ses_1',
+      result,
+      durationMs: 60000,
+      error: null,
+    });
+
+    test('writes back once per session and records it', async (t) => {
+      t.mock.method(console, 'log', () => {});
+      const { onEvent } = await import('../../service/events.js');
+      const events = [];
+      const unsubscribe = onEvent((event) => {
+        if (event.type === 'item.written_back') events.push(event);
+      });
+      await create();
+
+      await writeBack.handle(finished());
+      await writeBack.handle(finished());
+      unsubscribe();
+
+      assert.deepStrictEqual(calls, [['api', 'repos/myorg/backend/issues/42/comments', '-f', 'body=Summary: All done']]);
+      assert.ok(poller.getProcessedMeta(ISSUE_URL).writtenBackAt);
+      assert.strictEqual(events.length, 1);
+      assert.deepStrictEqual(events[0].actions, ['comment']);
+    });
+
+    test('skips results not listed in on', async () => {
+      await create();
+
+      await writeBack.handle(finished('error'));
+
+      assert.deepStrictEqual(calls, []);
+      assert.strictEqual(poller.getProcessedMeta(ISSUE_URL).writtenBackAt, undefined);
+    });
+
+    test('emits write_back errors', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      const { onEvent } = await import('../../service/events.js');
+      const errors = [];
+      const unsubscribe = onEvent((event) => {
+        if (event.type === 'error') errors.push(event);
+      });
+      source.write_back = { mcp: { server: 'linear', tool: 'update_issue' } };
+      const { createWriteBack } = await import('../../service/write-back.js');
+      writeBack = createWriteBack({
+        poller,
+        getSource: () => source,
+        callTool: async () => { throw new Error('MCP server \'linear\' not configured'); },
+      });
+
+      await writeBack.handle(finished());
+      unsubscribe();
+
+      assert.strictEqual(errors.length, 1);
+      assert.strictEqual(errors[0].stage, 'write_back');
+      assert.match(errors[0].message, /not configured/);
+      assert.strictEqual(poller.getProcessedMeta(ISSUE_URL).writtenBackAt, undefined);
+    });
+  });
+});